@@ -0,0 +1,82 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+interface IUniswapV2Router02 {
+    function getAmountsOut(uint256 amountIn, address[] calldata path) external view returns (uint256[] memory amounts);
+
+    function swapExactETHForTokensSupportingFeeOnTransferTokens(
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external payable;
+
+    function swapExactTokensForETHSupportingFeeOnTransferTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external;
+}
+
+interface IERC20 {
+    function balanceOf(address owner) external view returns (uint256);
+    function approve(address spender, uint256 amount) external returns (bool);
+}
+
+/// @notice Buys a token with the attached MON and sells it straight back.
+/// @dev Never deployed. It runs as the init code of an eth_call, and the
+/// constructor returns the simulation results in place of runtime code:
+/// abi.encode(buyOk, expectedTokens, receivedTokens, sellOk, expectedMon, receivedMon)
+/// Rebuild contracts/TokenSimulator.json with solc 0.8.24 (optimizer, 200 runs)
+/// after changing this file.
+contract TokenSimulator {
+    constructor(address router, address[] memory buyPath) payable {
+        address token = buyPath[buyPath.length - 1];
+
+        address[] memory sellPath = new address[](buyPath.length);
+        for (uint256 i = 0; i < buyPath.length; i++) {
+            sellPath[i] = buyPath[buyPath.length - 1 - i];
+        }
+
+        uint256[] memory amounts = IUniswapV2Router02(router).getAmountsOut(msg.value, buyPath);
+        uint256 expectedTokens = amounts[amounts.length - 1];
+
+        bool buyOk;
+        uint256 receivedTokens;
+        try IUniswapV2Router02(router).swapExactETHForTokensSupportingFeeOnTransferTokens{value: msg.value}(
+            0, buyPath, address(this), block.timestamp
+        ) {
+            buyOk = true;
+            receivedTokens = IERC20(token).balanceOf(address(this));
+        } catch {}
+
+        bool sellOk;
+        uint256 expectedMon;
+        uint256 receivedMon;
+        if (receivedTokens > 0) {
+            try IUniswapV2Router02(router).getAmountsOut(receivedTokens, sellPath) returns (uint256[] memory sellAmounts) {
+                expectedMon = sellAmounts[sellAmounts.length - 1];
+            } catch {}
+
+            // Low-level call, so tokens whose approve returns nothing are handled too
+            (bool approved, ) = token.call(abi.encodeWithSelector(IERC20.approve.selector, router, receivedTokens));
+
+            uint256 balanceBefore = address(this).balance;
+            if (approved) {
+                try IUniswapV2Router02(router).swapExactTokensForETHSupportingFeeOnTransferTokens(
+                    receivedTokens, 0, sellPath, address(this), block.timestamp
+                ) {
+                    sellOk = true;
+                    receivedMon = address(this).balance - balanceBefore;
+                } catch {}
+            }
+        }
+
+        bytes memory result = abi.encode(buyOk, expectedTokens, receivedTokens, sellOk, expectedMon, receivedMon);
+        assembly {
+            return(add(result, 32), mload(result))
+        }
+    }
+}
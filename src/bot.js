@@ -4,14 +4,26 @@
  */
 
 const TelegramBot = require('node-telegram-bot-api');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
 const dotenv = require('dotenv');
-const fs = require('fs');
-const path = require('path');
 
 // Import utilities
 const walletUtils = require('./utils/walletUtils');
 const uniswapUtils = require('./utils/uniswapUtils');
 const monadScanUtils = require('./utils/monadScanUtils');
+const keystoreUtils = require('./utils/keystoreUtils');
+const storageUtils = require('./utils/storageUtils');
+const gasUtils = require('./utils/gasUtils');
+const orderUtils = require('./utils/orderUtils');
+const historyUtils = require('./utils/historyUtils');
+const portfolioUtils = require('./utils/portfolioUtils');
+const tokenIndexUtils = require('./utils/tokenIndexUtils');
+const webhookUtils = require('./utils/webhookUtils');
+const sessionUtils = require('./utils/sessionUtils');
+const transactionUtils = require('./utils/transactionUtils');
+const tokenAnalyzerUtils = require('./utils/tokenAnalyzerUtils');
+const copyTradeUtils = require('./utils/copyTradeUtils');
 const { logger, ERROR_MESSAGES, asyncErrorHandler } = require('./utils/errorHandler');
 
 // Load environment variables
@@ -23,47 +35,383 @@ if (!process.env.TELEGRAM_BOT_TOKEN) {
   process.exit(1);
 }
 
-// Initialize bot with polling
-const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { polling: true });
+// Check if wallet master key is set
+if (!process.env.WALLET_MASTER_KEY) {
+  logger.error('WALLET_MASTER_KEY is not set in .env file');
+  process.exit(1);
+}
+
+// Initialize bot; in webhook mode updates arrive through the HTTP server instead of polling
+const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { polling: !webhookUtils.isWebhookMode() });
 
 // Make bot globally available for error handler
 global.bot = bot;
 
 // Data storage
 let userWallets = {};
-let userSessions = {};
 
-// Try to load existing wallets from file
+// In-flight flows, kept across restarts
+const sessionStore = sessionUtils.createSessionStore();
+
+// Per-user trading preferences
+const userSettings = storageUtils.loadData('settings.json', {});
+
+// Passphrases of unlocked wallets, kept in memory only
+const unlockedWallets = {};
+const UNLOCK_TTL_MS = 15 * 60 * 1000; // 15 minutes
+
+// Fill prices of the last buy of each token per wallet, the reference for stop-loss and take-profit
+const buyFills = storageUtils.loadData('fills.json', {});
+
+// Users whose confirmed operation is still running
+const activeOperations = new Set();
+
+// Try to load existing wallets from storage
 try {
-  const dataDir = path.join(__dirname, '../data');
-  const walletsFile = path.join(dataDir, 'wallets.json');
+  const storedWallets = storageUtils.loadData('wallets.json', null);
   
-  if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
-  }
-  
-  if (fs.existsSync(walletsFile)) {
-    const data = fs.readFileSync(walletsFile, 'utf8');
-    userWallets = JSON.parse(data);
+  if (storedWallets) {
+    userWallets = storedWallets;
     logger.info('Loaded existing wallets');
+    
+    let upgraded = 0;
+    let migrated = 0;
+    for (const userId of Object.keys(userWallets)) {
+      // Single-wallet entries from earlier versions become a one-item list
+      if (!Array.isArray(userWallets[userId].wallets)) {
+        userWallets[userId] = {
+          activeAddress: userWallets[userId].address,
+          wallets: [{ name: 'Wallet 1', ...userWallets[userId] }]
+        };
+        upgraded++;
+      }
+      
+      // Encrypt any wallets still stored in plaintext
+      userWallets[userId].wallets = userWallets[userId].wallets.map((wallet) => {
+        if (keystoreUtils.isEncrypted(wallet)) return wallet;
+        migrated++;
+        return keystoreUtils.encryptWallet(wallet);
+      });
+    }
+    
+    if (upgraded > 0 || migrated > 0) {
+      saveWallets();
+      logger.info(`Migrated ${upgraded} single-wallet user(s), encrypted ${migrated} plaintext wallet(s)`);
+    }
   }
 } catch (error) {
   logger.error(`Failed to load wallets: ${error.message}`);
 }
 
-// Save wallets to file
+// Save wallets to storage
 function saveWallets() {
+  storageUtils.saveData('wallets.json', userWallets);
+}
+
+// Get the active wallet record of a user
+function getActiveWallet(userId) {
+  const user = userWallets[userId];
+  if (!user || user.wallets.length === 0) return null;
+  
+  return user.wallets.find((wallet) => wallet.address === user.activeAddress) || user.wallets[0];
+}
+
+// Encrypt and store a wallet for a user and make it the active one
+function addWallet(userId, wallet) {
+  if (!getActiveWallet(userId)) {
+    userWallets[userId] = { activeAddress: null, wallets: [] };
+  }
+  
+  const user = userWallets[userId];
+  const existingIndex = user.wallets.findIndex((item) => item.address === wallet.address);
+  
+  // Pick the first free default name
+  let name = existingIndex >= 0 ? user.wallets[existingIndex].name : null;
+  for (let i = 1; !name; i++) {
+    if (!user.wallets.some((item) => item.name === `Wallet ${i}`)) name = `Wallet ${i}`;
+  }
+  
+  const record = keystoreUtils.encryptWallet({ ...wallet, name }, { passphrase: getPassphrase(userId) });
+  
+  // Re-importing a known wallet replaces it instead of adding a duplicate
+  if (existingIndex >= 0) {
+    user.wallets[existingIndex] = record;
+  } else {
+    user.wallets.push(record);
+  }
+  
+  user.activeAddress = wallet.address;
+  saveWallets();
+  
+  return record;
+}
+
+// Check if a user's wallets need /unlock before their keys can be used
+function isLocked(userId) {
+  const user = userWallets[userId];
+  if (!user) return false;
+  
+  return user.wallets.some((wallet) => keystoreUtils.isPassphraseProtected(wallet)) && !getPassphrase(userId);
+}
+
+// Save user settings to file
+function saveSettings() {
+  storageUtils.saveData('settings.json', userSettings);
+}
+
+// Get a user's default trade settings
+function getUserSettings(userId) {
+  return {
+    slippageBps: uniswapUtils.DEFAULT_SLIPPAGE_BPS,
+    deadlineMinutes: uniswapUtils.DEFAULT_DEADLINE_MINUTES,
+    feePreset: gasUtils.DEFAULT_FEE_PRESET,
+    ...userSettings[userId]
+  };
+}
+
+// Get the settings for a trade, applying any overrides from the confirmation screen
+function getTradeSettings(userId, session) {
+  const settings = getUserSettings(userId);
+  
+  return {
+    slippageBps: session.slippageBps !== undefined ? session.slippageBps : settings.slippageBps,
+    deadlineMinutes: session.deadlineMinutes !== undefined ? session.deadlineMinutes : settings.deadlineMinutes,
+    feePreset: session.feePreset || settings.feePreset
+  };
+}
+
+// Format basis points as a percentage
+function formatBps(bps) {
+  return `${bps / 100}%`;
+}
+
+// Check a typed amount: a positive plain decimal with at most `decimals`
+// decimals, so parseUnits accepts it
+function isValidAmount(text, decimals) {
+  return new RegExp(`^\\d*\\.?\\d{0,${decimals}}$`).test(text) && parseFloat(text) > 0;
+}
+
+// Get the cached passphrase of an unlocked wallet
+function getPassphrase(userId) {
+  const unlocked = unlockedWallets[userId];
+  if (!unlocked) return undefined;
+  
+  if (Date.now() > unlocked.expiresAt) {
+    delete unlockedWallets[userId];
+    return undefined;
+  }
+  
+  return unlocked.passphrase;
+}
+
+// Remove a message containing a secret from the chat
+async function deleteSecretMessage(msg) {
   try {
-    const dataDir = path.join(__dirname, '../data');
-    const walletsFile = path.join(dataDir, 'wallets.json');
-    
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
-    }
+    await bot.deleteMessage(msg.chat.id, msg.message_id);
+  } catch (error) {
+    logger.warn(`Failed to delete secret message: ${error.message}`);
+  }
+}
+
+// Give the session a fresh one-shot token for its confirm button
+// Confirmation screens shown before this one stop working.
+async function issueConfirmToken(userId, session) {
+  session.confirmToken = crypto.randomBytes(8).toString('hex');
+  await sessionStore.set(userId, session);
+  return session.confirmToken;
+}
+
+const RISK_BADGES = { low: '🟢 Low risk', medium: '🟠 Medium risk', high: '🔴 High risk' };
+
+// Analyze a token for the card, without failing the card when analysis fails
+async function analyzeTokenForCard(tokenAddress, address) {
+  try {
+    return await tokenAnalyzerUtils.analyzeToken(tokenAddress, address);
+  } catch (error) {
+    logger.warn(error.message);
+    return null;
+  }
+}
+
+// Risk badge, taxes and warnings shown on a token card
+function describeTokenRisk(analysis) {
+  if (!analysis) {
+    return '⚪ Unknown risk: the token could not be analyzed';
+  }
+  
+  const lines = [RISK_BADGES[analysis.level]];
+  if (analysis.simulation) {
+    const formatTax = (tax) => (tax === null ? 'n/a' : `${tax}%`);
+    lines.push(`Buy tax: ${formatTax(analysis.simulation.buyTaxPercent)} · Sell tax: ${formatTax(analysis.simulation.sellTaxPercent)}`);
+  } else {
+    lines.push('Buy tax: unknown · Sell tax: unknown');
+  }
+  lines.push(...analysis.warnings.map((warning) => `⚠️ ${warning}`));
+  
+  return lines.join('\n');
+}
+
+// Pool liquidity shown on a token card
+async function describeLiquidity(tokenAddress) {
+  try {
+    const liquidity = await uniswapUtils.getTokenLiquidity(tokenAddress);
+    return liquidity === null ? 'Unknown' : `${parseFloat(liquidity).toFixed(2)} MON`;
+  } catch (error) {
+    logger.warn(error.message);
+    return 'Unknown';
+  }
+}
+
+// Amount buttons of a buy: MON to spend, or in exact mode a token amount to receive
+function buyAmountKeyboard(exactOutput) {
+  if (exactOutput) {
+    return {
+      inline_keyboard: [
+        [{ text: '✏️ Enter token amount', callback_data: 'buy_custom' }],
+        [{ text: '🔁 Spend a MON amount instead', callback_data: 'buy_mode' }],
+        [{ text: 'Cancel', callback_data: 'cancel' }]
+      ]
+    };
+  }
+  
+  return {
+    inline_keyboard: [
+      [
+        { text: '1 MON', callback_data: 'buy_1' },
+        { text: '2 MON', callback_data: 'buy_2' },
+        { text: '5 MON', callback_data: 'buy_5' }
+      ],
+      [
+        { text: '10 MON', callback_data: 'buy_10' },
+        { text: '50 MON', callback_data: 'buy_50' },
+        { text: 'Custom', callback_data: 'buy_custom' }
+      ],
+      [{ text: '🎯 Buy an exact token amount', callback_data: 'buy_mode' }],
+      [{ text: 'Cancel', callback_data: 'cancel' }]
+    ]
+  };
+}
+
+// Amount buttons of a sell: a share of the balance, or in exact mode a MON amount to receive
+function sellAmountKeyboard(exactOutput) {
+  if (exactOutput) {
+    return {
+      inline_keyboard: [
+        [{ text: '✏️ Enter MON amount', callback_data: 'sell_custom' }],
+        [{ text: '🔁 Sell a token amount instead', callback_data: 'sell_mode' }],
+        [{ text: 'Cancel', callback_data: 'cancel' }]
+      ]
+    };
+  }
+  
+  return {
+    inline_keyboard: [
+      [
+        { text: '25%', callback_data: 'sell_25' },
+        { text: '50%', callback_data: 'sell_50' },
+        { text: '75%', callback_data: 'sell_75' }
+      ],
+      [
+        { text: '100%', callback_data: 'sell_100' },
+        { text: 'Custom', callback_data: 'sell_custom' }
+      ],
+      [{ text: '💵 Sell for an exact MON amount', callback_data: 'sell_mode' }],
+      [{ text: 'Cancel', callback_data: 'cancel' }]
+    ]
+  };
+}
+
+// Buttons shown under a token details card
+function positionKeyboard(tokenAddress) {
+  return {
+    inline_keyboard: [
+      [
+        { text: '🔄 Refresh', callback_data: `refresh_${tokenAddress}` },
+        { text: '💰 Sell', callback_data: `sell_${tokenAddress}` }
+      ],
+      [
+        { text: '🛑 Stop-loss', callback_data: `stoploss_${tokenAddress}` },
+        { text: '🎯 Take-profit', callback_data: `takeprofit_${tokenAddress}` }
+      ]
+    ]
+  };
+}
+
+// Buttons under a pending transaction
+function pendingTransactionKeyboard(txHash) {
+  const txId = transactionUtils.getTransactionId(txHash);
+  return {
+    inline_keyboard: [
+      [
+        { text: '⚡ Speed up', callback_data: `tx_speedup_${txId}` },
+        { text: '✖️ Cancel', callback_data: `tx_cancel_${txId}` }
+      ]
+    ]
+  };
+}
+
+// Wait for a transaction while showing its progress in the processing message
+// Resolves to the receipt; the caller reports the final outcome.
+async function trackTransaction(chatId, messageId, title, txHash) {
+  return transactionUtils.waitForTransaction(txHash, async (update) => {
+    const texts = {
+      pending: '⏳ Pending, waiting to be mined...',
+      resent: update.cancel
+        ? '✖️ Cancelling: replaced with an empty transfer at a higher fee...'
+        : '⚡ Sped up: resent at a higher fee...',
+      stuck: `🐢 Still pending after ${Math.round(transactionUtils.TX_TIMEOUT_MS / 1000)} seconds. You can speed it up or cancel it.`,
+      mined: `⛏ Mined in block ${update.blockNumber}, waiting for ${transactionUtils.TX_CONFIRMATIONS} confirmations...`
+    };
+    if (!texts[update.status]) return;
     
-    fs.writeFileSync(walletsFile, JSON.stringify(userWallets, null, 2));
+    await bot.editMessageText(
+      `${title}\n\n${texts[update.status]}\n\n` +
+      `[View Transaction](https://explorer.monad.xyz/testnet/tx/${update.hash})`,
+      {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true,
+        // Once mined it can no longer be replaced
+        reply_markup: update.status === 'mined' ? undefined : pendingTransactionKeyboard(txHash)
+      }
+    );
+  });
+}
+
+// Show a token approval sent ahead of a trade in the trade's status message
+// A failed approval is reported by the trade itself.
+function trackApproval(chatId, messageId, symbol) {
+  return (txHash) => {
+    trackTransaction(chatId, messageId, `Approving ${symbol} for trading`, txHash).catch(() => {});
+  };
+}
+
+// Key of a wallet's fill price for a token
+function buyFillKey(walletAddress, tokenAddress) {
+  return `${walletAddress.toLowerCase()}:${tokenAddress.toLowerCase()}`;
+}
+
+// Remember the price paid per token in a buy, from the amount that reached the wallet
+function recordBuyFill(walletAddress, tokenAddress, monAmount, received, decimals) {
+  if (received.gt(0)) {
+    const fillPrice = ethers.utils.parseEther(monAmount).mul(ethers.BigNumber.from(10).pow(decimals)).div(received);
+    buyFills[buyFillKey(walletAddress, tokenAddress)] = ethers.utils.formatEther(fillPrice);
+    storageUtils.saveData('fills.json', buyFills);
+  }
+}
+
+// Add a trade to the history without failing the trade itself
+// Resolves to the recorded trade, or null if it could not be recorded.
+async function recordTrade(params) {
+  // Index the traded tokens straight away rather than waiting for the next log scan
+  tokenIndexUtils.addTokens(params.walletAddress, [params.tokenIn, params.tokenOut].filter(Boolean));
+  
+  try {
+    return await historyUtils.recordTrade(params);
   } catch (error) {
-    logger.error(`Failed to save wallets: ${error.message}`);
+    logger.warn(error.message);
+    return null;
   }
 }
 
@@ -88,11 +436,22 @@ const handleHelp = asyncErrorHandler(async (msg) => {
     chatId,
     `*Monad Testnet Trading Bot Commands:*\n\n` +
     `🚀 /start - Start the bot and see welcome message\n` +
-    `🔐 /createwallet - Manage your wallet (create new or import existing)\n` +
-    `👛 /mywallet - View your wallet details\n` +
+    `🔐 /createwallet - Add a wallet (create new or import existing)\n` +
+    `👛 /mywallet - View, switch, rename or delete your wallets\n` +
     `💰 /balance - Check your MON and token balances\n` +
     `🛒 /buy - Buy tokens on Uniswap V2\n` +
     `💱 /sell - Sell tokens on Uniswap V2\n` +
+    `🔄 /swap - Swap one token for another without going through MON\n` +
+    `🎯 /limit - Place a buy-below or sell-above limit order\n` +
+    `📋 /orders - View and cancel your open orders, stop-losses and take-profits\n` +
+    `👥 /copy <address> - Copy the trades of another wallet; /copy alone manages them\n` +
+    `📜 /history - View and export your trade history\n` +
+    `📊 /portfolio - See the PnL of your positions\n` +
+    `📤 /send - Send MON or tokens to another address\n` +
+    `⚙️ /settings - Set your default slippage, deadline and fee speed\n` +
+    `🔒 /setpassphrase - Protect your wallet with a passphrase\n` +
+    `🔓 /unlock - Unlock a passphrase-protected wallet\n` +
+    `🔐 /lock - Lock your wallet again\n` +
     `❓ /help - Show this help message\n\n` +
     `💎 *Powered by Barney* 💎`,
     { parse_mode: 'Markdown' }
@@ -103,6 +462,12 @@ const handleCreateWallet = asyncErrorHandler(async (msg) => {
   const chatId = msg.chat.id;
   const userId = msg.from.id.toString();
   
+  // New wallets share the passphrase of the user's existing ones
+  if (isLocked(userId)) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.WALLET_LOCKED);
+    return;
+  }
+  
   // Create inline keyboard for wallet options
   const keyboard = {
     inline_keyboard: [
@@ -114,7 +479,7 @@ const handleCreateWallet = asyncErrorHandler(async (msg) => {
   };
   
   // Clear any existing session
-  userSessions[userId] = { state: 'WALLET_MENU' };
+  await sessionStore.set(userId, { state: 'WALLET_MENU' });
   
   await bot.sendMessage(
     chatId,
@@ -127,17 +492,23 @@ const handleCreateNewWallet = asyncErrorHandler(async (msg) => {
   const chatId = msg.chat.id;
   const userId = msg.from.id.toString();
   
+  // New wallets share the passphrase of the user's existing ones
+  if (isLocked(userId)) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.WALLET_LOCKED);
+    return;
+  }
+  
   // Create a new wallet
   const wallet = walletUtils.createWallet();
   
-  // Store wallet data
-  userWallets[userId] = wallet;
-  saveWallets();
+  // Store wallet data encrypted
+  const record = addWallet(userId, wallet);
   
   // Send wallet info to user
   await bot.sendMessage(
     chatId,
     `✅ *New wallet created!*\n\n` +
+    `*Name:* ${record.name}\n` +
     `*Address:* \`${wallet.address}\`\n\n` +
     `*Private Key:* \`${wallet.privateKey}\`\n\n` +
     `*Mnemonic:* \`${wallet.mnemonic}\`\n\n` +
@@ -151,12 +522,12 @@ const handleBalance = asyncErrorHandler(async (msg) => {
   const userId = msg.from.id.toString();
   
   // Check if user has a wallet
-  if (!userWallets[userId]) {
+  if (!getActiveWallet(userId)) {
     await bot.sendMessage(chatId, ERROR_MESSAGES.WALLET_NOT_FOUND);
     return;
   }
   
-  const address = userWallets[userId].address;
+  const address = getActiveWallet(userId).address;
   
   // Send loading message
   const loadingMsg = await bot.sendMessage(chatId, 'Fetching balance information...');
@@ -166,12 +537,12 @@ const handleBalance = asyncErrorHandler(async (msg) => {
     const monBalance = await walletUtils.getBalance(address);
     
     // Format the balance message
-    let balanceMessage = `*Wallet Balance*\n\n` +
+    let balanceMessage = `*Wallet Balance — ${getActiveWallet(userId).name}*\n\n` +
                         `*Address:* \`${address}\`\n\n` +
                         `*MON:* ${monBalance} MON\n\n`;
     
-    // Get ERC20 tokens from MonadScan API
-    const tokens = await monadScanUtils.getWalletTokens(address);
+    // Get ERC20 tokens from the on-chain token index
+    const tokens = await tokenIndexUtils.getWalletTokens(address);
     
     if (tokens && tokens.length > 0) {
       balanceMessage += '*ERC20 Tokens:*\n';
@@ -208,13 +579,13 @@ const handleBuy = asyncErrorHandler(async (msg) => {
   const userId = msg.from.id.toString();
   
   // Check if user has a wallet
-  if (!userWallets[userId]) {
+  if (!getActiveWallet(userId)) {
     await bot.sendMessage(chatId, ERROR_MESSAGES.WALLET_NOT_FOUND);
     return;
   }
   
   // Check if wallet has enough MON
-  const address = userWallets[userId].address;
+  const address = getActiveWallet(userId).address;
   const monBalance = await walletUtils.getBalance(address);
   
   if (parseFloat(monBalance) <= 0) {
@@ -226,7 +597,7 @@ const handleBuy = asyncErrorHandler(async (msg) => {
   }
   
   // Set session state
-  userSessions[userId] = { state: 'BUY_TOKEN' };
+  await sessionStore.set(userId, { state: 'BUY_TOKEN' });
   
   await bot.sendMessage(
     chatId,
@@ -240,13 +611,13 @@ const handleSell = asyncErrorHandler(async (msg) => {
   const userId = msg.from.id.toString();
   
   // Check if user has a wallet
-  if (!userWallets[userId]) {
+  if (!getActiveWallet(userId)) {
     await bot.sendMessage(chatId, ERROR_MESSAGES.WALLET_NOT_FOUND);
     return;
   }
   
   // Set session state
-  userSessions[userId] = { state: 'SELL_TOKEN' };
+  await sessionStore.set(userId, { state: 'SELL_TOKEN' });
   
   await bot.sendMessage(
     chatId,
@@ -260,28 +631,26 @@ const handleContractAddressInput = asyncErrorHandler(async (msg, tokenAddress) =
   const userId = msg.from.id.toString();
   
   // Check if user has a wallet
-  if (!userWallets[userId]) {
+  if (!getActiveWallet(userId)) {
     await bot.sendMessage(chatId, ERROR_MESSAGES.WALLET_NOT_FOUND);
     return;
   }
   
-  const address = userWallets[userId].address;
+  const address = getActiveWallet(userId).address;
   
   // Send loading message
   const loadingMsg = await bot.sendMessage(chatId, 'Fetching token information...');
   
   try {
-    // Get token info
-    const tokenInfo = await uniswapUtils.getTokenInfo(tokenAddress);
-    
-    // Get additional token details from MonadScan API
-    const tokenDetails = await monadScanUtils.getTokenDetails(tokenAddress);
-    
-    // Get token balance
-    const tokenBalance = await walletUtils.getTokenBalance(address, tokenAddress);
-    
-    // Get MON balance
-    const monBalance = await walletUtils.getBalance(address);
+    // Get token info, balances, MonadScan details, pool liquidity and the risk analysis; the on-chain reads go out as one batch
+    const [tokenInfo, tokenDetails, tokenBalance, monBalance, liquidity, analysis] = await Promise.all([
+      uniswapUtils.getTokenInfo(tokenAddress),
+      monadScanUtils.getTokenDetails(tokenAddress),
+      walletUtils.getTokenBalance(address, tokenAddress),
+      walletUtils.getBalance(address),
+      describeLiquidity(tokenAddress),
+      analyzeTokenForCard(tokenAddress, address)
+    ]);
     
     // Format market cap and price info
     const marketCap = tokenDetails.marketCap ? `$${Number(tokenDetails.marketCap).toLocaleString()}` : 'Unknown';
@@ -305,7 +674,9 @@ const handleContractAddressInput = asyncErrorHandler(async (msg, tokenAddress) =
     await bot.editMessageText(
       `*Token found: ${tokenInfo.name} (${tokenInfo.symbol})*\n\n` +
       `💰 *Market Cap:* ${marketCap}\n` +
-      `💲 *Price:* ${price}\n\n` +
+      `💲 *Price:* ${price}\n` +
+      `💧 *Liquidity:* ${liquidity}\n\n` +
+      `${describeTokenRisk(analysis)}\n\n` +
       `*Your Balance:* ${formattedBalance} ${tokenInfo.symbol}\n` +
       `*Your MON:* ${monBalance} MON\n\n` +
       `What would you like to do with this token?`,
@@ -333,6 +704,13 @@ bot.on('callback_query', asyncErrorHandler(async (query) => {
   const userId = query.from.id.toString();
   const data = query.data;
   
+  // Confirm buttons answer their own query, with an alert when the tap is refused
+  const confirmMatch = data.match(/^confirm_(buy|sell|send|swap|limit|copy)(?:_([0-9a-f]+))?$/);
+  if (confirmMatch) {
+    await handleConfirmation(query, confirmMatch[1], confirmMatch[2]);
+    return;
+  }
+  
   // Acknowledge the callback query
   await bot.answerCallbackQuery(query.id);
   
@@ -349,6 +727,97 @@ bot.on('callback_query', asyncErrorHandler(async (query) => {
     return;
   }
   
+  if (data.startsWith('settings_')) {
+    await handleSettingsChoice(query);
+    return;
+  }
+  
+  if (data === 'trade_back') {
+    const session = await sessionStore.get(userId);
+    if (!session || !TRADE_CONFIRM_STATES.includes(session.state)) {
+      await bot.sendMessage(chatId, ERROR_MESSAGES.SESSION_EXPIRED);
+      return;
+    }
+    await showTradeConfirmation(chatId, userId);
+    return;
+  }
+  
+  if (data.startsWith('trade_')) {
+    await handleTradeOverride(query);
+    return;
+  }
+  
+  if (data.startsWith('tx_speedup_')) {
+    await handleReplaceTransaction(query, 'speedup', data.replace('tx_speedup_', ''));
+    return;
+  }
+  
+  if (data.startsWith('tx_cancel_')) {
+    await handleReplaceTransaction(query, 'cancel', data.replace('tx_cancel_', ''));
+    return;
+  }
+  
+  if (data.startsWith('wallet_select_')) {
+    await handleSelectWallet(query, data.replace('wallet_select_', ''));
+    return;
+  }
+  
+  if (data.startsWith('send_asset_')) {
+    await handleSendAssetChoice(query, data.replace('send_asset_', ''));
+    return;
+  }
+  
+  if (data.startsWith('limit_side_')) {
+    await handleLimitSideChoice(query, data.replace('limit_side_', ''));
+    return;
+  }
+  
+  if (data.startsWith('stoploss_')) {
+    await handleExitChoice(query, 'stop_loss', data.replace('stoploss_', ''));
+    return;
+  }
+  
+  if (data.startsWith('takeprofit_')) {
+    await handleExitChoice(query, 'take_profit', data.replace('takeprofit_', ''));
+    return;
+  }
+  
+  if (data.startsWith('exit_pct_')) {
+    await handleExitPercentChoice(query, data.replace('exit_pct_', ''));
+    return;
+  }
+  
+  if (data.startsWith('exit_size_')) {
+    await handleExitSizeChoice(query, data.replace('exit_size_', ''));
+    return;
+  }
+  
+  if (data.startsWith('history_')) {
+    await handleHistoryCallback(query);
+    return;
+  }
+  
+  if (data.startsWith('order_cancel_')) {
+    await handleCancelOrder(query, data.replace('order_cancel_', ''));
+    return;
+  }
+  
+  if (data.startsWith('copy_sizing_')) {
+    await handleCopySizingChoice(query, data.replace('copy_sizing_', ''));
+    return;
+  }
+  
+  const followMatch = data.match(/^copy_(pause|resume|stop)_([0-9a-f]+)$/);
+  if (followMatch) {
+    await handleFollowAction(query, followMatch[1], followMatch[2]);
+    return;
+  }
+  
+  if (data.startsWith('swap_in_')) {
+    await handleSwapInputChoice(query, data.replace('swap_in_', ''));
+    return;
+  }
+  
   // Handle buy token button
   if (data.startsWith('buy_token_')) {
     const tokenAddress = data.replace('buy_token_', '');
@@ -356,32 +825,19 @@ bot.on('callback_query', asyncErrorHandler(async (query) => {
     const userId = query.from.id.toString();
     
     // Set session state for buying this token
-    userSessions[userId] = { 
+    const tokenInfo = await uniswapUtils.getTokenInfo(tokenAddress);
+    await sessionStore.set(userId, {
       state: 'BUY_AMOUNT',
       tokenAddress,
-      tokenInfo: await uniswapUtils.getTokenInfo(tokenAddress)
-    };
+      tokenInfo
+    });
     
     // Create inline keyboard for amount options
-    const keyboard = {
-      inline_keyboard: [
-        [
-          { text: '1 MON', callback_data: 'buy_1' },
-          { text: '2 MON', callback_data: 'buy_2' },
-          { text: '5 MON', callback_data: 'buy_5' }
-        ],
-        [
-          { text: '10 MON', callback_data: 'buy_10' },
-          { text: '50 MON', callback_data: 'buy_50' },
-          { text: 'Custom', callback_data: 'buy_custom' }
-        ],
-        [{ text: 'Cancel', callback_data: 'cancel' }]
-      ]
-    };
+    const keyboard = buyAmountKeyboard(false);
     
     await bot.sendMessage(
       chatId,
-      `Token: ${userSessions[userId].tokenInfo.symbol} (${userSessions[userId].tokenInfo.name})\n` +
+      `Token: ${tokenInfo.symbol} (${tokenInfo.name})\n` +
       `Address: ${tokenAddress}\n\n` +
       `How much MON do you want to spend?`,
       { reply_markup: keyboard }
@@ -408,28 +864,15 @@ bot.on('callback_query', asyncErrorHandler(async (query) => {
       }
       
       // Store in session
-      userSessions[userId] = {
+      await sessionStore.set(userId, {
         state: 'SELL_AMOUNT',
         tokenAddress,
         tokenInfo,
         tokenBalance: tokenBalance.balance
-      };
+      });
       
       // Create inline keyboard for amount options
-      const keyboard = {
-        inline_keyboard: [
-          [
-            { text: '25%', callback_data: 'sell_25' },
-            { text: '50%', callback_data: 'sell_50' },
-            { text: '75%', callback_data: 'sell_75' }
-          ],
-          [
-            { text: '100%', callback_data: 'sell_100' },
-            { text: 'Custom', callback_data: 'sell_custom' }
-          ],
-          [{ text: 'Cancel', callback_data: 'cancel' }]
-        ]
-      };
+      const keyboard = sellAmountKeyboard(false);
       
       await bot.sendMessage(
         chatId,
@@ -454,7 +897,7 @@ bot.on('callback_query', asyncErrorHandler(async (query) => {
       break;
       
     case 'mywallet':
-      await handleMyWalletImplementation({ chat: { id: chatId }, from: { id: userId } });
+      await handleMyWallet({ chat: { id: chatId }, from: { id: userId } });
       break;
       
     case 'balance':
@@ -478,38 +921,46 @@ bot.on('callback_query', asyncErrorHandler(async (query) => {
       break;
       
     case 'show_private_key':
-      if (userWallets[userId]) {
+      if (isLocked(userId)) {
+        await bot.sendMessage(chatId, ERROR_MESSAGES.WALLET_LOCKED);
+      } else if (getActiveWallet(userId)) {
+        const activeWallet = getActiveWallet(userId);
+        const privateKey = keystoreUtils.decryptPrivateKey(activeWallet, getPassphrase(userId));
         await bot.sendMessage(
           chatId,
-          `*Your Private Key:*\n\n\`${userWallets[userId].privateKey}\`\n\n⚠️ *NEVER share this with anyone!*`,
+          `*Private Key of ${activeWallet.name}:*\n\n\`${privateKey}\`\n\n⚠️ *NEVER share this with anyone!*`,
           { parse_mode: 'Markdown' }
         );
       }
       break;
       
     case 'delete_wallet':
-      if (userWallets[userId]) {
-        delete userWallets[userId];
-        saveWallets();
-        await bot.sendMessage(
-          chatId,
-          '✅ Your wallet has been deleted from this bot.'
-        );
+      await handleDeleteWallet(query);
+      break;
+      
+    case 'confirm_delete_wallet':
+      await handleConfirmDeleteWallet(query);
+      break;
+      
+    case 'rename_wallet':
+      if (getActiveWallet(userId)) {
+        await sessionStore.set(userId, { state: 'RENAME_WALLET' });
+        await bot.sendMessage(chatId, `Please enter a new name for ${getActiveWallet(userId).name}:`);
       }
       break;
       
     case 'import_private_key':
-      userSessions[userId] = { state: 'IMPORT_PRIVATE_KEY' };
+      await sessionStore.set(userId, { state: 'IMPORT_PRIVATE_KEY' });
       await bot.sendMessage(chatId, 'Please enter your private key:');
       break;
       
     case 'import_mnemonic':
-      userSessions[userId] = { state: 'IMPORT_MNEMONIC' };
+      await sessionStore.set(userId, { state: 'IMPORT_MNEMONIC' });
       await bot.sendMessage(chatId, 'Please enter your mnemonic phrase:');
       break;
       
     case 'cancel':
-      delete userSessions[userId];
+      await sessionStore.delete(userId);
       await bot.sendMessage(chatId, 'Operation cancelled.');
       break;
       
@@ -523,6 +974,10 @@ bot.on('callback_query', asyncErrorHandler(async (query) => {
       await handleBuyAmountChoice(query);
       break;
       
+    case 'buy_mode':
+      await handleBuyModeToggle(query);
+      break;
+      
     // Sell amount options
     case 'sell_25':
     case 'sell_50':
@@ -532,13 +987,26 @@ bot.on('callback_query', asyncErrorHandler(async (query) => {
       await handleSellAmountChoice(query);
       break;
       
-    // Confirmation
-    case 'confirm_buy':
-      await handleConfirmBuy(query);
+    case 'sell_mode':
+      await handleSellModeToggle(query);
       break;
       
-    case 'confirm_sell':
-      await handleConfirmSell(query);
+    // Send amount options
+    case 'send_pct_25':
+    case 'send_pct_50':
+    case 'send_pct_75':
+    case 'send_pct_100':
+    case 'send_custom':
+      await handleSendAmountChoice(query);
+      break;
+      
+    // Swap amount options
+    case 'swap_pct_25':
+    case 'swap_pct_50':
+    case 'swap_pct_75':
+    case 'swap_pct_100':
+    case 'swap_custom':
+      await handleSwapAmountChoice(query);
       break;
   }
 }));
@@ -555,24 +1023,35 @@ bot.on('message', asyncErrorHandler(async (msg) => {
   // Check if text is a contract address (even without active session)
   if (text.match(/^0x[a-fA-F0-9]{40}$/)) {
     // Check if user has a wallet
-    if (!userWallets[userId]) {
+    if (!getActiveWallet(userId)) {
       await bot.sendMessage(chatId, ERROR_MESSAGES.WALLET_NOT_FOUND);
       return;
     }
     
+    const addressSession = await sessionStore.get(userId);
+    
     // If no active session, show token details with buy/sell buttons
-    if (!userSessions[userId] || !userSessions[userId].state) {
+    if (!addressSession || !addressSession.state) {
       await handleContractAddressInput(msg, text);
       return;
     }
     
     // If there's an active session, process according to the state
-    if (userSessions[userId].state === 'BUY_TOKEN') {
+    if (addressSession.state === 'BUY_TOKEN') {
       await handleBuyTokenAddress(msg);
       return;
-    } else if (userSessions[userId].state === 'SELL_TOKEN') {
+    } else if (addressSession.state === 'SELL_TOKEN') {
       await handleSellTokenAddress(msg);
       return;
+    } else if (addressSession.state === 'SEND_RECIPIENT') {
+      await handleSendRecipient(msg);
+      return;
+    } else if (addressSession.state === 'SWAP_OUTPUT') {
+      await handleSwapOutputToken(msg);
+      return;
+    } else if (addressSession.state === 'LIMIT_TOKEN') {
+      await handleLimitTokenAddress(msg);
+      return;
     }
     
     // For any other state, show token details with buy/sell buttons
@@ -581,9 +1060,8 @@ bot.on('message', asyncErrorHandler(async (msg) => {
   }
   
   // Check if user has an active session
-  if (!userSessions[userId]) return;
-  
-  const session = userSessions[userId];
+  const session = await sessionStore.get(userId);
+  if (!session) return;
   
   switch (session.state) {
     case 'IMPORT_PRIVATE_KEY':
@@ -594,6 +1072,28 @@ bot.on('message', asyncErrorHandler(async (msg) => {
       await handleImportMnemonic(msg);
       break;
       
+    case 'UNLOCK_WALLET':
+      await handleUnlockPassphrase(msg);
+      break;
+      
+    case 'SET_PASSPHRASE':
+      await handleNewPassphrase(msg);
+      break;
+      
+    case 'RENAME_WALLET':
+      await handleRenameWallet(msg);
+      break;
+      
+    case 'SETTINGS_CUSTOM_SLIPPAGE':
+    case 'SETTINGS_CUSTOM_DEADLINE':
+      await handleSettingsCustomValue(msg);
+      break;
+      
+    case 'TRADE_CUSTOM_SLIPPAGE':
+    case 'TRADE_CUSTOM_DEADLINE':
+      await handleTradeCustomSetting(msg);
+      break;
+      
     case 'BUY_TOKEN':
       await handleBuyTokenAddress(msg);
       break;
@@ -609,8 +1109,49 @@ bot.on('message', asyncErrorHandler(async (msg) => {
     case 'SELL_CUSTOM_AMOUNT':
       await handleSellCustomAmount(msg);
       break;
-  }
-}));
+      
+    case 'SEND_RECIPIENT':
+      await handleSendRecipient(msg);
+      break;
+      
+    case 'SEND_CUSTOM_AMOUNT':
+      await handleSendCustomAmount(msg);
+      break;
+      
+    case 'SWAP_OUTPUT':
+      await handleSwapOutputToken(msg);
+      break;
+      
+    case 'SWAP_CUSTOM_AMOUNT':
+      await handleSwapCustomAmount(msg);
+      break;
+      
+    case 'LIMIT_TOKEN':
+      await handleLimitTokenAddress(msg);
+      break;
+      
+    case 'LIMIT_PRICE':
+      await handleLimitPrice(msg);
+      break;
+      
+    case 'LIMIT_AMOUNT':
+      await handleLimitAmount(msg);
+      break;
+      
+    case 'EXIT_CUSTOM_PERCENT':
+      await handleExitCustomPercent(msg);
+      break;
+      
+    case 'COPY_AMOUNT':
+      await handleCopyAmount(msg);
+      break;
+      
+    case 'COPY_TRADE_CAP':
+    case 'COPY_DAILY_LIMIT':
+      await handleCopyCap(msg);
+      break;
+  }
+}));
 
 // Additional handler implementations
 const handleImportPrivateKey = asyncErrorHandler(async (msg) => {
@@ -618,21 +1159,24 @@ const handleImportPrivateKey = asyncErrorHandler(async (msg) => {
   const userId = msg.from.id.toString();
   const privateKey = msg.text.trim();
   
+  // Don't leave the key in the chat history
+  await deleteSecretMessage(msg);
+  
   try {
     // Import wallet from private key
     const wallet = walletUtils.importWalletFromPrivateKey(privateKey);
     
-    // Store wallet data
-    userWallets[userId] = wallet;
-    saveWallets();
+    // Store wallet data encrypted
+    const record = addWallet(userId, wallet);
     
     // Clear session
-    delete userSessions[userId];
+    await sessionStore.delete(userId);
     
     // Send wallet info to user
     await bot.sendMessage(
       chatId,
       `✅ *Wallet imported successfully!*\n\n` +
+      `*Name:* ${record.name}\n` +
       `*Address:* \`${wallet.address}\``,
       { parse_mode: 'Markdown' }
     );
@@ -646,21 +1190,24 @@ const handleImportMnemonic = asyncErrorHandler(async (msg) => {
   const userId = msg.from.id.toString();
   const mnemonic = msg.text.trim();
   
+  // Don't leave the mnemonic in the chat history
+  await deleteSecretMessage(msg);
+  
   try {
     // Import wallet from mnemonic
     const wallet = walletUtils.importWalletFromMnemonic(mnemonic);
     
-    // Store wallet data
-    userWallets[userId] = wallet;
-    saveWallets();
+    // Store wallet data encrypted
+    const record = addWallet(userId, wallet);
     
     // Clear session
-    delete userSessions[userId];
+    await sessionStore.delete(userId);
     
     // Send wallet info to user
     await bot.sendMessage(
       chatId,
       `✅ *Wallet imported successfully!*\n\n` +
+      `*Name:* ${record.name}\n` +
       `*Address:* \`${wallet.address}\``,
       { parse_mode: 'Markdown' }
     );
@@ -681,42 +1228,33 @@ const handleBuyTokenAddress = asyncErrorHandler(async (msg) => {
   }
   
   // If user is in BUY_TOKEN state, proceed with buying
-  if (userSessions[userId] && userSessions[userId].state === 'BUY_TOKEN') {
+  const session = await sessionStore.get(userId);
+  if (session && session.state === 'BUY_TOKEN') {
     // Send loading message
     const loadingMsg = await bot.sendMessage(chatId, 'Fetching token information...');
     
     try {
-      // Get token info
-      const tokenInfo = await uniswapUtils.getTokenInfo(tokenAddress);
+      // Get token info and check the token for traps
+      const [tokenInfo, analysis] = await Promise.all([
+        uniswapUtils.getTokenInfo(tokenAddress),
+        analyzeTokenForCard(tokenAddress, getActiveWallet(userId).address)
+      ]);
       
       // Store in session
-      userSessions[userId] = {
+      await sessionStore.set(userId, {
         state: 'BUY_AMOUNT',
         tokenAddress,
         tokenInfo
-      };
+      });
       
       // Create inline keyboard for amount options
-      const keyboard = {
-        inline_keyboard: [
-          [
-            { text: '1 MON', callback_data: 'buy_1' },
-            { text: '2 MON', callback_data: 'buy_2' },
-            { text: '5 MON', callback_data: 'buy_5' }
-          ],
-          [
-            { text: '10 MON', callback_data: 'buy_10' },
-            { text: '50 MON', callback_data: 'buy_50' },
-          { text: 'Custom', callback_data: 'buy_custom' }
-        ],
-        [{ text: 'Cancel', callback_data: 'cancel' }]
-      ]
-    };
+      const keyboard = buyAmountKeyboard(false);
     
     // Update message
     await bot.editMessageText(
       `Token: ${tokenInfo.symbol} (${tokenInfo.name})\n` +
       `Address: ${tokenAddress}\n\n` +
+      `${describeTokenRisk(analysis)}\n\n` +
       `How much MON do you want to spend?`,
       {
         chat_id: chatId,
@@ -745,37 +1283,57 @@ const handleBuyAmountChoice = asyncErrorHandler(async (query) => {
   const data = query.data;
   
   // Get session data
-  const session = userSessions[userId];
-  if (!session || session.state !== 'BUY_AMOUNT') return;
+  const session = await sessionStore.get(userId);
+  if (!session || session.state !== 'BUY_AMOUNT') {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.SESSION_EXPIRED);
+    return;
+  }
   
   if (data === 'buy_custom') {
     // Ask for custom amount
-    userSessions[userId].state = 'BUY_CUSTOM_AMOUNT';
-    await bot.sendMessage(chatId, 'Please enter the amount of MON you want to spend:');
+    session.state = 'BUY_CUSTOM_AMOUNT';
+    await sessionStore.set(userId, session);
+    await bot.sendMessage(
+      chatId,
+      session.exactOutput
+        ? `Please enter the amount of ${session.tokenInfo.symbol} you want to buy:`
+        : 'Please enter the amount of MON you want to spend:'
+    );
     return;
   }
   
   // Parse amount from callback data
   const amount = data.split('_')[1];
   
-  // Store amount in session
-  userSessions[userId].monAmount = amount;
+  // Store amount in session; preset amounts are always in MON
+  session.monAmount = amount;
+  delete session.exactOutput;
+  await sessionStore.set(userId, session);
   
-  // Create confirmation keyboard
-  const keyboard = {
-    inline_keyboard: [
-      [
-        { text: '✅ Confirm', callback_data: 'confirm_buy' },
-        { text: '❌ Cancel', callback_data: 'cancel' }
-      ]
-    ]
-  };
+  await showBuyConfirmation(chatId, userId);
+});
+
+// Switch a buy between spending a MON amount and receiving an exact token amount
+const handleBuyModeToggle = asyncErrorHandler(async (query) => {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  
+  // Get session data
+  const session = await sessionStore.get(userId);
+  if (!session || session.state !== 'BUY_AMOUNT') {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.SESSION_EXPIRED);
+    return;
+  }
+  
+  session.exactOutput = !session.exactOutput;
+  await sessionStore.set(userId, session);
   
   await bot.sendMessage(
     chatId,
-    `You are about to buy ${session.tokenInfo.symbol} with ${amount} MON.\n\n` +
-    `Do you want to proceed?`,
-    { reply_markup: keyboard }
+    session.exactOutput
+      ? `How many ${session.tokenInfo.symbol} do you want to buy?`
+      : 'How much MON do you want to spend?',
+    { reply_markup: buyAmountKeyboard(session.exactOutput) }
   );
 });
 
@@ -792,73 +1350,171 @@ const handleBuyCustomAmount = asyncErrorHandler(async (msg) => {
   }
   
   // Get session data
-  const session = userSessions[userId];
+  const session = await sessionStore.get(userId);
   if (!session || session.state !== 'BUY_CUSTOM_AMOUNT') return;
   
   // Check if user has enough balance
-  const address = userWallets[userId].address;
+  const address = getActiveWallet(userId).address;
   const monBalance = await walletUtils.getBalance(address);
   
-  if (parseFloat(monBalance) < amount) {
-    await bot.sendMessage(
-      chatId,
-      `${ERROR_MESSAGES.INSUFFICIENT_BALANCE} Your balance: ${monBalance} MON`
-    );
-    return;
+  if (session.exactOutput) {
+    // The most the tokens can cost must be covered
+    let quote;
+    try {
+      quote = await uniswapUtils.getExactBuyQuote(
+        address,
+        session.tokenAddress,
+        amount.toString(),
+        getTradeSettings(userId, session).slippageBps
+      );
+    } catch (error) {
+      await bot.sendMessage(chatId, `❌ ${error.message}`);
+      return;
+    }
+    
+    if (parseFloat(monBalance) < parseFloat(quote.maximumSpent)) {
+      await bot.sendMessage(
+        chatId,
+        `${ERROR_MESSAGES.INSUFFICIENT_BALANCE} ${amount} ${session.tokenInfo.symbol} can cost up to ` +
+        `${quote.maximumSpent} MON. Your balance: ${monBalance} MON`
+      );
+      return;
+    }
+    
+    session.tokenAmount = amount.toString();
+  } else {
+    if (parseFloat(monBalance) < amount) {
+      await bot.sendMessage(
+        chatId,
+        `${ERROR_MESSAGES.INSUFFICIENT_BALANCE} Your balance: ${monBalance} MON`
+      );
+      return;
+    }
+    
+    session.monAmount = amount.toString();
   }
   
   // Store amount in session
-  userSessions[userId].state = 'BUY_AMOUNT';
-  userSessions[userId].monAmount = amount.toString();
+  session.state = 'BUY_AMOUNT';
+  await sessionStore.set(userId, session);
   
-  // Create confirmation keyboard
-  const keyboard = {
-    inline_keyboard: [
-      [
-        { text: '✅ Confirm', callback_data: 'confirm_buy' },
-        { text: '❌ Cancel', callback_data: 'cancel' }
-      ]
-    ]
+  await showBuyConfirmation(chatId, userId);
+});
+
+// Run a confirmed operation at most once
+// The confirm token is used up and the session cleared before the operation
+// starts, so the handler works from a snapshot that no button of the old
+// confirmation can reuse. A user runs one confirmed operation at a time;
+// handlers that send a transaction release the lock once it is sent, so
+// waiting for confirmations does not block the user.
+const handleConfirmation = asyncErrorHandler(async (query, action, confirmToken) => {
+  const userId = query.from.id.toString();
+  
+  if (activeOperations.has(userId)) {
+    await bot.answerCallbackQuery(query.id, { text: ERROR_MESSAGES.OPERATION_IN_PROGRESS, show_alert: true });
+    return;
+  }
+  activeOperations.add(userId);
+  // Release at most once, so a later operation's lock is never cleared
+  let released = false;
+  const releaseLock = () => {
+    if (!released) {
+      released = true;
+      activeOperations.delete(userId);
+    }
   };
   
-  await bot.sendMessage(
-    chatId,
-    `You are about to buy ${session.tokenInfo.symbol} with ${amount} MON.\n\n` +
-    `Do you want to proceed?`,
-    { reply_markup: keyboard }
-  );
+  try {
+    const session = await sessionStore.get(userId);
+    if (!session || !confirmToken || session.confirmToken !== confirmToken) {
+      await bot.answerCallbackQuery(query.id, { text: ERROR_MESSAGES.CONFIRMATION_USED, show_alert: true });
+      return;
+    }
+    
+    delete session.confirmToken;
+    await sessionStore.delete(userId);
+    await bot.answerCallbackQuery(query.id);
+    
+    const handlers = {
+      buy: handleConfirmBuy,
+      sell: handleConfirmSell,
+      send: handleConfirmSend,
+      swap: handleConfirmSwap,
+      limit: handleConfirmLimit,
+      copy: handleConfirmCopy
+    };
+    await handlers[action](query, session, releaseLock);
+  } finally {
+    releaseLock();
+  }
 });
 
-const handleConfirmBuy = asyncErrorHandler(async (query) => {
+const handleConfirmBuy = asyncErrorHandler(async (query, session, releaseLock = () => {}) => {
   const chatId = query.message.chat.id;
   const userId = query.from.id.toString();
   
-  // Get session data
-  const session = userSessions[userId];
-  if (!session) return;
+  if (!session) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.SESSION_EXPIRED);
+    return;
+  }
   
   const tokenAddress = session.tokenAddress;
   const tokenInfo = session.tokenInfo;
   const monAmount = session.monAmount;
-  const privateKey = userWallets[userId].privateKey;
+  const tokenAmount = session.tokenAmount;
+  const exactOutput = Boolean(session.exactOutput);
+  const walletRecord = getActiveWallet(userId);
   
   // Send processing message
   const processingMsg = await bot.sendMessage(
     chatId,
     `Processing your purchase of ${tokenInfo.symbol}...\n` +
-    `Amount: ${monAmount} MON\n\n` +
+    `Amount: ${exactOutput ? `${tokenAmount} ${tokenInfo.symbol}` : `${monAmount} MON`}\n\n` +
     `Please wait, this may take a moment.`
   );
   
   try {
     // Execute the buy transaction
-    const txHash = await uniswapUtils.buyToken(privateKey, tokenAddress, monAmount);
+    const options = {
+      passphrase: getPassphrase(userId),
+      ...getTradeSettings(userId, session)
+    };
+    const txHash = exactOutput
+      ? await uniswapUtils.buyExactTokens(walletRecord, tokenAddress, tokenAmount, options)
+      : await uniswapUtils.buyToken(walletRecord, tokenAddress, monAmount, options);
+    releaseLock();
+    const receipt = await trackTransaction(
+      chatId,
+      processingMsg.message_id,
+      exactOutput ? `Buying ${tokenAmount} ${tokenInfo.symbol}` : `Buying ${tokenInfo.symbol} for ${monAmount} MON`,
+      txHash
+    );
+    
+    const trade = await recordTrade({
+      userId,
+      walletAddress: walletRecord.address,
+      side: 'buy',
+      tokenIn: null,
+      tokenOut: tokenAddress,
+      txHash: receipt.transactionHash
+    });
+    
+    // An exact buy spends only what the route needed; the rest of the MON sent is refunded
+    const monSpent = exactOutput ? trade && trade.amountIn : monAmount;
+    
+    // The amount received is net of any buy tax, and gives the fill price
+    const received = uniswapUtils.getReceivedAmount(receipt, tokenAddress, walletRecord.address);
+    if (monSpent) {
+      recordBuyFill(walletRecord.address, tokenAddress, monSpent, received, tokenInfo.decimals);
+    }
     
     // Format success message with transaction link
     const successText = 
       `✅ *Purchase Successful!*\n\n` +
-      `Bought ${tokenInfo.symbol} for ${monAmount} MON\n\n` +
-      `[View Transaction](https://explorer.monad.xyz/testnet/tx/${txHash})`;
+      `Bought ${ethers.utils.formatUnits(received, tokenInfo.decimals)} ${tokenInfo.symbol}` +
+      `${monSpent ? ` for ${monSpent} MON` : ''}\n` +
+      `Confirmed in block ${receipt.blockNumber}\n\n` +
+      `[View Transaction](https://explorer.monad.xyz/testnet/tx/${receipt.transactionHash})`;
     
     await bot.editMessageText(
       successText,
@@ -874,25 +1530,21 @@ const handleConfirmBuy = asyncErrorHandler(async (query) => {
     setTimeout(async () => {
       try {
         // Get updated token balance
-        const address = userWallets[userId].address;
+        const address = getActiveWallet(userId).address;
         const tokenBalance = await walletUtils.getTokenBalance(address, tokenAddress);
         
-        // Get token details from MonadScan API
-        const tokenDetails = await monadScanUtils.getTokenDetails(tokenAddress);
+        // Get token details from MonadScan API and the pool liquidity
+        const [tokenDetails, liquidity] = await Promise.all([
+          monadScanUtils.getTokenDetails(tokenAddress),
+          describeLiquidity(tokenAddress)
+        ]);
         
         // Format market cap and price info
         const marketCap = tokenDetails.marketCap ? `$${Number(tokenDetails.marketCap).toLocaleString()}` : 'Unknown';
         const price = tokenDetails.price ? `$${Number(tokenDetails.price).toLocaleString()}` : 'Unknown';
         
-        // Create refresh and sell buttons
-        const keyboard = {
-          inline_keyboard: [
-            [
-              { text: '🔄 Refresh', callback_data: `refresh_${tokenAddress}` },
-              { text: '💰 Sell', callback_data: `sell_${tokenAddress}` }
-            ]
-          ]
-        };
+        // Create refresh, sell and exit buttons
+        const keyboard = positionKeyboard(tokenAddress);
         
         // Format balance
         const formattedBalance = tokenBalance && tokenBalance.balance ? tokenBalance.balance : '0';
@@ -902,7 +1554,8 @@ const handleConfirmBuy = asyncErrorHandler(async (query) => {
           chatId,
           `*${tokenInfo.name} (${tokenInfo.symbol}) Details*\n\n` +
           `💰 *Market Cap:* ${marketCap}\n` +
-          `💲 *Price:* ${price}\n\n` +
+          `💲 *Price:* ${price}\n` +
+          `💧 *Liquidity:* ${liquidity}\n\n` +
           `*Your Balance:* ${formattedBalance} ${tokenInfo.symbol}`,
           {
             parse_mode: 'Markdown',
@@ -923,9 +1576,6 @@ const handleConfirmBuy = asyncErrorHandler(async (query) => {
       }
     );
   }
-  
-  // Clear session
-  delete userSessions[userId];
 });
 
 const handleSellTokenAddress = asyncErrorHandler(async (msg) => {
@@ -940,13 +1590,14 @@ const handleSellTokenAddress = asyncErrorHandler(async (msg) => {
   }
   
   // If user is in SELL_TOKEN state, proceed with selling
-  if (userSessions[userId] && userSessions[userId].state === 'SELL_TOKEN') {
+  const session = await sessionStore.get(userId);
+  if (session && session.state === 'SELL_TOKEN') {
     // Send loading message
     const loadingMsg = await bot.sendMessage(chatId, 'Fetching token information...');
     
     try {
       // Get token info and balance
-      const address = userWallets[userId].address;
+      const address = getActiveWallet(userId).address;
       const tokenInfo = await uniswapUtils.getTokenInfo(tokenAddress);
       const tokenBalance = await walletUtils.getTokenBalance(address, tokenAddress);
       
@@ -960,28 +1611,15 @@ const handleSellTokenAddress = asyncErrorHandler(async (msg) => {
       }
       
       // Store in session
-      userSessions[userId] = {
+      await sessionStore.set(userId, {
         state: 'SELL_AMOUNT',
         tokenAddress,
         tokenInfo,
         tokenBalance: tokenBalance.balance
-      };
+      });
       
       // Create inline keyboard for amount options
-      const keyboard = {
-        inline_keyboard: [
-          [
-            { text: '25%', callback_data: 'sell_25' },
-            { text: '50%', callback_data: 'sell_50' },
-            { text: '75%', callback_data: 'sell_75' }
-          ],
-          [
-            { text: '100%', callback_data: 'sell_100' },
-            { text: 'Custom', callback_data: 'sell_custom' }
-          ],
-          [{ text: 'Cancel', callback_data: 'cancel' }]
-        ]
-      };
+      const keyboard = sellAmountKeyboard(false);
       
       // Update message
       await bot.editMessageText(
@@ -1015,15 +1653,21 @@ const handleSellAmountChoice = asyncErrorHandler(async (query) => {
   const data = query.data;
   
   // Get session data
-  const session = userSessions[userId];
-  if (!session || session.state !== 'SELL_AMOUNT') return;
+  const session = await sessionStore.get(userId);
+  if (!session || session.state !== 'SELL_AMOUNT') {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.SESSION_EXPIRED);
+    return;
+  }
   
   if (data === 'sell_custom') {
     // Ask for custom amount
-    userSessions[userId].state = 'SELL_CUSTOM_AMOUNT';
+    session.state = 'SELL_CUSTOM_AMOUNT';
+    await sessionStore.set(userId, session);
     await bot.sendMessage(
       chatId,
-      `Please enter the amount of ${session.tokenInfo.symbol} you want to sell (max: ${session.tokenBalance}):`
+      session.exactOutput
+        ? `Please enter the amount of MON you want to receive (balance: ${session.tokenBalance} ${session.tokenInfo.symbol}):`
+        : `Please enter the amount of ${session.tokenInfo.symbol} you want to sell (max: ${session.tokenBalance}):`
     );
     return;
   }
@@ -1033,24 +1677,36 @@ const handleSellAmountChoice = asyncErrorHandler(async (query) => {
   const totalBalance = parseFloat(session.tokenBalance);
   const amount = (totalBalance * percentage / 100).toFixed(6);
   
-  // Store amount in session
-  userSessions[userId].tokenAmount = amount;
+  // Store amount in session; percentages are always of the token balance
+  session.tokenAmount = amount;
+  session.percentage = percentage;
+  delete session.exactOutput;
+  await sessionStore.set(userId, session);
   
-  // Create confirmation keyboard
-  const keyboard = {
-    inline_keyboard: [
-      [
-        { text: '✅ Confirm', callback_data: 'confirm_sell' },
-        { text: '❌ Cancel', callback_data: 'cancel' }
-      ]
-    ]
-  };
+  await showSellConfirmation(chatId, userId);
+});
+
+// Switch a sell between selling a token amount and receiving an exact MON amount
+const handleSellModeToggle = asyncErrorHandler(async (query) => {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  
+  // Get session data
+  const session = await sessionStore.get(userId);
+  if (!session || session.state !== 'SELL_AMOUNT') {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.SESSION_EXPIRED);
+    return;
+  }
+  
+  session.exactOutput = !session.exactOutput;
+  await sessionStore.set(userId, session);
   
   await bot.sendMessage(
     chatId,
-    `You are about to sell ${amount} ${session.tokenInfo.symbol} (${percentage}% of your balance).\n\n` +
-    `Do you want to proceed?`,
-    { reply_markup: keyboard }
+    session.exactOutput
+      ? `How much MON do you want to receive for your ${session.tokenInfo.symbol}?`
+      : 'How much do you want to sell?',
+    { reply_markup: sellAmountKeyboard(session.exactOutput) }
   );
 });
 
@@ -1067,70 +1723,115 @@ const handleSellCustomAmount = asyncErrorHandler(async (msg) => {
   }
   
   // Get session data
-  const session = userSessions[userId];
+  const session = await sessionStore.get(userId);
   if (!session || session.state !== 'SELL_CUSTOM_AMOUNT') return;
   
   // Check if amount is valid
   const totalBalance = parseFloat(session.tokenBalance);
-  if (amount > totalBalance) {
-    await bot.sendMessage(
-      chatId,
-      `${ERROR_MESSAGES.INSUFFICIENT_BALANCE} Your balance: ${totalBalance} ${session.tokenInfo.symbol}`
-    );
-    return;
+  
+  if (session.exactOutput) {
+    // The most tokens the MON can take must be covered
+    let quote;
+    try {
+      quote = await uniswapUtils.getExactSellQuote(
+        getActiveWallet(userId).address,
+        session.tokenAddress,
+        amount.toString(),
+        getTradeSettings(userId, session).slippageBps
+      );
+    } catch (error) {
+      await bot.sendMessage(chatId, `❌ ${error.message}`);
+      return;
+    }
+    
+    if (parseFloat(quote.maximumSpent) > totalBalance) {
+      await bot.sendMessage(
+        chatId,
+        `${ERROR_MESSAGES.INSUFFICIENT_BALANCE} ${amount} MON can take up to ` +
+        `${quote.maximumSpent} ${session.tokenInfo.symbol}. Your balance: ${totalBalance} ${session.tokenInfo.symbol}`
+      );
+      return;
+    }
+    
+    session.monAmount = amount.toString();
+  } else {
+    if (amount > totalBalance) {
+      await bot.sendMessage(
+        chatId,
+        `${ERROR_MESSAGES.INSUFFICIENT_BALANCE} Your balance: ${totalBalance} ${session.tokenInfo.symbol}`
+      );
+      return;
+    }
+    
+    session.tokenAmount = amount.toString();
   }
   
   // Store amount in session
-  userSessions[userId].state = 'SELL_AMOUNT';
-  userSessions[userId].tokenAmount = amount.toString();
-  
-  // Create confirmation keyboard
-  const keyboard = {
-    inline_keyboard: [
-      [
-        { text: '✅ Confirm', callback_data: 'confirm_sell' },
-        { text: '❌ Cancel', callback_data: 'cancel' }
-      ]
-    ]
-  };
+  session.state = 'SELL_AMOUNT';
+  delete session.percentage;
+  await sessionStore.set(userId, session);
   
-  await bot.sendMessage(
-    chatId,
-    `You are about to sell ${amount} ${session.tokenInfo.symbol}.\n\n` +
-    `Do you want to proceed?`,
-    { reply_markup: keyboard }
-  );
+  await showSellConfirmation(chatId, userId);
 });
 
-const handleConfirmSell = asyncErrorHandler(async (query) => {
+const handleConfirmSell = asyncErrorHandler(async (query, session, releaseLock = () => {}) => {
   const chatId = query.message.chat.id;
   const userId = query.from.id.toString();
   
-  // Get session data
-  const session = userSessions[userId];
-  if (!session) return;
+  if (!session) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.SESSION_EXPIRED);
+    return;
+  }
   
   const tokenAddress = session.tokenAddress;
   const tokenInfo = session.tokenInfo;
   const tokenAmount = session.tokenAmount;
-  const privateKey = userWallets[userId].privateKey;
+  const monAmount = session.monAmount;
+  const exactOutput = Boolean(session.exactOutput);
+  const walletRecord = getActiveWallet(userId);
+  const title = exactOutput
+    ? `Selling ${tokenInfo.symbol} for ${monAmount} MON`
+    : `Selling ${tokenAmount} ${tokenInfo.symbol}`;
   
   // Send processing message
   const processingMsg = await bot.sendMessage(
     chatId,
-    `Processing your sale of ${tokenAmount} ${tokenInfo.symbol}...\n\n` +
+    `${title}...\n\n` +
     `Please wait, this may take a moment.`
   );
   
   try {
     // Execute the sell transaction
-    const txHash = await uniswapUtils.sellToken(privateKey, tokenAddress, tokenAmount);
+    const options = {
+      passphrase: getPassphrase(userId),
+      ...getTradeSettings(userId, session),
+      onApprovalSent: trackApproval(chatId, processingMsg.message_id, tokenInfo.symbol)
+    };
+    const txHash = exactOutput
+      ? await uniswapUtils.sellForExactMon(walletRecord, tokenAddress, monAmount, options)
+      : await uniswapUtils.sellToken(walletRecord, tokenAddress, tokenAmount, options);
+    releaseLock();
+    const receipt = await trackTransaction(chatId, processingMsg.message_id, title, txHash);
+    
+    const trade = await recordTrade({
+      userId,
+      walletAddress: walletRecord.address,
+      side: 'sell',
+      tokenIn: tokenAddress,
+      tokenOut: null,
+      txHash: receipt.transactionHash
+    });
+    
+    // The MON received is net of any sell tax; an exact sell takes only the tokens the route needed
+    const received = uniswapUtils.getReceivedAmount(receipt, null, walletRecord.address);
+    const sold = exactOutput ? trade && trade.amountIn : tokenAmount;
     
     // Format success message with transaction link
     const successText = 
       `✅ *Sale Successful!*\n\n` +
-      `Sold ${tokenAmount} ${tokenInfo.symbol} for MON\n\n` +
-      `[View Transaction](https://explorer.monad.xyz/testnet/tx/${txHash})`;
+      `Sold ${sold ? `${sold} ` : ''}${tokenInfo.symbol} for ${ethers.utils.formatEther(received)} MON\n` +
+      `Confirmed in block ${receipt.blockNumber}\n\n` +
+      `[View Transaction](https://explorer.monad.xyz/testnet/tx/${receipt.transactionHash})`;
     
     await bot.editMessageText(
       successText,
@@ -1151,9 +1852,6 @@ const handleConfirmSell = asyncErrorHandler(async (query) => {
       }
     );
   }
-  
-  // Clear session
-  delete userSessions[userId];
 });
 
 // Add new handler for /mywallet command
@@ -1162,36 +1860,46 @@ const handleMyWallet = asyncErrorHandler(async (msg) => {
   const userId = msg.from.id.toString();
   
   // Check if user has a wallet
-  if (!userWallets[userId]) {
+  if (!getActiveWallet(userId)) {
     await bot.sendMessage(chatId, ERROR_MESSAGES.WALLET_NOT_FOUND);
     return;
   }
   
-  const address = userWallets[userId].address;
+  const activeWallet = getActiveWallet(userId);
+  const wallets = userWallets[userId].wallets;
   
   // Send loading message
   const loadingMsg = await bot.sendMessage(chatId, 'Fetching wallet information...');
   
   try {
     // Get MON balance
-    const monBalance = await walletUtils.getBalance(address);
+    const monBalance = await walletUtils.getBalance(activeWallet.address);
     
-    // Create inline keyboard with options
+    // Create inline keyboard with a switch button per inactive wallet and the wallet options
     const keyboard = {
       inline_keyboard: [
-        [{ text: 'Show Private Key', callback_data: 'show_private_key' }],
-        [{ text: 'Delete Wallet', callback_data: 'delete_wallet' }]
+        ...wallets
+          .filter((wallet) => wallet.address !== activeWallet.address)
+          .map((wallet) => [{ text: `🔀 Switch to ${wallet.name}`, callback_data: `wallet_select_${wallet.address}` }]),
+        [
+          { text: '✏️ Rename', callback_data: 'rename_wallet' },
+          { text: '🗑️ Delete', callback_data: 'delete_wallet' }
+        ],
+        [{ text: '🔑 Show Private Key', callback_data: 'show_private_key' }],
+        [{ text: '➕ Add Wallet', callback_data: 'wallet' }]
       ]
     };
     
     // Format the wallet message
-    let walletMessage = `*Your Wallet*\n\n` +
-                       `*Address:* \`${address}\`\n\n` +
-                       `*MON Balance:* ${monBalance} MON\n\n`;
+    let walletMessage = `👛 *Your Wallets*\n\n`;
+    
+    for (const wallet of wallets) {
+      const marker = wallet.address === activeWallet.address ? '✅' : '▫️';
+      walletMessage += `${marker} *${wallet.name}*: \`${wallet.address}\`\n`;
+    }
     
-    // Try to get token balances (this would be expanded in a real implementation)
-    // For now, we'll just show MON balance
-    walletMessage += '*No tokens found in this wallet*';
+    walletMessage += `\n*Active:* ${activeWallet.name}\n` +
+                     `*MON Balance:* ${monBalance} MON`;
     
     // Update the message
     await bot.editMessageText(
@@ -1214,99 +1922,142 @@ const handleMyWallet = asyncErrorHandler(async (msg) => {
   }
 });
 
-// Implementation for handleMyWallet function
-const handleMyWalletImplementation = asyncErrorHandler(async (msg) => {
-  const chatId = msg.chat.id;
-  const userId = msg.from.id.toString();
+// Handle wallet switch button
+const handleSelectWallet = asyncErrorHandler(async (query, address) => {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
   
-  // Check if user has a wallet
-  if (!userWallets[userId]) {
+  const user = userWallets[userId];
+  const wallet = user && user.wallets.find((item) => item.address === address);
+  if (!wallet) {
     await bot.sendMessage(chatId, ERROR_MESSAGES.WALLET_NOT_FOUND);
     return;
   }
   
-  const address = userWallets[userId].address;
+  user.activeAddress = wallet.address;
+  saveWallets();
   
-  // Send loading message
-  const loadingMsg = await bot.sendMessage(chatId, 'Fetching wallet information...');
+  // Drop any flow that was started with the previous wallet
+  await sessionStore.delete(userId);
   
-  try {
-    // Get MON balance
-    const monBalance = await walletUtils.getBalance(address);
-    
-    // Create inline keyboard with show private key and delete wallet buttons
-    const keyboard = {
-      inline_keyboard: [
-        [{ text: '🔑 Show Private Key', callback_data: 'show_private_key' }],
-        [{ text: '🗑️ Delete Wallet', callback_data: 'delete_wallet' }]
-      ]
-    };
-    
-    // Format the wallet message
-    let walletMessage = `👛 *Your Wallet*\n\n` +
-                       `*Address:* \`${address}\`\n\n` +
-                       `*MON Balance:* ${monBalance} MON\n\n`;
-    
-    // Update the message
-    await bot.editMessageText(
-      walletMessage,
-      {
-        chat_id: chatId,
-        message_id: loadingMsg.message_id,
-        parse_mode: 'Markdown',
-        reply_markup: keyboard
-      }
-    );
-  } catch (error) {
-    await bot.editMessageText(
-      `Error fetching wallet information: ${error.message}`,
-      {
-        chat_id: chatId,
-        message_id: loadingMsg.message_id
-      }
-    );
-  }
+  await bot.sendMessage(
+    chatId,
+    `✅ Active wallet is now *${wallet.name}*\n\`${wallet.address}\``,
+    { parse_mode: 'Markdown' }
+  );
 });
 
-// Handle refresh token button
-const handleRefreshToken = asyncErrorHandler(async (query, tokenAddress) => {
-  const chatId = query.message.chat.id;
-  const userId = query.from.id.toString();
+const handleRenameWallet = asyncErrorHandler(async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
   
-  // Check if user has a wallet
-  if (!userWallets[userId]) {
-    await bot.sendMessage(chatId, ERROR_MESSAGES.WALLET_NOT_FOUND);
+  // Keep names short and free of Markdown control characters
+  const name = msg.text.trim().replace(/[*_`[\]]/g, '');
+  if (!name || name.length > 32) {
+    await bot.sendMessage(chatId, '❌ Wallet names must be between 1 and 32 characters. Please try again:');
     return;
   }
   
-  const address = userWallets[userId].address;
+  const activeWallet = getActiveWallet(userId);
+  if (!activeWallet) return;
   
-  // Send loading message
-  const loadingMsg = await bot.sendMessage(chatId, 'Refreshing token information...');
+  if (userWallets[userId].wallets.some((wallet) => wallet !== activeWallet && wallet.name === name)) {
+    await bot.sendMessage(chatId, '❌ You already have a wallet with that name. Please choose another:');
+    return;
+  }
   
-  try {
-    // Get token info
-    const tokenInfo = await uniswapUtils.getTokenInfo(tokenAddress);
-    
-    // Get token balance
-    const tokenBalance = await walletUtils.getTokenBalance(address, tokenAddress);
-    
-    // Get token details from MonadScan API
-    const tokenDetails = await monadScanUtils.getTokenDetails(tokenAddress);
+  activeWallet.name = name;
+  saveWallets();
+  await sessionStore.delete(userId);
+  
+  await bot.sendMessage(chatId, `✅ Wallet renamed to *${name}*.`, { parse_mode: 'Markdown' });
+});
+
+// Ask for confirmation before deleting the active wallet
+const handleDeleteWallet = asyncErrorHandler(async (query) => {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  
+  const activeWallet = getActiveWallet(userId);
+  if (!activeWallet) return;
+  
+  const keyboard = {
+    inline_keyboard: [
+      [
+        { text: '🗑️ Yes, delete it', callback_data: 'confirm_delete_wallet' },
+        { text: '❌ Cancel', callback_data: 'cancel' }
+      ]
+    ]
+  };
+  
+  await bot.sendMessage(
+    chatId,
+    `⚠️ Delete *${activeWallet.name}* (\`${activeWallet.address}\`) from this bot?\n\n` +
+    `Make sure you have a copy of its private key — it cannot be recovered afterwards.`,
+    { parse_mode: 'Markdown', reply_markup: keyboard }
+  );
+});
+
+const handleConfirmDeleteWallet = asyncErrorHandler(async (query) => {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  
+  const activeWallet = getActiveWallet(userId);
+  if (!activeWallet) return;
+  
+  const user = userWallets[userId];
+  user.wallets = user.wallets.filter((wallet) => wallet.address !== activeWallet.address);
+  
+  if (user.wallets.length === 0) {
+    delete userWallets[userId];
+    delete unlockedWallets[userId];
+  } else {
+    user.activeAddress = user.wallets[0].address;
+  }
+  
+  saveWallets();
+  await sessionStore.delete(userId);
+  
+  const nextWallet = getActiveWallet(userId);
+  await bot.sendMessage(
+    chatId,
+    `✅ ${activeWallet.name} has been deleted from this bot.` +
+    (nextWallet ? `\n\nActive wallet is now *${nextWallet.name}*.` : ''),
+    { parse_mode: 'Markdown' }
+  );
+});
+
+// Handle refresh token button
+const handleRefreshToken = asyncErrorHandler(async (query, tokenAddress) => {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  
+  // Check if user has a wallet
+  if (!getActiveWallet(userId)) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.WALLET_NOT_FOUND);
+    return;
+  }
+  
+  const address = getActiveWallet(userId).address;
+  
+  // Send loading message
+  const loadingMsg = await bot.sendMessage(chatId, 'Refreshing token information...');
+  
+  try {
+    // Get token info, balance, MonadScan details and pool liquidity; the on-chain reads go out as one batch
+    const [tokenInfo, tokenBalance, tokenDetails, liquidity] = await Promise.all([
+      uniswapUtils.getTokenInfo(tokenAddress),
+      walletUtils.getTokenBalance(address, tokenAddress),
+      monadScanUtils.getTokenDetails(tokenAddress),
+      describeLiquidity(tokenAddress)
+    ]);
     
     // Format market cap and price info
     const marketCap = tokenDetails.marketCap ? `$${Number(tokenDetails.marketCap).toLocaleString()}` : 'Unknown';
     const price = tokenDetails.price ? `$${Number(tokenDetails.price).toLocaleString()}` : 'Unknown';
     
-    // Create refresh and sell buttons
-    const keyboard = {
-      inline_keyboard: [
-        [
-          { text: '🔄 Refresh', callback_data: `refresh_${tokenAddress}` },
-          { text: '💰 Sell', callback_data: `sell_${tokenAddress}` }
-        ]
-      ]
-    };
+    // Create refresh, sell and exit buttons
+    const keyboard = positionKeyboard(tokenAddress);
     
     // Format balance
     const formattedBalance = tokenBalance && tokenBalance.balance ? tokenBalance.balance : '0';
@@ -1319,7 +2070,8 @@ const handleRefreshToken = asyncErrorHandler(async (query, tokenAddress) => {
       chatId,
       `*${tokenInfo.name} (${tokenInfo.symbol}) Details*\n\n` +
       `💰 *Market Cap:* ${marketCap}\n` +
-      `💲 *Price:* ${price}\n\n` +
+      `💲 *Price:* ${price}\n` +
+      `💧 *Liquidity:* ${liquidity}\n\n` +
       `*Your Balance:* ${formattedBalance} ${tokenInfo.symbol}`,
       {
         parse_mode: 'Markdown',
@@ -1343,13 +2095,13 @@ const handleSellToken = asyncErrorHandler(async (query, tokenAddress) => {
   const userId = query.from.id.toString();
   
   // Check if user has a wallet
-  if (!userWallets[userId]) {
+  if (!getActiveWallet(userId)) {
     await bot.sendMessage(chatId, ERROR_MESSAGES.WALLET_NOT_FOUND);
     return;
   }
   
   // Get token info and balance
-  const address = userWallets[userId].address;
+  const address = getActiveWallet(userId).address;
   
   try {
     const tokenInfo = await uniswapUtils.getTokenInfo(tokenAddress);
@@ -1365,28 +2117,15 @@ const handleSellToken = asyncErrorHandler(async (query, tokenAddress) => {
     }
     
     // Store in session
-    userSessions[userId] = {
+    await sessionStore.set(userId, {
       state: 'SELL_AMOUNT',
       tokenAddress,
       tokenInfo,
       tokenBalance: tokenBalance.balance
-    };
+    });
     
     // Create inline keyboard for amount options
-    const keyboard = {
-      inline_keyboard: [
-        [
-          { text: '25%', callback_data: 'sell_25' },
-          { text: '50%', callback_data: 'sell_50' },
-          { text: '75%', callback_data: 'sell_75' }
-        ],
-        [
-          { text: '100%', callback_data: 'sell_100' },
-          { text: 'Custom', callback_data: 'sell_custom' }
-        ],
-        [{ text: 'Cancel', callback_data: 'cancel' }]
-      ]
-    };
+    const keyboard = sellAmountKeyboard(false);
     
     await bot.sendMessage(
       chatId,
@@ -1403,15 +2142,2320 @@ const handleSellToken = asyncErrorHandler(async (query, tokenAddress) => {
   }
 });
 
-// Add command handlers
-bot.onText(/\/start/, handleStart);
-bot.onText(/\/help/, handleHelp);
-bot.onText(/\/createwallet/, handleCreateWallet);
-bot.onText(/\/create_wallet/, handleCreateNewWallet);
-bot.onText(/\/mywallet/, handleMyWallet);
-bot.onText(/\/balance/, handleBalance);
-bot.onText(/\/buy/, handleBuy);
-bot.onText(/\/sell/, handleSell);
+// Handle /send command
+const handleSend = asyncErrorHandler(async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  
+  // Check if user has a wallet
+  if (!getActiveWallet(userId)) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.WALLET_NOT_FOUND);
+    return;
+  }
+  
+  const address = getActiveWallet(userId).address;
+  
+  // Send loading message
+  const loadingMsg = await bot.sendMessage(chatId, 'Fetching your assets...');
+  
+  try {
+    const monBalance = await walletUtils.getBalance(address);
+    const tokens = await tokenIndexUtils.getWalletTokens(address);
+    
+    // Create one button per asset held
+    const keyboard = {
+      inline_keyboard: [
+        [{ text: `MON (${monBalance})`, callback_data: 'send_asset_mon' }],
+        ...tokens.map((token) => [
+          { text: `${token.symbol} (${token.balance})`, callback_data: `send_asset_${token.address}` }
+        ]),
+        [{ text: 'Cancel', callback_data: 'cancel' }]
+      ]
+    };
+    
+    await sessionStore.set(userId, { state: 'SEND_ASSET' });
+    
+    await bot.editMessageText(
+      '📤 Which asset do you want to send?',
+      {
+        chat_id: chatId,
+        message_id: loadingMsg.message_id,
+        reply_markup: keyboard
+      }
+    );
+  } catch (error) {
+    await bot.editMessageText(
+      `Error fetching assets: ${error.message}`,
+      {
+        chat_id: chatId,
+        message_id: loadingMsg.message_id
+      }
+    );
+  }
+});
+
+const handleSendAssetChoice = asyncErrorHandler(async (query, asset) => {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  
+  // Get session data
+  const session = await sessionStore.get(userId);
+  if (!session || session.state !== 'SEND_ASSET') {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.SESSION_EXPIRED);
+    return;
+  }
+  
+  const address = getActiveWallet(userId).address;
+  
+  if (asset === 'mon') {
+    const monBalance = await walletUtils.getBalance(address);
+    await sessionStore.set(userId, {
+      state: 'SEND_RECIPIENT',
+      tokenAddress: null,
+      symbol: 'MON',
+      decimals: 18,
+      balance: monBalance
+    });
+  } else {
+    const tokenBalance = await walletUtils.getTokenBalance(address, asset);
+    await sessionStore.set(userId, {
+      state: 'SEND_RECIPIENT',
+      tokenAddress: asset,
+      symbol: tokenBalance.symbol,
+      decimals: tokenBalance.decimals,
+      balance: tokenBalance.balance
+    });
+  }
+  
+  const sendSession = await sessionStore.get(userId);
+  
+  if (parseFloat(sendSession.balance) <= 0) {
+    await sessionStore.delete(userId);
+    await bot.sendMessage(chatId, `You don't have any ${sendSession.symbol} to send.`);
+    return;
+  }
+  
+  await bot.sendMessage(
+    chatId,
+    `Sending ${sendSession.symbol} (balance: ${sendSession.balance})\n\n` +
+    `Please enter the recipient address:`
+  );
+});
+
+const handleSendRecipient = asyncErrorHandler(async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  
+  // Get session data
+  const session = await sessionStore.get(userId);
+  if (!session || session.state !== 'SEND_RECIPIENT') return;
+  
+  // Validate the address, including its checksum
+  const recipient = walletUtils.validateAddress(msg.text.trim());
+  if (!recipient) {
+    await bot.sendMessage(chatId, `${ERROR_MESSAGES.INVALID_ADDRESS} Check that the address and its capitalisation are correct.`);
+    return;
+  }
+  
+  if (recipient === getActiveWallet(userId).address) {
+    await bot.sendMessage(chatId, '❌ You cannot send to your own wallet. Please enter another address:');
+    return;
+  }
+  
+  session.state = 'SEND_AMOUNT';
+  session.recipient = recipient;
+  await sessionStore.set(userId, session);
+  
+  // Create inline keyboard for amount options
+  const keyboard = {
+    inline_keyboard: [
+      [
+        { text: '25%', callback_data: 'send_pct_25' },
+        { text: '50%', callback_data: 'send_pct_50' },
+        { text: '75%', callback_data: 'send_pct_75' }
+      ],
+      [
+        { text: '100%', callback_data: 'send_pct_100' },
+        { text: 'Custom', callback_data: 'send_custom' }
+      ],
+      [{ text: 'Cancel', callback_data: 'cancel' }]
+    ]
+  };
+  
+  await bot.sendMessage(
+    chatId,
+    `Recipient: \`${recipient}\`\n` +
+    `Balance: ${session.balance} ${session.symbol}\n\n` +
+    `How much do you want to send?`,
+    { parse_mode: 'Markdown', reply_markup: keyboard }
+  );
+});
+
+const handleSendAmountChoice = asyncErrorHandler(async (query) => {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  const data = query.data;
+  
+  // Get session data
+  const session = await sessionStore.get(userId);
+  if (!session || session.state !== 'SEND_AMOUNT') {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.SESSION_EXPIRED);
+    return;
+  }
+  
+  if (data === 'send_custom') {
+    // Ask for custom amount
+    session.state = 'SEND_CUSTOM_AMOUNT';
+    await sessionStore.set(userId, session);
+    await bot.sendMessage(
+      chatId,
+      `Please enter the amount of ${session.symbol} you want to send (max: ${session.balance}):`
+    );
+    return;
+  }
+  
+  // Calculate the percentage of the balance without float rounding
+  const percentage = parseInt(data.split('_')[2]);
+  const balanceWei = ethers.utils.parseUnits(session.balance, session.decimals);
+  let amountWei = balanceWei.mul(percentage).div(100);
+  
+  // Leave enough MON behind to pay for gas when sending the full balance
+  if (!session.tokenAddress && percentage === 100) {
+    const fee = await walletUtils.estimateTransferMONGas(getActiveWallet(userId).address, session.recipient, '0');
+    amountWei = amountWei.sub(ethers.utils.parseEther(fee.cost).mul(12).div(10));
+    
+    if (amountWei.lte(0)) {
+      await bot.sendMessage(chatId, `${ERROR_MESSAGES.INSUFFICIENT_BALANCE} Not enough MON to cover gas.`);
+      return;
+    }
+  }
+  
+  await showSendConfirmation(chatId, userId, ethers.utils.formatUnits(amountWei, session.decimals));
+});
+
+const handleSendCustomAmount = asyncErrorHandler(async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  const text = msg.text.trim();
+  
+  // Get session data
+  const session = await sessionStore.get(userId);
+  if (!session || session.state !== 'SEND_CUSTOM_AMOUNT') return;
+  
+  // Validate amount
+  if (!isValidAmount(text, session.decimals)) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.INVALID_AMOUNT);
+    return;
+  }
+  
+  // Check if amount is valid
+  if (parseFloat(text) > parseFloat(session.balance)) {
+    await bot.sendMessage(
+      chatId,
+      `${ERROR_MESSAGES.INSUFFICIENT_BALANCE} Your balance: ${session.balance} ${session.symbol}`
+    );
+    return;
+  }
+  
+  session.state = 'SEND_AMOUNT';
+  await sessionStore.set(userId, session);
+  await showSendConfirmation(chatId, userId, text);
+});
+
+// Show the send confirmation screen with a gas estimate
+async function showSendConfirmation(chatId, userId, amount) {
+  const session = await sessionStore.get(userId);
+  const address = getActiveWallet(userId).address;
+  
+  const fee = session.tokenAddress
+    ? await walletUtils.estimateTransferTokenGas(address, session.tokenAddress, session.recipient, amount)
+    : await walletUtils.estimateTransferMONGas(address, session.recipient, amount);
+  
+  // Store amount in session
+  session.amount = amount;
+  const confirmToken = await issueConfirmToken(userId, session);
+  
+  // Create confirmation keyboard
+  const keyboard = {
+    inline_keyboard: [
+      [
+        { text: '✅ Confirm', callback_data: `confirm_send_${confirmToken}` },
+        { text: '❌ Cancel', callback_data: 'cancel' }
+      ]
+    ]
+  };
+  
+  await bot.sendMessage(
+    chatId,
+    `*Confirm Transfer*\n\n` +
+    `*Asset:* ${session.symbol}\n` +
+    `*Amount:* ${amount} ${session.symbol}\n` +
+    `*To:* \`${session.recipient}\`\n` +
+    `*Estimated gas:* ${fee.cost} MON (${fee.gasLimit} gas @ ${fee.gasPrice} gwei)\n\n` +
+    `Do you want to proceed?`,
+    { parse_mode: 'Markdown', reply_markup: keyboard }
+  );
+}
+
+const handleConfirmSend = asyncErrorHandler(async (query, session, releaseLock = () => {}) => {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  
+  if (!session || session.state !== 'SEND_AMOUNT' || !session.amount) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.SESSION_EXPIRED);
+    return;
+  }
+  
+  const walletRecord = getActiveWallet(userId);
+  const options = { passphrase: getPassphrase(userId) };
+  
+  // Send processing message
+  const processingMsg = await bot.sendMessage(
+    chatId,
+    `Sending ${session.amount} ${session.symbol}...\n\n` +
+    `Please wait, this may take a moment.`
+  );
+  
+  try {
+    const txHash = session.tokenAddress
+      ? await walletUtils.transferToken(walletRecord, session.tokenAddress, session.recipient, session.amount, options)
+      : await walletUtils.transferMON(walletRecord, session.recipient, session.amount, options);
+    releaseLock();
+    const receipt = await trackTransaction(
+      chatId,
+      processingMsg.message_id,
+      `Sending ${session.amount} ${session.symbol}`,
+      txHash
+    );
+    
+    await bot.editMessageText(
+      `✅ *Transfer Sent!*\n\n` +
+      `Sent ${session.amount} ${session.symbol} to \`${session.recipient}\`\n` +
+      `Confirmed in block ${receipt.blockNumber}\n\n` +
+      `[View Transaction](https://explorer.monad.xyz/testnet/tx/${receipt.transactionHash})`,
+      {
+        chat_id: chatId,
+        message_id: processingMsg.message_id,
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true
+      }
+    );
+  } catch (error) {
+    await bot.editMessageText(
+      `❌ Transfer failed: ${error.message}`,
+      {
+        chat_id: chatId,
+        message_id: processingMsg.message_id
+      }
+    );
+  }
+});
+
+// Handle /swap command
+const handleSwap = asyncErrorHandler(async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  
+  // Check if user has a wallet
+  if (!getActiveWallet(userId)) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.WALLET_NOT_FOUND);
+    return;
+  }
+  
+  const address = getActiveWallet(userId).address;
+  
+  // Send loading message
+  const loadingMsg = await bot.sendMessage(chatId, 'Fetching your tokens...');
+  
+  try {
+    const tokens = await tokenIndexUtils.getWalletTokens(address);
+    
+    if (tokens.length === 0) {
+      await bot.editMessageText(
+        "You don't have any tokens to swap. Use /buy to get some first.",
+        {
+          chat_id: chatId,
+          message_id: loadingMsg.message_id
+        }
+      );
+      return;
+    }
+    
+    // Create one button per token held
+    const keyboard = {
+      inline_keyboard: [
+        ...tokens.map((token) => [
+          { text: `${token.symbol} (${token.balance})`, callback_data: `swap_in_${token.address}` }
+        ]),
+        [{ text: 'Cancel', callback_data: 'cancel' }]
+      ]
+    };
+    
+    await sessionStore.set(userId, { state: 'SWAP_INPUT' });
+    
+    await bot.editMessageText(
+      '🔄 Which token do you want to swap from?',
+      {
+        chat_id: chatId,
+        message_id: loadingMsg.message_id,
+        reply_markup: keyboard
+      }
+    );
+  } catch (error) {
+    await bot.editMessageText(
+      `Error fetching tokens: ${error.message}`,
+      {
+        chat_id: chatId,
+        message_id: loadingMsg.message_id
+      }
+    );
+  }
+});
+
+const handleSwapInputChoice = asyncErrorHandler(async (query, tokenAddress) => {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  
+  // Get session data
+  const session = await sessionStore.get(userId);
+  if (!session || session.state !== 'SWAP_INPUT') {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.SESSION_EXPIRED);
+    return;
+  }
+  
+  const tokenBalance = await walletUtils.getTokenBalance(getActiveWallet(userId).address, tokenAddress);
+  
+  if (parseFloat(tokenBalance.balance) <= 0) {
+    await sessionStore.delete(userId);
+    await bot.sendMessage(chatId, `You don't have any ${tokenBalance.symbol} to swap.`);
+    return;
+  }
+  
+  await sessionStore.set(userId, {
+    state: 'SWAP_OUTPUT',
+    tokenIn: tokenAddress,
+    symbol: tokenBalance.symbol,
+    decimals: tokenBalance.decimals,
+    balance: tokenBalance.balance
+  });
+  
+  await bot.sendMessage(
+    chatId,
+    `Swapping from ${tokenBalance.symbol} (balance: ${tokenBalance.balance})\n\n` +
+    `Please enter the contract address of the token you want to receive:`
+  );
+});
+
+const handleSwapOutputToken = asyncErrorHandler(async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  
+  // Get session data
+  const session = await sessionStore.get(userId);
+  if (!session || session.state !== 'SWAP_OUTPUT') return;
+  
+  const tokenOut = walletUtils.validateAddress(msg.text.trim());
+  if (!tokenOut) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.INVALID_ADDRESS);
+    return;
+  }
+  
+  if (tokenOut.toLowerCase() === session.tokenIn.toLowerCase()) {
+    await bot.sendMessage(chatId, '❌ You cannot swap a token for itself. Please enter another address:');
+    return;
+  }
+  
+  let tokenOutInfo;
+  try {
+    tokenOutInfo = await uniswapUtils.getTokenInfo(tokenOut);
+  } catch (error) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.INVALID_TOKEN);
+    return;
+  }
+  
+  session.state = 'SWAP_AMOUNT';
+  session.tokenOut = tokenOut;
+  session.tokenOutInfo = tokenOutInfo;
+  await sessionStore.set(userId, session);
+  
+  // Create inline keyboard for amount options
+  const keyboard = {
+    inline_keyboard: [
+      [
+        { text: '25%', callback_data: 'swap_pct_25' },
+        { text: '50%', callback_data: 'swap_pct_50' },
+        { text: '75%', callback_data: 'swap_pct_75' }
+      ],
+      [
+        { text: '100%', callback_data: 'swap_pct_100' },
+        { text: 'Custom', callback_data: 'swap_custom' }
+      ],
+      [{ text: 'Cancel', callback_data: 'cancel' }]
+    ]
+  };
+  
+  await bot.sendMessage(
+    chatId,
+    `Swap ${session.symbol} → ${tokenOutInfo.symbol} (${tokenOutInfo.name})\n` +
+    `Balance: ${session.balance} ${session.symbol}\n\n` +
+    `How much ${session.symbol} do you want to swap?`,
+    { reply_markup: keyboard }
+  );
+});
+
+const handleSwapAmountChoice = asyncErrorHandler(async (query) => {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  const data = query.data;
+  
+  // Get session data
+  const session = await sessionStore.get(userId);
+  if (!session || session.state !== 'SWAP_AMOUNT') {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.SESSION_EXPIRED);
+    return;
+  }
+  
+  if (data === 'swap_custom') {
+    // Ask for custom amount
+    session.state = 'SWAP_CUSTOM_AMOUNT';
+    await sessionStore.set(userId, session);
+    await bot.sendMessage(
+      chatId,
+      `Please enter the amount of ${session.symbol} you want to swap (max: ${session.balance}):`
+    );
+    return;
+  }
+  
+  // Calculate the percentage of the balance without float rounding
+  const percentage = parseInt(data.split('_')[2]);
+  const balanceWei = ethers.utils.parseUnits(session.balance, session.decimals);
+  
+  session.amountIn = ethers.utils.formatUnits(balanceWei.mul(percentage).div(100), session.decimals);
+  session.percentage = percentage;
+  await sessionStore.set(userId, session);
+  
+  await showSwapConfirmation(chatId, userId);
+});
+
+const handleSwapCustomAmount = asyncErrorHandler(async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  const text = msg.text.trim();
+  
+  // Get session data
+  const session = await sessionStore.get(userId);
+  if (!session || session.state !== 'SWAP_CUSTOM_AMOUNT') return;
+  
+  // Validate amount
+  if (!isValidAmount(text, session.decimals)) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.INVALID_AMOUNT);
+    return;
+  }
+  
+  // Check if amount is valid
+  if (parseFloat(text) > parseFloat(session.balance)) {
+    await bot.sendMessage(
+      chatId,
+      `${ERROR_MESSAGES.INSUFFICIENT_BALANCE} Your balance: ${session.balance} ${session.symbol}`
+    );
+    return;
+  }
+  
+  session.state = 'SWAP_AMOUNT';
+  session.amountIn = text;
+  delete session.percentage;
+  await sessionStore.set(userId, session);
+  
+  await showSwapConfirmation(chatId, userId);
+});
+
+// Show the swap confirmation screen with a quote and the trade settings
+async function showSwapConfirmation(chatId, userId) {
+  const session = await sessionStore.get(userId);
+  const settings = getTradeSettings(userId, session);
+  const { slippageBps, deadlineMinutes } = settings;
+  const share = session.percentage ? ` (${session.percentage}% of your balance)` : '';
+  
+  let quote;
+  try {
+    quote = await uniswapUtils.getSwapQuote(session.tokenIn, session.tokenOut, session.amountIn);
+  } catch (error) {
+    await bot.sendMessage(chatId, `❌ ${error.message}`);
+    return;
+  }
+  
+  // Show the route by symbol, looking up any intermediate tokens
+  const route = await Promise.all(quote.path.map(async (address) => {
+    if (address.toLowerCase() === session.tokenIn.toLowerCase()) return quote.tokenIn.symbol;
+    if (address.toLowerCase() === session.tokenOut.toLowerCase()) return quote.tokenOut.symbol;
+    return (await uniswapUtils.getTokenInfo(address)).symbol;
+  }));
+  
+  const decimals = quote.tokenOut.decimals;
+  const minimumOut = ethers.utils.parseUnits(quote.amountOut, decimals).mul(10000 - slippageBps).div(10000);
+  
+  const feeLine = await describeTradeFee(uniswapUtils.estimateSwapFee(
+    getActiveWallet(userId).address,
+    session.tokenIn,
+    session.tokenOut,
+    session.amountIn,
+    settings
+  ));
+  
+  const confirmToken = await issueConfirmToken(userId, session);
+  
+  // Create confirmation keyboard
+  const keyboard = {
+    inline_keyboard: [
+      ...tradeSettingsRows(settings),
+      [
+        { text: '✅ Confirm', callback_data: `confirm_swap_${confirmToken}` },
+        { text: '❌ Cancel', callback_data: 'cancel' }
+      ]
+    ]
+  };
+  
+  await bot.sendMessage(
+    chatId,
+    `You are about to swap ${session.amountIn} ${session.symbol}${share} ` +
+    `for ~${parseFloat(quote.amountOut).toFixed(6)} ${quote.tokenOut.symbol}.\n\n` +
+    `Route: ${route.join(' → ')}\n` +
+    `Minimum received: ${parseFloat(ethers.utils.formatUnits(minimumOut, decimals)).toFixed(6)} ${quote.tokenOut.symbol}\n` +
+    `Slippage: ${formatBps(slippageBps)}\n` +
+    `Deadline: ${deadlineMinutes} minutes\n` +
+    `${feeLine}\n\n` +
+    `Do you want to proceed?`,
+    { reply_markup: keyboard }
+  );
+}
+
+const handleConfirmSwap = asyncErrorHandler(async (query, session, releaseLock = () => {}) => {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  
+  if (!session || session.state !== 'SWAP_AMOUNT' || !session.amountIn) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.SESSION_EXPIRED);
+    return;
+  }
+  
+  const walletRecord = getActiveWallet(userId);
+  const tokenOutSymbol = session.tokenOutInfo.symbol;
+  
+  // Send processing message
+  const processingMsg = await bot.sendMessage(
+    chatId,
+    `Processing your swap of ${session.amountIn} ${session.symbol} for ${tokenOutSymbol}...\n\n` +
+    `Please wait, this may take a moment.`
+  );
+  
+  try {
+    // Execute the swap transaction
+    const txHash = await uniswapUtils.swapTokens(walletRecord, session.tokenIn, session.tokenOut, session.amountIn, {
+      passphrase: getPassphrase(userId),
+      ...getTradeSettings(userId, session),
+      onApprovalSent: trackApproval(chatId, processingMsg.message_id, session.symbol)
+    });
+    releaseLock();
+    const receipt = await trackTransaction(
+      chatId,
+      processingMsg.message_id,
+      `Swapping ${session.amountIn} ${session.symbol} for ${tokenOutSymbol}`,
+      txHash
+    );
+    
+    await recordTrade({
+      userId,
+      walletAddress: walletRecord.address,
+      side: 'swap',
+      tokenIn: session.tokenIn,
+      tokenOut: session.tokenOut,
+      txHash: receipt.transactionHash
+    });
+    
+    const received = uniswapUtils.getReceivedAmount(receipt, session.tokenOut, walletRecord.address);
+    
+    await bot.editMessageText(
+      `✅ *Swap Successful!*\n\n` +
+      `Swapped ${session.amountIn} ${session.symbol} for ` +
+      `${ethers.utils.formatUnits(received, session.tokenOutInfo.decimals)} ${tokenOutSymbol}\n` +
+      `Confirmed in block ${receipt.blockNumber}\n\n` +
+      `[View Transaction](https://explorer.monad.xyz/testnet/tx/${receipt.transactionHash})`,
+      {
+        chat_id: chatId,
+        message_id: processingMsg.message_id,
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true
+      }
+    );
+  } catch (error) {
+    await bot.editMessageText(
+      `❌ Transaction failed: ${error.message}`,
+      {
+        chat_id: chatId,
+        message_id: processingMsg.message_id
+      }
+    );
+  }
+});
+
+// Speed up or cancel a pending transaction from the buttons under its status message
+const handleReplaceTransaction = asyncErrorHandler(async (query, action, txId) => {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  
+  const pending = transactionUtils.getPendingTransaction(txId);
+  if (!pending) {
+    await bot.sendMessage(chatId, 'This transaction is no longer pending.');
+    return;
+  }
+  
+  const user = userWallets[userId];
+  const walletRecord = user && user.wallets.find((wallet) => wallet.address.toLowerCase() === pending.from.toLowerCase());
+  if (!walletRecord) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.WALLET_NOT_FOUND);
+    return;
+  }
+  
+  const options = { passphrase: getPassphrase(userId) };
+  
+  // The status message follows the replacement on its own
+  try {
+    if (action === 'cancel') {
+      await transactionUtils.cancelTransaction(walletRecord, txId, options);
+    } else {
+      await transactionUtils.speedUpTransaction(walletRecord, txId, options);
+    }
+  } catch (error) {
+    await bot.sendMessage(chatId, `❌ ${error.message}`);
+  }
+});
+
+// Handle /limit command
+const handleLimit = asyncErrorHandler(async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  
+  // Check if user has a wallet
+  if (!getActiveWallet(userId)) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.WALLET_NOT_FOUND);
+    return;
+  }
+  
+  await sessionStore.set(userId, { state: 'LIMIT_TOKEN' });
+  await bot.sendMessage(chatId, 'Please enter the token contract address for your limit order:');
+});
+
+const handleLimitTokenAddress = asyncErrorHandler(async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  
+  // Get session data
+  const session = await sessionStore.get(userId);
+  if (!session || session.state !== 'LIMIT_TOKEN') return;
+  
+  const tokenAddress = walletUtils.validateAddress(msg.text.trim());
+  if (!tokenAddress) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.INVALID_ADDRESS);
+    return;
+  }
+  
+  let price;
+  try {
+    price = await uniswapUtils.getTokenPrice(tokenAddress);
+  } catch (error) {
+    await bot.sendMessage(chatId, `❌ ${error.message}`);
+    return;
+  }
+  
+  await sessionStore.set(userId, {
+    state: 'LIMIT_SIDE',
+    tokenAddress,
+    symbol: price.tokenSymbol,
+    currentPrice: price.priceInMON
+  });
+  
+  const keyboard = {
+    inline_keyboard: [
+      [
+        { text: '🛒 Buy below', callback_data: 'limit_side_buy' },
+        { text: '💰 Sell above', callback_data: 'limit_side_sell' }
+      ],
+      [{ text: 'Cancel', callback_data: 'cancel' }]
+    ]
+  };
+  
+  await bot.sendMessage(
+    chatId,
+    `Token: ${price.tokenSymbol} (${price.tokenName})\n` +
+    `Current price: ${price.priceInMON} MON\n\n` +
+    `What kind of order do you want to place?`,
+    { reply_markup: keyboard }
+  );
+});
+
+const handleLimitSideChoice = asyncErrorHandler(async (query, side) => {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  
+  // Get session data
+  const session = await sessionStore.get(userId);
+  if (!session || session.state !== 'LIMIT_SIDE') {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.SESSION_EXPIRED);
+    return;
+  }
+  
+  session.state = 'LIMIT_PRICE';
+  session.side = side;
+  await sessionStore.set(userId, session);
+  
+  await bot.sendMessage(
+    chatId,
+    `Current price: ${session.currentPrice} MON per ${session.symbol}\n\n` +
+    (side === 'buy'
+      ? `Please enter the price in MON at or below which to buy:`
+      : `Please enter the price in MON at or above which to sell:`)
+  );
+});
+
+const handleLimitPrice = asyncErrorHandler(async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  const text = msg.text.trim();
+  
+  // Get session data
+  const session = await sessionStore.get(userId);
+  if (!session || session.state !== 'LIMIT_PRICE') return;
+  
+  // Validate the price, which must also fit in 18 decimals
+  const price = parseFloat(text);
+  if (isNaN(price) || price <= 0 || !/^\d*\.?\d{0,18}$/.test(text)) {
+    await bot.sendMessage(chatId, '❌ Invalid price. Please enter a positive number of MON.');
+    return;
+  }
+  
+  session.state = 'LIMIT_AMOUNT';
+  session.triggerPrice = text;
+  await sessionStore.set(userId, session);
+  
+  if (session.side === 'buy') {
+    const monBalance = await walletUtils.getBalance(getActiveWallet(userId).address);
+    await bot.sendMessage(chatId, `How much MON do you want to spend? (balance: ${monBalance} MON)`);
+  } else {
+    const tokenBalance = await walletUtils.getTokenBalance(getActiveWallet(userId).address, session.tokenAddress);
+    await bot.sendMessage(
+      chatId,
+      `How many ${session.symbol} do you want to sell? (balance: ${tokenBalance.balance} ${session.symbol})`
+    );
+  }
+});
+
+const handleLimitAmount = asyncErrorHandler(async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  const text = msg.text.trim();
+  
+  // Get session data
+  const session = await sessionStore.get(userId);
+  if (!session || session.state !== 'LIMIT_AMOUNT') return;
+  
+  // The balance is checked again when the order executes
+  const address = getActiveWallet(userId).address;
+  const { balance, decimals } = session.side === 'buy'
+    ? { balance: await walletUtils.getBalance(address), decimals: 18 }
+    : await walletUtils.getTokenBalance(address, session.tokenAddress);
+  const unit = session.side === 'buy' ? 'MON' : session.symbol;
+  
+  // Validate amount, so the order cannot fail on it when it triggers
+  if (!isValidAmount(text, decimals)) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.INVALID_AMOUNT);
+    return;
+  }
+  
+  if (parseFloat(text) > parseFloat(balance)) {
+    await bot.sendMessage(chatId, `${ERROR_MESSAGES.INSUFFICIENT_BALANCE} Your balance: ${balance} ${unit}`);
+    return;
+  }
+  
+  session.amount = text;
+  const confirmToken = await issueConfirmToken(userId, session);
+  
+  // Create confirmation keyboard
+  const keyboard = {
+    inline_keyboard: [
+      [
+        { text: '✅ Confirm', callback_data: `confirm_limit_${confirmToken}` },
+        { text: '❌ Cancel', callback_data: 'cancel' }
+      ]
+    ]
+  };
+  
+  const description = session.side === 'buy'
+    ? `Buy ${session.symbol} with ${text} MON when the price is at or below ${session.triggerPrice} MON`
+    : `Sell ${text} ${session.symbol} when the price is at or above ${session.triggerPrice} MON`;
+  
+  await bot.sendMessage(
+    chatId,
+    `*Confirm Limit Order*\n\n` +
+    `${description}.\n\n` +
+    `Current price: ${session.currentPrice} MON\n` +
+    `The order uses your default slippage, deadline and fee speed from /settings.\n\n` +
+    `Do you want to place it?`,
+    { parse_mode: 'Markdown', reply_markup: keyboard }
+  );
+});
+
+const handleConfirmLimit = asyncErrorHandler(async (query, session) => {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  
+  if (!session || session.state !== 'LIMIT_AMOUNT' || !session.amount) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.SESSION_EXPIRED);
+    return;
+  }
+  
+  const walletRecord = getActiveWallet(userId);
+  const order = orderUtils.createOrder({
+    userId,
+    chatId,
+    walletAddress: walletRecord.address,
+    tokenAddress: session.tokenAddress,
+    tokenSymbol: session.symbol,
+    side: session.side,
+    triggerPrice: session.triggerPrice,
+    amount: session.amount
+  });
+  
+  await bot.sendMessage(
+    chatId,
+    `✅ Limit order \`${order.id}\` placed. Use /orders to view or cancel it.${orderLockWarning(walletRecord)}`,
+    { parse_mode: 'Markdown' }
+  );
+});
+
+// Handle /orders command
+const handleOrders = asyncErrorHandler(async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  
+  const openOrders = orderUtils.getOpenOrders(userId);
+  
+  if (openOrders.length === 0) {
+    await bot.sendMessage(chatId, 'You have no open orders. Use /limit to place one.');
+    return;
+  }
+  
+  const lines = openOrders.map((order) => `\`${order.id}\` ${describeOrder(order)}`);
+  
+  const keyboard = {
+    inline_keyboard: openOrders.map((order) => [
+      { text: `❌ Cancel ${order.id}`, callback_data: `order_cancel_${order.id}` }
+    ])
+  };
+  
+  await bot.sendMessage(
+    chatId,
+    `*Your Open Orders:*\n\n${lines.join('\n')}`,
+    { parse_mode: 'Markdown', reply_markup: keyboard }
+  );
+});
+
+const handleCancelOrder = asyncErrorHandler(async (query, orderId) => {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  
+  const order = orderUtils.cancelOrder(userId, orderId);
+  
+  await bot.sendMessage(
+    chatId,
+    order ? `Order \`${order.id}\` cancelled.` : 'This order is no longer open.',
+    { parse_mode: 'Markdown' }
+  );
+});
+
+// Stop-loss and take-profit presets, in percent from the reference price
+const STOP_LOSS_PRESETS = [10, 20, 30, 50];
+const TAKE_PROFIT_PRESETS = [25, 50, 100, 200];
+
+// Handle the stop-loss and take-profit buttons on a token details card
+const handleExitChoice = asyncErrorHandler(async (query, type, tokenAddress) => {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  
+  // Check if user has a wallet
+  if (!getActiveWallet(userId)) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.WALLET_NOT_FOUND);
+    return;
+  }
+  
+  const tokenBalance = await walletUtils.getTokenBalance(getActiveWallet(userId).address, tokenAddress);
+  if (parseFloat(tokenBalance.balance) <= 0) {
+    await bot.sendMessage(chatId, `You don't have any ${tokenBalance.symbol} tokens to protect.`);
+    return;
+  }
+  
+  // Fall back to the current price when the token was not bought through the bot
+  let referencePrice = buyFills[buyFillKey(getActiveWallet(userId).address, tokenAddress)];
+  let referenceLabel = 'Fill price';
+  if (!referencePrice) {
+    referencePrice = (await uniswapUtils.getTokenPrice(tokenAddress)).priceInMON;
+    referenceLabel = 'Current price';
+  }
+  
+  await sessionStore.set(userId, {
+    state: 'EXIT_PERCENT',
+    type,
+    tokenAddress,
+    symbol: tokenBalance.symbol,
+    referencePrice,
+    referenceLabel
+  });
+  
+  const isStopLoss = type === 'stop_loss';
+  const presets = (isStopLoss ? STOP_LOSS_PRESETS : TAKE_PROFIT_PRESETS).map((percent) => ({
+    text: `${isStopLoss ? '-' : '+'}${percent}%`,
+    callback_data: `exit_pct_${percent}`
+  }));
+  
+  const keyboard = {
+    inline_keyboard: [
+      presets,
+      [
+        { text: 'Custom', callback_data: 'exit_pct_custom' },
+        { text: 'Cancel', callback_data: 'cancel' }
+      ]
+    ]
+  };
+  
+  await bot.sendMessage(
+    chatId,
+    `${isStopLoss ? '🛑 Stop-loss' : '🎯 Take-profit'} for ${tokenBalance.symbol}\n` +
+    `${referenceLabel}: ${referencePrice} MON\n\n` +
+    (isStopLoss ? 'Sell when the price drops by:' : 'Sell when the price rises by:'),
+    { reply_markup: keyboard }
+  );
+});
+
+const handleExitPercentChoice = asyncErrorHandler(async (query, value) => {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  
+  // Get session data
+  const session = await sessionStore.get(userId);
+  if (!session || session.state !== 'EXIT_PERCENT') {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.SESSION_EXPIRED);
+    return;
+  }
+  
+  if (value === 'custom') {
+    session.state = 'EXIT_CUSTOM_PERCENT';
+    await sessionStore.set(userId, session);
+    await bot.sendMessage(chatId, 'Please enter the price change in percent (e.g. 15):');
+    return;
+  }
+  
+  session.percent = parseFloat(value);
+  await sessionStore.set(userId, session);
+  await askExitSize(chatId, userId);
+});
+
+const handleExitCustomPercent = asyncErrorHandler(async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  
+  // Get session data
+  const session = await sessionStore.get(userId);
+  if (!session || session.state !== 'EXIT_CUSTOM_PERCENT') return;
+  
+  // A stop-loss cannot fall by 100% or more
+  const percent = parseFloat(msg.text.trim().replace('%', ''));
+  const maxPercent = session.type === 'stop_loss' ? 99 : 10000;
+  if (isNaN(percent) || percent <= 0 || percent > maxPercent) {
+    await bot.sendMessage(chatId, `❌ Invalid percentage. Please enter a number between 0 and ${maxPercent}.`);
+    return;
+  }
+  
+  session.state = 'EXIT_PERCENT';
+  session.percent = percent;
+  await sessionStore.set(userId, session);
+  await askExitSize(chatId, userId);
+});
+
+// Get the trigger price of a stop-loss or take-profit
+function getExitTriggerPrice(session) {
+  const changeBps = Math.round(session.percent * 100) * (session.type === 'stop_loss' ? -1 : 1);
+  const triggerPrice = ethers.utils.parseEther(session.referencePrice).mul(10000 + changeBps).div(10000);
+  
+  return ethers.utils.formatEther(triggerPrice);
+}
+
+// Ask how much of the position a stop-loss or take-profit should sell
+async function askExitSize(chatId, userId) {
+  const session = await sessionStore.get(userId);
+  const sign = session.type === 'stop_loss' ? '-' : '+';
+  
+  const keyboard = {
+    inline_keyboard: [
+      [
+        { text: '25%', callback_data: 'exit_size_25' },
+        { text: '50%', callback_data: 'exit_size_50' },
+        { text: '100%', callback_data: 'exit_size_100' }
+      ],
+      [{ text: 'Cancel', callback_data: 'cancel' }]
+    ]
+  };
+  
+  await bot.sendMessage(
+    chatId,
+    `Trigger price: ${getExitTriggerPrice(session)} MON (${sign}${session.percent}%)\n\n` +
+    `How much of your ${session.symbol} should be sold when it triggers?`,
+    { reply_markup: keyboard }
+  );
+}
+
+const handleExitSizeChoice = asyncErrorHandler(async (query, value) => {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  
+  // Get session data
+  const session = await sessionStore.get(userId);
+  if (!session || session.state !== 'EXIT_PERCENT' || !session.percent) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.SESSION_EXPIRED);
+    return;
+  }
+  
+  const walletRecord = getActiveWallet(userId);
+  const order = orderUtils.createOrder({
+    type: session.type,
+    userId,
+    chatId,
+    walletAddress: walletRecord.address,
+    tokenAddress: session.tokenAddress,
+    tokenSymbol: session.symbol,
+    side: 'sell',
+    triggerPrice: getExitTriggerPrice(session),
+    sellPercent: parseInt(value, 10)
+  });
+  
+  // Clear session
+  await sessionStore.delete(userId);
+  
+  await bot.sendMessage(
+    chatId,
+    `✅ ${describeOrder(order)} set (\`${order.id}\`). Use /orders to view or cancel it.${orderLockWarning(walletRecord)}`,
+    { parse_mode: 'Markdown' }
+  );
+});
+
+// Warn that background trades of a passphrase-protected wallet only execute while it is unlocked
+function orderLockWarning(walletRecord, subject = 'the order') {
+  return keystoreUtils.isPassphraseProtected(walletRecord)
+    ? `\n\n🔐 Your wallet is passphrase-protected, so ${subject} can only execute while it is unlocked.`
+    : '';
+}
+
+// Describe an order for /orders and its notifications
+function describeOrder(order) {
+  switch (orderUtils.getOrderType(order)) {
+    case 'stop_loss':
+      return `🛑 Stop-loss: sell ${order.sellPercent}% of ${order.tokenSymbol} at ≤ ${order.triggerPrice} MON`;
+    case 'take_profit':
+      return `🎯 Take-profit: sell ${order.sellPercent}% of ${order.tokenSymbol} at ≥ ${order.triggerPrice} MON`;
+    default:
+      return order.side === 'buy'
+        ? `🛒 Buy ${order.tokenSymbol} with ${order.amount} MON at ≤ ${order.triggerPrice} MON`
+        : `💰 Sell ${order.amount} ${order.tokenSymbol} at ≥ ${order.triggerPrice} MON`;
+  }
+}
+
+// Execute a triggered order with the wallet that placed it
+async function executeOrder(order) {
+  const user = userWallets[order.userId];
+  const walletRecord = user && user.wallets.find((wallet) => wallet.address === order.walletAddress);
+  if (!walletRecord) {
+    throw new Error('The wallet that placed this order no longer exists');
+  }
+  
+  // Exits sell a share of whatever the wallet holds when they trigger
+  if (order.sellPercent) {
+    const tokenBalance = await walletUtils.getTokenBalance(order.walletAddress, order.tokenAddress);
+    const balanceWei = ethers.utils.parseUnits(tokenBalance.balance, tokenBalance.decimals);
+    const amountWei = balanceWei.mul(order.sellPercent).div(100);
+    
+    if (amountWei.isZero()) {
+      throw new Error(`No ${order.tokenSymbol} left to sell`);
+    }
+    
+    order.amount = ethers.utils.formatUnits(amountWei, tokenBalance.decimals);
+  }
+  
+  const options = {
+    passphrase: getPassphrase(order.userId),
+    ...getUserSettings(order.userId)
+  };
+  
+  const txHash = order.side === 'buy'
+    ? await uniswapUtils.buyToken(walletRecord, order.tokenAddress, order.amount, options)
+    : await uniswapUtils.sellToken(walletRecord, order.tokenAddress, order.amount, options);
+  const receipt = await transactionUtils.waitForTransaction(txHash);
+  
+  await recordTrade({
+    userId: order.userId,
+    walletAddress: order.walletAddress,
+    side: order.side,
+    tokenIn: order.side === 'buy' ? null : order.tokenAddress,
+    tokenOut: order.side === 'buy' ? order.tokenAddress : null,
+    txHash: receipt.transactionHash,
+    source: orderUtils.getOrderType(order)
+  });
+  
+  return receipt.transactionHash;
+}
+
+// Tell the user that an order filled or failed
+async function notifyOrder(order) {
+  const titles = {
+    limit: 'Limit Order Filled!',
+    stop_loss: 'Stop-Loss Triggered!',
+    take_profit: 'Take-Profit Triggered!'
+  };
+  
+  if (order.status === 'filled') {
+    const sold = order.sellPercent ? `Sold ${order.amount} ${order.tokenSymbol}\n` : '';
+    const cancelled = order.cancelledExits && order.cancelledExits.length > 0
+      ? `Cancelled the other exits on this position: ${order.cancelledExits.join(', ')}\n`
+      : '';
+    
+    await bot.sendMessage(
+      order.chatId,
+      `✅ *${titles[orderUtils.getOrderType(order)]}*\n\n` +
+      `${describeOrder(order)}\n` +
+      `Executed at ${order.executionPrice} MON\n` +
+      `${sold}${cancelled}\n` +
+      `[View Transaction](https://explorer.monad.xyz/testnet/tx/${order.txHash})`,
+      { parse_mode: 'Markdown', disable_web_page_preview: true }
+    );
+  } else {
+    await bot.sendMessage(
+      order.chatId,
+      `❌ Order ${order.id} failed (${describeOrder(order)}): ${order.error}`
+    );
+  }
+}
+
+// Handle /copy command: follow a wallet with an address, list follows without one
+const handleCopy = asyncErrorHandler(async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  const leaderInput = match && match[1] ? match[1].trim() : null;
+  
+  // Check if user has a wallet
+  if (!getActiveWallet(userId)) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.WALLET_NOT_FOUND);
+    return;
+  }
+  
+  if (!leaderInput) {
+    await showFollows(chatId, userId);
+    return;
+  }
+  
+  const leaderAddress = walletUtils.validateAddress(leaderInput);
+  if (!leaderAddress) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.INVALID_ADDRESS);
+    return;
+  }
+  
+  const walletRecord = getActiveWallet(userId);
+  if (leaderAddress === walletRecord.address) {
+    await bot.sendMessage(chatId, '❌ Your active wallet cannot copy its own trades.');
+    return;
+  }
+  
+  if (copyTradeUtils.isFollowing(walletRecord.address, leaderAddress)) {
+    await bot.sendMessage(chatId, `${walletRecord.name} already copies this wallet. Use /copy to manage it.`);
+    return;
+  }
+  
+  await sessionStore.set(userId, { state: 'COPY_SIZING', leaderAddress });
+  
+  const keyboard = {
+    inline_keyboard: [
+      [
+        { text: '💵 Fixed MON per buy', callback_data: 'copy_sizing_fixed' },
+        { text: '📐 % of their buy', callback_data: 'copy_sizing_percent' }
+      ],
+      [{ text: '❌ Cancel', callback_data: 'cancel' }]
+    ]
+  };
+  
+  await bot.sendMessage(
+    chatId,
+    `*Copy Trading*\n\n` +
+    `Leader: \`${leaderAddress}\`\n` +
+    `Follower: ${walletRecord.name}\n\n` +
+    `Buys and sells the leader makes through the router are copied from your wallet. ` +
+    `Sells sell the same share of your position as the leader sold of theirs.\n\n` +
+    `How should copied buys be sized?`,
+    { parse_mode: 'Markdown', reply_markup: keyboard }
+  );
+});
+
+const handleCopySizingChoice = asyncErrorHandler(async (query, sizing) => {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  
+  // Get session data
+  const session = await sessionStore.get(userId);
+  if (!session || session.state !== 'COPY_SIZING') {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.SESSION_EXPIRED);
+    return;
+  }
+  
+  session.state = 'COPY_AMOUNT';
+  session.sizing = sizing;
+  await sessionStore.set(userId, session);
+  
+  await bot.sendMessage(
+    chatId,
+    sizing === 'fixed'
+      ? 'Please enter the MON to spend on each copied buy:'
+      : 'Please enter the percentage of the MON the leader spends to copy, e.g. 50:'
+  );
+});
+
+const handleCopyAmount = asyncErrorHandler(async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  const text = msg.text.trim();
+  
+  // Get session data
+  const session = await sessionStore.get(userId);
+  if (!session || session.state !== 'COPY_AMOUNT') return;
+  
+  // Percentages are kept to 2 decimals and MON amounts to 18
+  const amount = parseFloat(text);
+  const pattern = session.sizing === 'percent' ? /^\d*\.?\d{0,2}$/ : /^\d*\.?\d{0,18}$/;
+  if (isNaN(amount) || amount <= 0 || !pattern.test(text)) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.INVALID_AMOUNT);
+    return;
+  }
+  
+  if (session.sizing === 'percent' && amount > copyTradeUtils.MAX_COPY_PERCENT) {
+    await bot.sendMessage(chatId, `❌ Please enter at most ${copyTradeUtils.MAX_COPY_PERCENT}%.`);
+    return;
+  }
+  
+  session.amount = text;
+  
+  // A fixed amount is its own per-trade cap
+  if (session.sizing === 'percent') {
+    session.state = 'COPY_TRADE_CAP';
+    await sessionStore.set(userId, session);
+    await bot.sendMessage(
+      chatId,
+      'Please enter the most MON to spend on one copied buy, or send `none` for no cap:',
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  session.state = 'COPY_DAILY_LIMIT';
+  await sessionStore.set(userId, session);
+  await bot.sendMessage(
+    chatId,
+    'Please enter the most MON to spend on copied buys per day, or send `none` for no limit:',
+    { parse_mode: 'Markdown' }
+  );
+});
+
+const handleCopyCap = asyncErrorHandler(async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  const text = msg.text.trim();
+  
+  // Get session data
+  const session = await sessionStore.get(userId);
+  if (!session || !['COPY_TRADE_CAP', 'COPY_DAILY_LIMIT'].includes(session.state)) return;
+  
+  let cap = null;
+  if (text.toLowerCase() !== 'none') {
+    const amount = parseFloat(text);
+    if (isNaN(amount) || amount <= 0 || !/^\d*\.?\d{0,18}$/.test(text)) {
+      await bot.sendMessage(chatId, ERROR_MESSAGES.INVALID_AMOUNT);
+      return;
+    }
+    cap = text;
+  }
+  
+  if (session.state === 'COPY_TRADE_CAP') {
+    session.maxTradeMon = cap;
+    session.state = 'COPY_DAILY_LIMIT';
+    await sessionStore.set(userId, session);
+    await bot.sendMessage(
+      chatId,
+      'Please enter the most MON to spend on copied buys per day, or send `none` for no limit:',
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  session.dailyLimitMon = cap;
+  session.state = 'COPY_CONFIRM';
+  const confirmToken = await issueConfirmToken(userId, session);
+  
+  // Create confirmation keyboard
+  const keyboard = {
+    inline_keyboard: [
+      [
+        { text: '✅ Confirm', callback_data: `confirm_copy_${confirmToken}` },
+        { text: '❌ Cancel', callback_data: 'cancel' }
+      ]
+    ]
+  };
+  
+  await bot.sendMessage(
+    chatId,
+    `*Confirm Copy Trading*\n\n` +
+    `${describeFollow(session)}\n\n` +
+    `Copied trades use your default slippage, deadline and fee speed from /settings, ` +
+    `and buys of tokens rated high risk are skipped.\n\n` +
+    `Do you want to start copying?`,
+    { parse_mode: 'Markdown', reply_markup: keyboard }
+  );
+});
+
+const handleConfirmCopy = asyncErrorHandler(async (query, session) => {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  
+  if (!session || session.state !== 'COPY_CONFIRM') {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.SESSION_EXPIRED);
+    return;
+  }
+  
+  const walletRecord = getActiveWallet(userId);
+  const follow = copyTradeUtils.createFollow({
+    userId,
+    chatId,
+    walletAddress: walletRecord.address,
+    leaderAddress: session.leaderAddress,
+    sizing: session.sizing,
+    amount: session.amount,
+    maxTradeMon: session.maxTradeMon,
+    dailyLimitMon: session.dailyLimitMon
+  });
+  
+  await bot.sendMessage(
+    chatId,
+    `✅ Copy trading started (\`${follow.id}\`). Use /copy to pause or stop it.` +
+    `${orderLockWarning(walletRecord, 'copied trades')}`,
+    { parse_mode: 'Markdown' }
+  );
+});
+
+// List a user's follows with pause, resume and stop buttons
+async function showFollows(chatId, userId) {
+  const follows = copyTradeUtils.getFollows(userId);
+  
+  if (follows.length === 0) {
+    await bot.sendMessage(chatId, 'You are not copying anyone. Use /copy <address> to follow a wallet.');
+    return;
+  }
+  
+  const lines = follows.map((follow) => `\`${follow.id}\` ${describeFollow(follow)}`);
+  
+  const keyboard = {
+    inline_keyboard: follows.map((follow) => [
+      follow.status === 'paused'
+        ? { text: `▶️ Resume ${follow.id}`, callback_data: `copy_resume_${follow.id}` }
+        : { text: `⏸ Pause ${follow.id}`, callback_data: `copy_pause_${follow.id}` },
+      { text: `🛑 Stop ${follow.id}`, callback_data: `copy_stop_${follow.id}` }
+    ])
+  };
+  
+  await bot.sendMessage(
+    chatId,
+    `*Wallets You Copy:*\n\n${lines.join('\n\n')}`,
+    { parse_mode: 'Markdown', reply_markup: keyboard }
+  );
+}
+
+const handleFollowAction = asyncErrorHandler(async (query, action, followId) => {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  
+  const follow = action === 'stop'
+    ? copyTradeUtils.stopFollow(userId, followId)
+    : copyTradeUtils.setFollowPaused(userId, followId, action === 'pause');
+  
+  if (!follow) {
+    await bot.sendMessage(chatId, 'This copy trade no longer exists.');
+    return;
+  }
+  
+  const results = {
+    pause: 'paused. Trades made while paused are not copied',
+    resume: 'resumed',
+    stop: 'stopped'
+  };
+  await bot.sendMessage(chatId, `Copy trading \`${follow.id}\` ${results[action]}.`, { parse_mode: 'Markdown' });
+});
+
+// Shorten an address for messages
+function shortAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+// Describe a follow for /copy and its confirmation
+function describeFollow(follow) {
+  const sizing = follow.sizing === 'fixed'
+    ? `${follow.amount} MON per buy`
+    : `${follow.amount}% of their buys`;
+  const caps = [
+    follow.maxTradeMon ? `max ${follow.maxTradeMon} MON per buy` : null,
+    follow.dailyLimitMon ? `max ${follow.dailyLimitMon} MON per day` : null
+  ].filter(Boolean);
+  
+  return `👥 Copying \`${follow.leaderAddress}\`${follow.status === 'paused' ? ' (paused)' : ''}\n` +
+    `Buys: ${sizing}${caps.length > 0 ? ` (${caps.join(', ')})` : ''}\n` +
+    `Sells: the same share of the position as the leader`;
+}
+
+// Execute a copied trade with the follower wallet, in the background until it is confirmed
+async function executeCopy(follow, copy) {
+  const user = userWallets[follow.userId];
+  const walletRecord = user && user.wallets.find((wallet) => wallet.address === follow.walletAddress);
+  if (!walletRecord) {
+    throw new Error('The wallet that follows this leader no longer exists');
+  }
+  
+  const options = {
+    passphrase: getPassphrase(follow.userId),
+    ...getUserSettings(follow.userId)
+  };
+  
+  const txHash = copy.side === 'buy'
+    ? await uniswapUtils.buyToken(walletRecord, copy.tokenAddress, copy.amount, options)
+    : await uniswapUtils.sellToken(walletRecord, copy.tokenAddress, copy.amount, options);
+  const receipt = await transactionUtils.waitForTransaction(txHash);
+  
+  const trade = await recordTrade({
+    userId: follow.userId,
+    walletAddress: follow.walletAddress,
+    side: copy.side,
+    tokenIn: copy.side === 'buy' ? null : copy.tokenAddress,
+    tokenOut: copy.side === 'buy' ? copy.tokenAddress : null,
+    txHash: receipt.transactionHash,
+    source: 'copy'
+  });
+  copy.received = trade ? trade.amountOut : null;
+  
+  return receipt.transactionHash;
+}
+
+// Tell the follower that a copied trade filled, failed or was skipped
+async function notifyCopy(follow, copy) {
+  const leader = shortAddress(follow.leaderAddress);
+  const action = copy.side === 'buy'
+    ? `buy ${copy.tokenSymbol} with ${copy.amount} MON`
+    : `sell ${copy.amount} ${copy.tokenSymbol} (${copy.sellPercent}% of your position)`;
+  const leaderLink = `[Leader's Transaction](https://explorer.monad.xyz/testnet/tx/${copy.leaderTxHash})`;
+  
+  if (copy.status === 'filled') {
+    const received = copy.received
+      ? `Received ${copy.received} ${copy.side === 'buy' ? copy.tokenSymbol : 'MON'}\n`
+      : '';
+    
+    await bot.sendMessage(
+      follow.chatId,
+      `✅ *Copied ${leader}*\n\n` +
+      `Executed: ${action}\n` +
+      `${received}\n` +
+      `[View Transaction](https://explorer.monad.xyz/testnet/tx/${copy.txHash}) · ${leaderLink}`,
+      { parse_mode: 'Markdown', disable_web_page_preview: true }
+    );
+  } else if (copy.status === 'skipped') {
+    await bot.sendMessage(
+      follow.chatId,
+      `⏭ Skipped copying ${leader}'s buy of ${copy.tokenSymbol} (${copy.leaderAmount} MON): ${copy.reason}\n\n${leaderLink}`,
+      { parse_mode: 'Markdown', disable_web_page_preview: true }
+    );
+  } else {
+    await bot.sendMessage(
+      follow.chatId,
+      `❌ Copy of ${leader} failed (${action}): ${copy.error}`
+    );
+  }
+}
+
+// Format a signed MON amount
+function formatPnl(amount) {
+  const value = parseFloat(amount);
+  return `${value >= 0 ? '+' : ''}${value.toFixed(6)} MON`;
+}
+
+// Handle /portfolio command
+const handlePortfolio = asyncErrorHandler(async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  
+  // Check if user has a wallet
+  if (!getActiveWallet(userId)) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.WALLET_NOT_FOUND);
+    return;
+  }
+  
+  const activeWallet = getActiveWallet(userId);
+  const trades = historyUtils.getWalletTrades(activeWallet.address);
+  
+  if (trades.length === 0) {
+    await bot.sendMessage(chatId, `No trades recorded for ${activeWallet.name} yet. Buy a token to start tracking PnL.`);
+    return;
+  }
+  
+  // Send loading message
+  const loadingMsg = await bot.sendMessage(chatId, 'Calculating your portfolio...');
+  
+  try {
+    const { positions, totals } = await portfolioUtils.getPortfolio(activeWallet.address, trades);
+    
+    const sections = positions.map((position) => {
+      const lines = [`*${position.symbol}*`, `Balance: ${position.balance} ${position.symbol}`];
+      
+      if (position.averageCost) {
+        lines.push(`Avg cost: ${parseFloat(position.averageCost).toFixed(8)} MON`);
+      }
+      
+      if (position.value === null) {
+        lines.push('Value: unavailable (no route to MON)');
+      } else if (parseFloat(position.balance) > 0) {
+        lines.push(`Value: ${parseFloat(position.value).toFixed(6)} MON`);
+      }
+      
+      if (position.unrealizedPnl !== null && parseFloat(position.costBasis) > 0) {
+        const percent = (parseFloat(position.unrealizedPnl) / parseFloat(position.costBasis)) * 100;
+        lines.push(`Unrealized: ${formatPnl(position.unrealizedPnl)} (${percent >= 0 ? '+' : ''}${percent.toFixed(2)}%)`);
+      }
+      
+      lines.push(`Realized: ${formatPnl(position.realizedPnl)}`);
+      return lines.join('\n');
+    });
+    
+    await bot.editMessageText(
+      `📊 *Portfolio of ${activeWallet.name}*\n\n` +
+      `${sections.join('\n\n')}\n\n` +
+      `*Total*\n` +
+      `Value: ${parseFloat(totals.value).toFixed(6)} MON (cost ${parseFloat(totals.cost).toFixed(6)} MON)\n` +
+      `Unrealized: ${formatPnl(totals.unrealizedPnl)}\n` +
+      `Realized: ${formatPnl(totals.realizedPnl)}\n` +
+      `Gas paid: ${parseFloat(totals.gasPaid).toFixed(6)} MON`,
+      {
+        chat_id: chatId,
+        message_id: loadingMsg.message_id,
+        parse_mode: 'Markdown'
+      }
+    );
+  } catch (error) {
+    await bot.editMessageText(
+      `Error calculating portfolio: ${error.message}`,
+      {
+        chat_id: chatId,
+        message_id: loadingMsg.message_id
+      }
+    );
+  }
+});
+
+// Trades shown per page of /history
+const HISTORY_PAGE_SIZE = 10;
+
+const TRADE_ICONS = { buy: '🛒', sell: '💰', swap: '🔄' };
+const TRADE_SOURCES = { limit: 'limit order', stop_loss: 'stop-loss', take_profit: 'take-profit' };
+
+// Build one page of a user's trade history
+function renderHistoryPage(userId, filter, page) {
+  const trades = historyUtils.getTrades(userId, filter);
+  if (trades.length === 0) return null;
+  
+  const pageCount = Math.ceil(trades.length / HISTORY_PAGE_SIZE);
+  const currentPage = Math.min(Math.max(page, 0), pageCount - 1);
+  const pageTrades = trades.slice(currentPage * HISTORY_PAGE_SIZE, (currentPage + 1) * HISTORY_PAGE_SIZE);
+  
+  const lines = pageTrades.map((trade) => {
+    const time = new Date(trade.timestamp).toISOString().replace('T', ' ').slice(0, 16);
+    const source = TRADE_SOURCES[trade.source] ? ` (${TRADE_SOURCES[trade.source]})` : '';
+    
+    return `${TRADE_ICONS[trade.side]} ${time} UTC${source}\n` +
+      `${parseFloat(trade.amountIn).toFixed(6)} ${trade.tokenIn.symbol} → ` +
+      `${parseFloat(trade.amountOut).toFixed(6)} ${trade.tokenOut.symbol}\n` +
+      `Gas: ${parseFloat(trade.gasPaid).toFixed(6)} MON · [View](https://explorer.monad.xyz/testnet/tx/${trade.txHash})`;
+  });
+  
+  // The filter travels in the callback data so page buttons keep it
+  const filterKey = filter || 'all';
+  const navigation = [];
+  if (currentPage > 0) {
+    navigation.push({ text: '⬅️ Newer', callback_data: `history_page_${currentPage - 1}_${filterKey}` });
+  }
+  if (currentPage < pageCount - 1) {
+    navigation.push({ text: 'Older ➡️', callback_data: `history_page_${currentPage + 1}_${filterKey}` });
+  }
+  
+  const keyboard = {
+    inline_keyboard: [
+      ...(navigation.length > 0 ? [navigation] : []),
+      [{ text: '📄 Export CSV', callback_data: `history_csv_${filterKey}` }]
+    ]
+  };
+  
+  const title = filter ? `*Trade History (${filter})*` : '*Trade History*';
+  
+  return {
+    text: `${title} — page ${currentPage + 1}/${pageCount}\n\n${lines.join('\n\n')}`,
+    keyboard
+  };
+}
+
+// Handle /history command
+const handleHistory = asyncErrorHandler(async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  const filter = match && match[1] ? match[1].trim() : null;
+  
+  // Keep the filter short enough to fit in the button callback data
+  if (filter && filter.length > 42) {
+    await bot.sendMessage(chatId, '❌ Please filter by a token address or symbol, e.g. /history 0x... or /history TT');
+    return;
+  }
+  
+  const history = renderHistoryPage(userId, filter, 0);
+  if (!history) {
+    await bot.sendMessage(chatId, filter ? `No trades found for ${filter}.` : 'No trades recorded yet.');
+    return;
+  }
+  
+  await bot.sendMessage(chatId, history.text, {
+    parse_mode: 'Markdown',
+    disable_web_page_preview: true,
+    reply_markup: history.keyboard
+  });
+});
+
+// Handle history page and export buttons
+const handleHistoryCallback = asyncErrorHandler(async (query) => {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  const data = query.data;
+  
+  if (data.startsWith('history_csv_')) {
+    const filterKey = data.replace('history_csv_', '');
+    const trades = historyUtils.getTrades(userId, filterKey === 'all' ? null : filterKey);
+    
+    await bot.sendDocument(
+      chatId,
+      Buffer.from(historyUtils.toCsv(trades)),
+      { caption: `${trades.length} trade(s)` },
+      { filename: 'trades.csv', contentType: 'text/csv' }
+    );
+    return;
+  }
+  
+  // Page buttons carry history_page_<page>_<filter>
+  const rest = data.replace('history_page_', '');
+  const separator = rest.indexOf('_');
+  const page = parseInt(rest.slice(0, separator), 10);
+  const filterKey = rest.slice(separator + 1);
+  
+  const history = renderHistoryPage(userId, filterKey === 'all' ? null : filterKey, page);
+  if (!history) return;
+  
+  await bot.editMessageText(history.text, {
+    chat_id: chatId,
+    message_id: query.message.message_id,
+    parse_mode: 'Markdown',
+    disable_web_page_preview: true,
+    reply_markup: history.keyboard
+  });
+});
+
+// Slippage and deadline presets offered in the menus
+const SLIPPAGE_PRESETS_BPS = [50, 100, 300, 500, 1000, 2000];
+const DEADLINE_PRESETS_MINUTES = [5, 10, 20, 60];
+const MAX_DEADLINE_MINUTES = 24 * 60;
+
+// Session states of a trade waiting on its confirmation screen
+const TRADE_CONFIRM_STATES = ['BUY_AMOUNT', 'SELL_AMOUNT', 'SWAP_AMOUNT'];
+
+// Parse a slippage percentage entered by the user into basis points
+function parseSlippageInput(text) {
+  const percent = parseFloat(text.replace('%', ''));
+  if (isNaN(percent) || percent <= 0) return null;
+  
+  const bps = Math.round(percent * 100);
+  return bps <= uniswapUtils.MAX_SLIPPAGE_BPS ? bps : null;
+}
+
+// Parse a deadline in minutes entered by the user
+function parseDeadlineInput(text) {
+  const minutes = parseInt(text, 10);
+  if (isNaN(minutes) || minutes < 1 || minutes > MAX_DEADLINE_MINUTES) return null;
+  
+  return minutes;
+}
+
+// Describe the estimated network fee of a trade for the confirmation screen
+async function describeTradeFee(feeEstimate) {
+  try {
+    const fee = await feeEstimate;
+    const approval = fee.needsApproval ? ', incl. token approval' : '';
+    return `Network fee: ~${parseFloat(fee.expectedCost).toFixed(6)} MON (max ${parseFloat(fee.maxCost).toFixed(6)} MON${approval})`;
+  } catch (error) {
+    logger.warn(`Fee estimate failed: ${error.message}`);
+    return 'Network fee: unavailable — the transaction may fail';
+  }
+}
+
+// Describe the quoted side, price impact and pool depth of a buy or sell
+// Exact-output quotes give the input side. The trade is blocked when its
+// price impact is above the configured limit.
+async function describeTradeQuote(tradeQuote, symbol) {
+  try {
+    const quote = await tradeQuote;
+    const impact = quote.priceImpactPercent;
+    
+    const lines = quote.maximumSpent !== undefined
+      ? [
+        `Expected cost: ~${parseFloat(quote.amountIn).toFixed(6)} ${symbol}`,
+        `Maximum spent: ${parseFloat(quote.maximumSpent).toFixed(6)} ${symbol}`
+      ]
+      : [
+        `Expected: ~${parseFloat(quote.amountOut).toFixed(6)} ${symbol}`,
+        `Minimum received: ${parseFloat(quote.minimumReceived).toFixed(6)} ${symbol}`
+      ];
+    lines.push(`Price impact: ${impact}%`);
+    if (quote.liquidityMon !== null) {
+      lines.push(`Pool liquidity: ${parseFloat(quote.liquidityMon).toFixed(2)} MON`);
+    }
+    
+    if (impact > uniswapUtils.PRICE_IMPACT_WARNING_PERCENT) {
+      lines.push(`⚠️ High price impact: this trade moves the price against you`);
+    }
+    
+    return { text: lines.join('\n'), blocked: impact > uniswapUtils.PRICE_IMPACT_MAX_PERCENT };
+  } catch (error) {
+    logger.warn(`Trade quote failed: ${error.message}`);
+    return { text: 'Price impact: unavailable', blocked: false };
+  }
+}
+
+// Closing line of a buy or sell confirmation screen
+function describeConfirmPrompt(quote) {
+  if (quote.blocked) {
+    return `⛔ The price impact is above the ${uniswapUtils.PRICE_IMPACT_MAX_PERCENT}% limit. Start again with a smaller amount.`;
+  }
+  
+  return 'Do you want to proceed?';
+}
+
+// Keyboard of a confirmation screen, without the confirm button when the trade is blocked
+function confirmationKeyboard(settings, confirmCallback, blocked) {
+  if (blocked) {
+    return { inline_keyboard: [[{ text: '❌ Cancel', callback_data: 'cancel' }]] };
+  }
+  
+  return {
+    inline_keyboard: [
+      ...tradeSettingsRows(settings),
+      [
+        { text: '✅ Confirm', callback_data: confirmCallback },
+        { text: '❌ Cancel', callback_data: 'cancel' }
+      ]
+    ]
+  };
+}
+
+// Slippage, deadline and fee buttons shown on the confirmation screens
+function tradeSettingsRows(settings) {
+  return [
+    [
+      { text: `⚙️ Slippage: ${formatBps(settings.slippageBps)}`, callback_data: 'trade_slippage' },
+      { text: `⏱ Deadline: ${settings.deadlineMinutes}m`, callback_data: 'trade_deadline' }
+    ],
+    [{ text: `⛽ Fee: ${settings.feePreset}`, callback_data: 'trade_fee' }]
+  ];
+}
+
+// Show the buy confirmation screen with the trade settings
+async function showBuyConfirmation(chatId, userId) {
+  const session = await sessionStore.get(userId);
+  const settings = getTradeSettings(userId, session);
+  const { slippageBps, deadlineMinutes } = settings;
+  
+  const address = getActiveWallet(userId).address;
+  
+  // Exact buys quote the MON it costs, other buys the tokens received
+  const [feeLine, quote] = await Promise.all(session.exactOutput
+    ? [
+      describeTradeFee(uniswapUtils.estimateExactBuyFee(address, session.tokenAddress, session.tokenAmount, settings)),
+      describeTradeQuote(uniswapUtils.getExactBuyQuote(address, session.tokenAddress, session.tokenAmount, slippageBps), 'MON')
+    ]
+    : [
+      describeTradeFee(uniswapUtils.estimateBuyFee(address, session.tokenAddress, session.monAmount, settings)),
+      describeTradeQuote(uniswapUtils.getBuyQuote(session.tokenAddress, session.monAmount, slippageBps), session.tokenInfo.symbol)
+    ]);
+  
+  const confirmToken = await issueConfirmToken(userId, session);
+  
+  // Create confirmation keyboard
+  const keyboard = confirmationKeyboard(settings, `confirm_buy_${confirmToken}`, quote.blocked);
+  
+  const summary = session.exactOutput
+    ? `You are about to buy exactly ${session.tokenAmount} ${session.tokenInfo.symbol}.`
+    : `You are about to buy ${session.tokenInfo.symbol} with ${session.monAmount} MON.`;
+  
+  await bot.sendMessage(
+    chatId,
+    `${summary}\n\n` +
+    `${quote.text}\n` +
+    `Slippage: ${formatBps(slippageBps)}\n` +
+    `Deadline: ${deadlineMinutes} minutes\n` +
+    `${feeLine}\n\n` +
+    describeConfirmPrompt(quote),
+    { reply_markup: keyboard }
+  );
+}
+
+// Show the sell confirmation screen with the trade settings
+async function showSellConfirmation(chatId, userId) {
+  const session = await sessionStore.get(userId);
+  const settings = getTradeSettings(userId, session);
+  const { slippageBps, deadlineMinutes } = settings;
+  const share = session.percentage ? ` (${session.percentage}% of your balance)` : '';
+  
+  const address = getActiveWallet(userId).address;
+  
+  // Exact sells quote the tokens they take, other sells the MON received
+  const [feeLine, quote] = await Promise.all(session.exactOutput
+    ? [
+      describeTradeFee(uniswapUtils.estimateExactSellFee(address, session.tokenAddress, session.monAmount, settings)),
+      describeTradeQuote(uniswapUtils.getExactSellQuote(address, session.tokenAddress, session.monAmount, slippageBps), session.tokenInfo.symbol)
+    ]
+    : [
+      describeTradeFee(uniswapUtils.estimateSellFee(address, session.tokenAddress, session.tokenAmount, settings)),
+      describeTradeQuote(uniswapUtils.getSellQuote(session.tokenAddress, session.tokenAmount, slippageBps), 'MON')
+    ]);
+  
+  const confirmToken = await issueConfirmToken(userId, session);
+  
+  // Create confirmation keyboard
+  const keyboard = confirmationKeyboard(settings, `confirm_sell_${confirmToken}`, quote.blocked);
+  
+  const summary = session.exactOutput
+    ? `You are about to sell ${session.tokenInfo.symbol} for exactly ${session.monAmount} MON.`
+    : `You are about to sell ${session.tokenAmount} ${session.tokenInfo.symbol}${share}.`;
+  
+  await bot.sendMessage(
+    chatId,
+    `${summary}\n\n` +
+    `${quote.text}\n` +
+    `Slippage: ${formatBps(slippageBps)}\n` +
+    `Deadline: ${deadlineMinutes} minutes\n` +
+    `${feeLine}\n\n` +
+    describeConfirmPrompt(quote),
+    { reply_markup: keyboard }
+  );
+}
+
+// Show the confirmation screen matching the current trade
+async function showTradeConfirmation(chatId, userId) {
+  const session = await sessionStore.get(userId);
+  if (session.state === 'BUY_AMOUNT') {
+    await showBuyConfirmation(chatId, userId);
+  } else if (session.state === 'SWAP_AMOUNT') {
+    await showSwapConfirmation(chatId, userId);
+  } else {
+    await showSellConfirmation(chatId, userId);
+  }
+}
+
+// Handle slippage and deadline overrides on the confirmation screen
+const handleTradeOverride = asyncErrorHandler(async (query) => {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  const data = query.data;
+  
+  // Only valid while a trade is waiting for confirmation
+  const session = await sessionStore.get(userId);
+  if (!session || !TRADE_CONFIRM_STATES.includes(session.state)) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.SESSION_EXPIRED);
+    return;
+  }
+  if (!session.monAmount && !session.tokenAmount && !session.amountIn) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.SESSION_EXPIRED);
+    return;
+  }
+  
+  const [, setting, value] = data.split('_');
+  
+  if (setting === 'fee') {
+    if (gasUtils.FEE_PRESETS[value]) {
+      session.feePreset = value;
+      await sessionStore.set(userId, session);
+      await showTradeConfirmation(chatId, userId);
+      return;
+    }
+    
+    const keyboard = {
+      inline_keyboard: [
+        Object.keys(gasUtils.FEE_PRESETS).map((preset) => ({ text: preset, callback_data: `trade_fee_${preset}` })),
+        [{ text: '⬅️ Back', callback_data: 'trade_back' }]
+      ]
+    };
+    
+    await bot.sendMessage(chatId, 'Choose the network fee speed for this trade:', { reply_markup: keyboard });
+    return;
+  }
+  
+  if (!value) {
+    // Show the presets for the chosen setting
+    const presets = setting === 'slippage'
+      ? SLIPPAGE_PRESETS_BPS.map((bps) => ({ text: formatBps(bps), callback_data: `trade_slippage_${bps}` }))
+      : DEADLINE_PRESETS_MINUTES.map((minutes) => ({ text: `${minutes}m`, callback_data: `trade_deadline_${minutes}` }));
+    
+    const keyboard = {
+      inline_keyboard: [
+        presets.slice(0, 3),
+        presets.slice(3),
+        [
+          { text: 'Custom', callback_data: `trade_${setting}_custom` },
+          { text: '⬅️ Back', callback_data: 'trade_back' }
+        ]
+      ]
+    };
+    
+    await bot.sendMessage(
+      chatId,
+      setting === 'slippage' ? 'Choose the slippage for this trade:' : 'Choose the deadline for this trade:',
+      { reply_markup: keyboard }
+    );
+    return;
+  }
+  
+  if (value === 'custom') {
+    session.confirmState = session.state;
+    session.state = setting === 'slippage' ? 'TRADE_CUSTOM_SLIPPAGE' : 'TRADE_CUSTOM_DEADLINE';
+    await sessionStore.set(userId, session);
+    await bot.sendMessage(
+      chatId,
+      setting === 'slippage'
+        ? `Please enter the slippage in percent (max ${formatBps(uniswapUtils.MAX_SLIPPAGE_BPS)}):`
+        : `Please enter the deadline in minutes (max ${MAX_DEADLINE_MINUTES}):`
+    );
+    return;
+  }
+  
+  if (setting === 'slippage') {
+    session.slippageBps = parseInt(value, 10);
+  } else if (setting === 'deadline') {
+    session.deadlineMinutes = parseInt(value, 10);
+  }
+  await sessionStore.set(userId, session);
+  
+  await showTradeConfirmation(chatId, userId);
+});
+
+const handleTradeCustomSetting = asyncErrorHandler(async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  const text = msg.text.trim();
+  
+  // Get session data
+  const session = await sessionStore.get(userId);
+  if (!session || !['TRADE_CUSTOM_SLIPPAGE', 'TRADE_CUSTOM_DEADLINE'].includes(session.state)) return;
+  
+  if (session.state === 'TRADE_CUSTOM_SLIPPAGE') {
+    const slippageBps = parseSlippageInput(text);
+    if (slippageBps === null) {
+      await bot.sendMessage(chatId, ERROR_MESSAGES.INVALID_SLIPPAGE);
+      return;
+    }
+    session.slippageBps = slippageBps;
+  } else {
+    const deadlineMinutes = parseDeadlineInput(text);
+    if (deadlineMinutes === null) {
+      await bot.sendMessage(chatId, ERROR_MESSAGES.INVALID_DEADLINE);
+      return;
+    }
+    session.deadlineMinutes = deadlineMinutes;
+  }
+  
+  // Return to the confirmation screen
+  session.state = session.confirmState;
+  delete session.confirmState;
+  await sessionStore.set(userId, session);
+  await showTradeConfirmation(chatId, userId);
+});
+
+// Send or update the settings menu
+async function sendSettingsMenu(chatId, userId, messageId) {
+  const { slippageBps, deadlineMinutes, feePreset } = getUserSettings(userId);
+  const mark = (selected) => (selected ? '✅ ' : '');
+  
+  const slippageButtons = SLIPPAGE_PRESETS_BPS.map((bps) => ({
+    text: `${mark(bps === slippageBps)}${formatBps(bps)}`,
+    callback_data: `settings_slippage_${bps}`
+  }));
+  const deadlineButtons = DEADLINE_PRESETS_MINUTES.map((minutes) => ({
+    text: `${mark(minutes === deadlineMinutes)}${minutes}m`,
+    callback_data: `settings_deadline_${minutes}`
+  }));
+  const feeButtons = Object.keys(gasUtils.FEE_PRESETS).map((preset) => ({
+    text: `${mark(preset === feePreset)}⛽ ${preset}`,
+    callback_data: `settings_fee_${preset}`
+  }));
+  
+  const keyboard = {
+    inline_keyboard: [
+      slippageButtons.slice(0, 3),
+      slippageButtons.slice(3),
+      [{ text: 'Custom slippage', callback_data: 'settings_slippage_custom' }],
+      deadlineButtons,
+      [{ text: 'Custom deadline', callback_data: 'settings_deadline_custom' }],
+      feeButtons
+    ]
+  };
+  
+  const text =
+    `⚙️ *Your Settings*\n\n` +
+    `*Default slippage:* ${formatBps(slippageBps)}\n` +
+    `*Default deadline:* ${deadlineMinutes} minutes\n` +
+    `*Default fee speed:* ${feePreset}\n\n` +
+    `These apply to every buy and sell. You can still change them on each confirmation screen.`;
+  
+  if (messageId) {
+    await bot.editMessageText(text, {
+      chat_id: chatId,
+      message_id: messageId,
+      parse_mode: 'Markdown',
+      reply_markup: keyboard
+    });
+  } else {
+    await bot.sendMessage(chatId, text, { parse_mode: 'Markdown', reply_markup: keyboard });
+  }
+}
+
+// Handle /settings command
+const handleSettings = asyncErrorHandler(async (msg) => {
+  await sendSettingsMenu(msg.chat.id, msg.from.id.toString());
+});
+
+const handleSettingsChoice = asyncErrorHandler(async (query) => {
+  const chatId = query.message.chat.id;
+  const userId = query.from.id.toString();
+  const [, setting, value] = query.data.split('_');
+  
+  if (value === 'custom') {
+    await sessionStore.set(userId, { state: setting === 'slippage' ? 'SETTINGS_CUSTOM_SLIPPAGE' : 'SETTINGS_CUSTOM_DEADLINE' });
+    await bot.sendMessage(
+      chatId,
+      setting === 'slippage'
+        ? `Please enter your default slippage in percent (max ${formatBps(uniswapUtils.MAX_SLIPPAGE_BPS)}):`
+        : `Please enter your default deadline in minutes (max ${MAX_DEADLINE_MINUTES}):`
+    );
+    return;
+  }
+  
+  if (setting === 'fee') {
+    if (!gasUtils.FEE_PRESETS[value]) return;
+    userSettings[userId] = { ...userSettings[userId], feePreset: value };
+  } else {
+    const key = setting === 'slippage' ? 'slippageBps' : 'deadlineMinutes';
+    userSettings[userId] = { ...userSettings[userId], [key]: parseInt(value, 10) };
+  }
+  saveSettings();
+  
+  await sendSettingsMenu(chatId, userId, query.message.message_id);
+});
+
+const handleSettingsCustomValue = asyncErrorHandler(async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  const text = msg.text.trim();
+  
+  // Get session data
+  const session = await sessionStore.get(userId);
+  if (!session) return;
+  
+  if (session.state === 'SETTINGS_CUSTOM_SLIPPAGE') {
+    const slippageBps = parseSlippageInput(text);
+    if (slippageBps === null) {
+      await bot.sendMessage(chatId, ERROR_MESSAGES.INVALID_SLIPPAGE);
+      return;
+    }
+    userSettings[userId] = { ...userSettings[userId], slippageBps };
+  } else if (session.state === 'SETTINGS_CUSTOM_DEADLINE') {
+    const deadlineMinutes = parseDeadlineInput(text);
+    if (deadlineMinutes === null) {
+      await bot.sendMessage(chatId, ERROR_MESSAGES.INVALID_DEADLINE);
+      return;
+    }
+    userSettings[userId] = { ...userSettings[userId], deadlineMinutes };
+  } else {
+    return;
+  }
+  
+  saveSettings();
+  await sessionStore.delete(userId);
+  await sendSettingsMenu(chatId, userId);
+});
+
+// Handle /unlock command
+const handleUnlock = asyncErrorHandler(async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  
+  // Check if user has a wallet
+  if (!getActiveWallet(userId)) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.WALLET_NOT_FOUND);
+    return;
+  }
+  
+  if (!userWallets[userId].wallets.some((wallet) => keystoreUtils.isPassphraseProtected(wallet))) {
+    await bot.sendMessage(chatId, 'Your wallet has no passphrase. Use /setpassphrase to add one.');
+    return;
+  }
+  
+  await sessionStore.set(userId, { state: 'UNLOCK_WALLET' });
+  await bot.sendMessage(chatId, '🔓 Please enter your wallet passphrase:');
+});
+
+const handleUnlockPassphrase = asyncErrorHandler(async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  const passphrase = msg.text.trim();
+  
+  // Don't leave the passphrase in the chat history
+  await deleteSecretMessage(msg);
+  await sessionStore.delete(userId);
+  
+  try {
+    // Verify the passphrase by decrypting a protected wallet
+    const protectedWallet = userWallets[userId].wallets.find((wallet) => keystoreUtils.isPassphraseProtected(wallet));
+    keystoreUtils.decryptWallet(protectedWallet, { passphrase });
+  } catch (error) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.INVALID_PASSPHRASE);
+    return;
+  }
+  
+  unlockedWallets[userId] = { passphrase, expiresAt: Date.now() + UNLOCK_TTL_MS };
+  
+  await bot.sendMessage(
+    chatId,
+    `✅ Wallet unlocked for ${UNLOCK_TTL_MS / 60000} minutes. Use /lock to lock it sooner.`
+  );
+});
+
+// Handle /lock command
+const handleLock = asyncErrorHandler(async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  
+  delete unlockedWallets[userId];
+  await bot.sendMessage(chatId, '🔐 Wallet locked.');
+});
+
+// Handle /setpassphrase command
+const handleSetPassphrase = asyncErrorHandler(async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  
+  // Check if user has a wallet
+  if (!getActiveWallet(userId)) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.WALLET_NOT_FOUND);
+    return;
+  }
+  
+  // The current passphrase is needed to re-encrypt the wallet
+  if (isLocked(userId)) {
+    await bot.sendMessage(chatId, ERROR_MESSAGES.WALLET_LOCKED);
+    return;
+  }
+  
+  await sessionStore.set(userId, { state: 'SET_PASSPHRASE' });
+  await bot.sendMessage(
+    chatId,
+    '🔒 Please enter a new passphrase for your wallet (or send `none` to remove it):',
+    { parse_mode: 'Markdown' }
+  );
+});
+
+const handleNewPassphrase = asyncErrorHandler(async (msg) => {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id.toString();
+  const text = msg.text.trim();
+  
+  // Don't leave the passphrase in the chat history
+  await deleteSecretMessage(msg);
+  await sessionStore.delete(userId);
+  
+  const passphrase = text.toLowerCase() === 'none' ? undefined : text;
+  
+  if (passphrase && passphrase.length < 8) {
+    await bot.sendMessage(chatId, '❌ Passphrase must be at least 8 characters long.');
+    return;
+  }
+  
+  // Re-encrypt all of the user's wallets with the new passphrase
+  const currentPassphrase = getPassphrase(userId);
+  userWallets[userId].wallets = userWallets[userId].wallets.map((record) => {
+    const secrets = keystoreUtils.decryptWallet(record, { passphrase: currentPassphrase });
+    return keystoreUtils.encryptWallet({ ...record, ...secrets }, { passphrase });
+  });
+  saveWallets();
+  
+  if (passphrase) {
+    unlockedWallets[userId] = { passphrase, expiresAt: Date.now() + UNLOCK_TTL_MS };
+    await bot.sendMessage(chatId, '✅ Passphrase set. You will need it to trade after /lock or a restart.');
+  } else {
+    delete unlockedWallets[userId];
+    await bot.sendMessage(chatId, '✅ Passphrase removed.');
+  }
+});
+
+// Add command handlers
+bot.onText(/\/start/, handleStart);
+bot.onText(/\/help/, handleHelp);
+bot.onText(/\/createwallet/, handleCreateWallet);
+bot.onText(/\/create_wallet/, handleCreateNewWallet);
+bot.onText(/\/mywallet/, handleMyWallet);
+bot.onText(/\/balance/, handleBalance);
+bot.onText(/\/buy/, handleBuy);
+bot.onText(/\/sell/, handleSell);
+bot.onText(/\/send/, handleSend);
+bot.onText(/\/swap/, handleSwap);
+bot.onText(/\/limit/, handleLimit);
+bot.onText(/\/orders/, handleOrders);
+bot.onText(/\/copy(?:\s+(\S+))?/, handleCopy);
+bot.onText(/\/history(?:\s+(\S+))?/, handleHistory);
+bot.onText(/\/portfolio/, handlePortfolio);
+bot.onText(/\/settings/, handleSettings);
+bot.onText(/\/unlock/, handleUnlock);
+bot.onText(/\/lock/, handleLock);
+bot.onText(/\/setpassphrase/, handleSetPassphrase);
+
+// Execute limit orders, stop-losses and take-profits in the background
+orderUtils.startOrderWatcher(executeOrder, notifyOrder);
+
+// Copy the trades of followed wallets in the background
+copyTradeUtils.startCopyWatcher(executeCopy, notifyCopy);
+
+// Receive updates through the webhook when BOT_MODE=webhook
+if (webhookUtils.isWebhookMode()) {
+  webhookUtils.startWebhookServer(bot).catch((error) => {
+    logger.error(error.message);
+    process.exit(1);
+  });
+}
 
 // Log startup
 logger.info('Monad Testnet Trading Bot started');
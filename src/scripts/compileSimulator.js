@@ -0,0 +1,56 @@
+/**
+ * Monad Testnet Trading Bot - Token simulator build
+ *
+ * Compiles contracts/TokenSimulator.sol with the solc release pinned in
+ * devDependencies and writes the ABI and bytecode to
+ * contracts/TokenSimulator.json, which the token analyzer loads.
+ * Run it after changing the contract and commit both files.
+ *
+ * Usage: npm run compile
+ */
+
+const fs = require('fs');
+const path = require('path');
+const solc = require('solc');
+
+const { logger } = require('../utils/errorHandler');
+
+const CONTRACTS_DIR = path.join(__dirname, '..', '..', 'contracts');
+const SOURCE_FILE = 'TokenSimulator.sol';
+const CONTRACT_NAME = 'TokenSimulator';
+
+const input = {
+  language: 'Solidity',
+  sources: {
+    [SOURCE_FILE]: { content: fs.readFileSync(path.join(CONTRACTS_DIR, SOURCE_FILE), 'utf8') }
+  },
+  settings: {
+    optimizer: { enabled: true, runs: 200 },
+    outputSelection: {
+      '*': { '*': ['abi', 'evm.bytecode.object'] }
+    }
+  }
+};
+
+const output = JSON.parse(solc.compile(JSON.stringify(input)));
+const errors = (output.errors || []).filter((error) => error.severity === 'error');
+
+(output.errors || [])
+  .filter((error) => error.severity !== 'error')
+  .forEach((warning) => logger.warn(warning.formattedMessage));
+
+if (errors.length > 0) {
+  errors.forEach((error) => logger.error(error.formattedMessage));
+  process.exit(1);
+}
+
+const contract = output.contracts[SOURCE_FILE][CONTRACT_NAME];
+const artifact = {
+  contractName: CONTRACT_NAME,
+  compiler: `solc ${solc.version()}`,
+  abi: contract.abi,
+  bytecode: `0x${contract.evm.bytecode.object}`
+};
+
+fs.writeFileSync(path.join(CONTRACTS_DIR, `${CONTRACT_NAME}.json`), JSON.stringify(artifact, null, 2) + '\n');
+logger.info(`Wrote contracts/${CONTRACT_NAME}.json`);
@@ -0,0 +1,71 @@
+/**
+ * Monad Testnet Trading Bot - Master key rotation
+ *
+ * Re-encrypts every stored wallet under a new master key, using the storage
+ * backend selected by STORAGE_BACKEND.
+ * Stop the bot before running this, then update WALLET_MASTER_KEY in .env.
+ *
+ * Usage: NEW_WALLET_MASTER_KEY=<new key> npm run rotate-key
+ */
+
+const dotenv = require('dotenv');
+
+const keystoreUtils = require('../utils/keystoreUtils');
+const storageUtils = require('../utils/storageUtils');
+const { logger } = require('../utils/errorHandler');
+
+// Load environment variables
+dotenv.config();
+
+const oldMasterKey = process.env.WALLET_MASTER_KEY;
+const newMasterKey = process.env.NEW_WALLET_MASTER_KEY;
+
+if (!oldMasterKey || !newMasterKey) {
+  logger.error('Both WALLET_MASTER_KEY and NEW_WALLET_MASTER_KEY must be set');
+  process.exit(1);
+}
+
+const WALLETS_FILE = 'wallets.json';
+
+const userWallets = storageUtils.loadData(WALLETS_FILE, null);
+
+if (!userWallets) {
+  logger.error('No stored wallets found');
+  process.exit(1);
+}
+
+try {
+  const rotated = {};
+
+  // Plaintext records are encrypted straight under the new key
+  const rotateRecord = (record) => (keystoreUtils.isEncrypted(record)
+    ? keystoreUtils.rotateWalletKey(record, oldMasterKey, newMasterKey)
+    : keystoreUtils.encryptWallet(record, { masterKey: newMasterKey }));
+
+  let walletCount = 0;
+  for (const [userId, user] of Object.entries(userWallets)) {
+    // Files from before multi-wallet support hold a single record per user
+    if (Array.isArray(user.wallets)) {
+      rotated[userId] = { ...user, wallets: user.wallets.map(rotateRecord) };
+      walletCount += user.wallets.length;
+    } else {
+      rotated[userId] = rotateRecord(user);
+      walletCount++;
+    }
+  }
+
+  // Keep a backup; the storage backend replaces the wallets atomically
+  const backupFile = `${WALLETS_FILE}.${Date.now()}.bak`;
+  if (!storageUtils.saveData(backupFile, userWallets)) {
+    throw new Error('Could not write the backup');
+  }
+  if (!storageUtils.saveData(WALLETS_FILE, rotated)) {
+    throw new Error('Could not save the rotated wallets');
+  }
+
+  logger.info(`Rotated master key for ${walletCount} wallet(s)`);
+  logger.info(`Backup saved as ${backupFile}. Update WALLET_MASTER_KEY before restarting the bot.`);
+} catch (error) {
+  logger.error(`Failed to rotate master key: ${error.message}`);
+  process.exit(1);
+}
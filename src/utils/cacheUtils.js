@@ -0,0 +1,65 @@
+/**
+ * Cache utility functions for Monad Testnet Trading Bot
+ */
+
+/**
+ * Create an in-memory cache whose entries expire after a fixed time
+ * Loaded values are cached as promises, so concurrent lookups of the same
+ * key share one load. Failed loads are not cached.
+ * @param {Object} options - Cache options
+ * @param {number} options.ttlMs - How long an entry stays valid, in milliseconds
+ * @param {number} options.maxEntries - Entries kept before the oldest are evicted
+ * @returns {Object} Cache with get, set, delete and getOrLoad methods
+ */
+function createCache({ ttlMs, maxEntries = 1000 }) {
+  const entries = new Map();
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+
+    if (Date.now() > entry.expiresAt) {
+      entries.delete(key);
+      return undefined;
+    }
+
+    return entry.value;
+  };
+
+  const set = (key, value) => {
+    // Re-inserting keeps the Map in insertion order, oldest first
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  const getOrLoad = (key, load) => {
+    const cached = get(key);
+    if (cached !== undefined) return cached;
+
+    const promise = Promise.resolve().then(load);
+    set(key, promise);
+
+    promise.catch(() => {
+      if (entries.has(key) && entries.get(key).value === promise) {
+        entries.delete(key);
+      }
+    });
+
+    return promise;
+  };
+
+  return {
+    get,
+    set,
+    delete: (key) => entries.delete(key),
+    getOrLoad
+  };
+}
+
+module.exports = {
+  createCache
+};
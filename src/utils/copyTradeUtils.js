@@ -0,0 +1,528 @@
+/**
+ * Copy-trading utilities for Monad Testnet Trading Bot
+ *
+ * Stores follows of other wallets and runs the background watcher that
+ * finds their router swaps and mirrors them for each follower: buys are
+ * sized by a fixed MON amount or a share of the MON the leader spent, and
+ * sells sell the same share of the position that the leader sold.
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const dotenv = require('dotenv');
+const storageUtils = require('./storageUtils');
+const historyUtils = require('./historyUtils');
+const multicallUtils = require('./multicallUtils');
+const tokenAnalyzerUtils = require('./tokenAnalyzerUtils');
+const { provider } = require('./providerUtils');
+const { logger } = require('./errorHandler');
+
+// Load environment variables
+dotenv.config();
+
+const FOLLOWS_FILE = 'follows.json';
+
+// Contract addresses
+const UNISWAP_V2_ROUTER_ADDRESS = process.env.UNISWAP_V2_ROUTER;
+const WRAPPED_MON_ADDRESS = process.env.WRAPPED_MON;
+
+const SIZING_MODES = ['fixed', 'percent'];
+
+// Largest share of the leader's buy that can be copied, in percent
+const MAX_COPY_PERCENT = 1000;
+
+// How often the watcher looks for new swaps
+const COPY_POLL_INTERVAL_MS = parseInt(process.env.COPY_POLL_INTERVAL_MS, 10) || 10000;
+
+// Swaps older than this many blocks are not copied, e.g. after a restart
+const COPY_MAX_LAG_BLOCKS = parseInt(process.env.COPY_MAX_LAG_BLOCKS, 10) || 100;
+
+// Every router swap, so the leader's trades are recognized whichever method they use
+const UNISWAP_V2_ROUTER_ABI = [
+  'function swapETHForExactTokens(uint amountOut, address[] calldata path, address to, uint deadline)',
+  'function swapExactETHForTokens(uint amountOutMin, address[] calldata path, address to, uint deadline)',
+  'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint amountOutMin, address[] calldata path, address to, uint deadline)',
+  'function swapTokensForExactETH(uint amountOut, uint amountInMax, address[] calldata path, address to, uint deadline)',
+  'function swapExactTokensForETH(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline)',
+  'function swapExactTokensForETHSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline)',
+  'function swapTokensForExactTokens(uint amountOut, uint amountInMax, address[] calldata path, address to, uint deadline)',
+  'function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline)',
+  'function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline)'
+];
+
+const ERC20_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+];
+
+const routerInterface = new ethers.utils.Interface(UNISWAP_V2_ROUTER_ABI);
+const erc20Interface = new ethers.utils.Interface(ERC20_ABI);
+const TRANSFER_TOPIC = erc20Interface.getEventTopic('Transfer');
+
+// All follows, including stopped ones
+const follows = storageUtils.loadData(FOLLOWS_FILE, []);
+
+let checking = false;
+
+/**
+ * Save follows to file
+ */
+function saveFollows() {
+  storageUtils.saveData(FOLLOWS_FILE, follows);
+}
+
+/**
+ * Get today's date, which the daily limits are counted by
+ * @returns {string} UTC date, e.g. '2025-01-31'
+ */
+function getToday() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Create a follow
+ * @param {Object} params - Follow parameters
+ * @param {string} params.userId - Telegram user ID
+ * @param {number} params.chatId - Chat to notify about copied trades
+ * @param {string} params.walletAddress - Follower wallet that copies the trades
+ * @param {string} params.leaderAddress - Wallet whose trades are copied
+ * @param {string} params.sizing - 'fixed' (MON per buy) or 'percent' (of the MON the leader spent)
+ * @param {string} params.amount - MON per buy, or percent of the leader's buy
+ * @param {string|null} params.maxTradeMon - Most MON spent on one copied buy, or null for no cap
+ * @param {string|null} params.dailyLimitMon - Most MON spent on copied buys per day, or null for no cap
+ * @returns {Object} The new follow
+ */
+function createFollow(params) {
+  if (!SIZING_MODES.includes(params.sizing)) {
+    throw new Error(`Unknown sizing mode: ${params.sizing}`);
+  }
+
+  const amount = parseFloat(params.amount);
+  if (isNaN(amount) || amount <= 0 || (params.sizing === 'percent' && amount > MAX_COPY_PERCENT)) {
+    throw new Error(`Invalid copy amount: ${params.amount}`);
+  }
+
+  if (params.leaderAddress.toLowerCase() === params.walletAddress.toLowerCase()) {
+    throw new Error('A wallet cannot copy its own trades');
+  }
+
+  const follow = {
+    id: crypto.randomBytes(4).toString('hex'),
+    userId: params.userId,
+    chatId: params.chatId,
+    walletAddress: params.walletAddress,
+    leaderAddress: ethers.utils.getAddress(params.leaderAddress),
+    sizing: params.sizing,
+    amount: params.amount,
+    maxTradeMon: params.maxTradeMon || null,
+    dailyLimitMon: params.dailyLimitMon || null,
+    status: 'active',
+    // Set to the current block on the first check, so only later trades are copied
+    lastBlock: null,
+    spent: { day: getToday(), mon: '0' },
+    createdAt: Date.now()
+  };
+
+  follows.push(follow);
+  saveFollows();
+
+  return follow;
+}
+
+/**
+ * Get a user's follows that have not been stopped
+ * @param {string} userId - Telegram user ID
+ * @returns {Array<Object>} Active and paused follows, oldest first
+ */
+function getFollows(userId) {
+  return follows.filter((follow) => follow.userId === userId && follow.status !== 'stopped');
+}
+
+/**
+ * Check whether a wallet already follows a leader
+ * @param {string} walletAddress - Follower wallet address
+ * @param {string} leaderAddress - Leader wallet address
+ * @returns {boolean} True if an active or paused follow exists
+ */
+function isFollowing(walletAddress, leaderAddress) {
+  return follows.some((follow) => (
+    follow.status !== 'stopped' &&
+    follow.walletAddress.toLowerCase() === walletAddress.toLowerCase() &&
+    follow.leaderAddress.toLowerCase() === leaderAddress.toLowerCase()
+  ));
+}
+
+/**
+ * Pause or resume a follow
+ * Trades the leader makes while a follow is paused are not copied on resume.
+ * @param {string} userId - Telegram user ID
+ * @param {string} followId - Follow ID
+ * @param {boolean} paused - True to pause, false to resume
+ * @returns {Object|null} The updated follow, or null if there is no such follow
+ */
+function setFollowPaused(userId, followId, paused) {
+  const follow = getFollows(userId).find((item) => item.id === followId);
+  if (!follow) return null;
+
+  follow.status = paused ? 'paused' : 'active';
+  follow.lastBlock = null;
+  saveFollows();
+
+  return follow;
+}
+
+/**
+ * Stop a follow for good
+ * @param {string} userId - Telegram user ID
+ * @param {string} followId - Follow ID
+ * @returns {Object|null} The stopped follow, or null if there is no such follow
+ */
+function stopFollow(userId, followId) {
+  const follow = getFollows(userId).find((item) => item.id === followId);
+  if (!follow) return null;
+
+  follow.status = 'stopped';
+  follow.stoppedAt = Date.now();
+  saveFollows();
+
+  return follow;
+}
+
+/**
+ * Get the MON a follow has spent on copied buys today
+ * @param {Object} follow - Follow
+ * @returns {BigNumber} MON spent today, in wei
+ */
+function getSpentToday(follow) {
+  return follow.spent.day === getToday() ? ethers.utils.parseEther(follow.spent.mon) : ethers.constants.Zero;
+}
+
+/**
+ * Add to or take from the MON a follow has spent on copied buys today
+ * @param {Object} follow - Follow
+ * @param {BigNumber} amount - MON in wei; negative to give back a failed buy's amount
+ */
+function addSpentToday(follow, amount) {
+  const spent = getSpentToday(follow).add(amount);
+  follow.spent = { day: getToday(), mon: ethers.utils.formatEther(spent.lt(0) ? 0 : spent) };
+  saveFollows();
+}
+
+/**
+ * Size the copy of a leader's buy
+ * @param {Object} follow - Follow
+ * @param {BigNumber} leaderMon - MON the leader spent, in wei
+ * @returns {Object} MON to spend in wei, and why the buy is skipped when it is zero
+ */
+function sizeCopyBuy(follow, leaderMon) {
+  let amount = follow.sizing === 'fixed'
+    ? ethers.utils.parseEther(follow.amount)
+    : leaderMon.mul(ethers.utils.parseUnits(follow.amount, 2)).div(10000);
+
+  if (follow.maxTradeMon) {
+    const maxTrade = ethers.utils.parseEther(follow.maxTradeMon);
+    if (amount.gt(maxTrade)) amount = maxTrade;
+  }
+
+  if (follow.dailyLimitMon) {
+    const remaining = ethers.utils.parseEther(follow.dailyLimitMon).sub(getSpentToday(follow));
+    if (remaining.lte(0)) {
+      return { amount: ethers.constants.Zero, skipReason: `Daily limit of ${follow.dailyLimitMon} MON reached` };
+    }
+    if (amount.gt(remaining)) amount = remaining;
+  }
+
+  return { amount, skipReason: amount.isZero() ? 'The copied amount rounds to zero' : null };
+}
+
+/**
+ * Decode a leader transaction into a buy or sell
+ * Only swaps sent to the router between MON and a token are recognized.
+ * @param {string} txHash - Transaction hash
+ * @param {string} leaderAddress - Leader wallet address
+ * @returns {Promise<Object|null>} The trade, or null if it is not a copyable swap
+ */
+async function decodeLeaderTrade(txHash, leaderAddress) {
+  const tx = await provider.getTransaction(txHash);
+  if (!tx || !tx.to || tx.to.toLowerCase() !== UNISWAP_V2_ROUTER_ADDRESS.toLowerCase()) return null;
+  if (tx.from.toLowerCase() !== leaderAddress.toLowerCase()) return null;
+
+  let parsed;
+  try {
+    parsed = routerInterface.parseTransaction({ data: tx.data, value: tx.value });
+  } catch (error) {
+    return null;
+  }
+
+  const path = parsed.args.path;
+  const tokenIn = path[0].toLowerCase();
+  const tokenOut = path[path.length - 1].toLowerCase();
+  const wrappedMon = WRAPPED_MON_ADDRESS.toLowerCase();
+
+  if (tokenIn !== wrappedMon && tokenOut !== wrappedMon) {
+    logger.info(`Not copying token-to-token swap ${txHash} of ${leaderAddress}`);
+    return null;
+  }
+
+  const receipt = await provider.getTransactionReceipt(txHash);
+  if (!receipt || receipt.status !== 1) return null;
+
+  if (tokenIn === wrappedMon) {
+    return {
+      txHash,
+      blockNumber: receipt.blockNumber,
+      side: 'buy',
+      tokenAddress: ethers.utils.getAddress(tokenOut),
+      leaderMon: historyUtils.decodeSwapInput(receipt, null, leaderAddress)
+    };
+  }
+
+  // The share of the position sold is measured against the balance before the swap
+  const tokenAddress = ethers.utils.getAddress(tokenIn);
+  const token = new ethers.Contract(tokenAddress, erc20Interface, provider);
+  const [sold, balanceBefore] = await Promise.all([
+    historyUtils.decodeSwapInput(receipt, tokenAddress, leaderAddress),
+    token.balanceOf(leaderAddress, { blockTag: receipt.blockNumber - 1 })
+  ]);
+  if (balanceBefore.isZero()) return null;
+
+  const sellBps = sold.gte(balanceBefore) ? 10000 : sold.mul(10000).div(balanceBefore).toNumber();
+
+  return { txHash, blockNumber: receipt.blockNumber, side: 'sell', tokenAddress, sellBps };
+}
+
+/**
+ * Find the leader's swaps in a block range
+ * Swaps are found through the Transfer logs to and from the leader.
+ * @param {string} leaderAddress - Leader wallet address
+ * @param {number} fromBlock - First block to search
+ * @param {number} toBlock - Last block to search
+ * @returns {Promise<Array<Object>>} Trades in the order they were made
+ */
+async function findLeaderTrades(leaderAddress, fromBlock, toBlock) {
+  const leaderTopic = ethers.utils.hexZeroPad(leaderAddress, 32);
+  const [incoming, outgoing] = await Promise.all([
+    provider.getLogs({ fromBlock, toBlock, topics: [TRANSFER_TOPIC, null, leaderTopic] }),
+    provider.getLogs({ fromBlock, toBlock, topics: [TRANSFER_TOPIC, leaderTopic] })
+  ]);
+
+  const logs = [...incoming, ...outgoing].sort((a, b) => (
+    a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+  ));
+  const txHashes = [...new Set(logs.map((log) => log.transactionHash))];
+
+  // One transaction that cannot be decoded must not hold up the leader's other trades
+  const trades = [];
+  for (const txHash of txHashes) {
+    try {
+      const trade = await decodeLeaderTrade(txHash, leaderAddress);
+      if (trade) trades.push(trade);
+    } catch (error) {
+      logger.warn(`Could not decode ${txHash} of ${leaderAddress}, not copying it: ${error.message}`);
+    }
+  }
+
+  return trades;
+}
+
+/**
+ * Work out how a follow copies a leader trade
+ * @param {Object} follow - Follow
+ * @param {Object} trade - Leader trade from findLeaderTrades()
+ * @returns {Promise<Object|null>} The copy, or null if the follower has nothing to sell
+ */
+async function planCopy(follow, trade) {
+  const copy = {
+    leaderTxHash: trade.txHash,
+    side: trade.side,
+    tokenAddress: trade.tokenAddress,
+    status: 'pending'
+  };
+
+  const { symbol, decimals } = await multicallUtils.getTokenMetadata(trade.tokenAddress);
+  copy.tokenSymbol = symbol;
+
+  if (trade.side === 'sell') {
+    const token = new ethers.Contract(trade.tokenAddress, erc20Interface, provider);
+    const amount = (await token.balanceOf(follow.walletAddress)).mul(trade.sellBps).div(10000);
+    if (amount.isZero()) return null;
+
+    copy.sellPercent = trade.sellBps / 100;
+    copy.amount = ethers.utils.formatUnits(amount, decimals);
+    return copy;
+  }
+
+  const { amount, skipReason } = sizeCopyBuy(follow, trade.leaderMon);
+  copy.amount = ethers.utils.formatEther(amount);
+  copy.leaderAmount = ethers.utils.formatEther(trade.leaderMon);
+
+  if (skipReason) {
+    copy.status = 'skipped';
+    copy.reason = skipReason;
+    return copy;
+  }
+
+  // Leaders can buy honeypots too
+  const analysis = await tokenAnalyzerUtils.analyzeToken(trade.tokenAddress, follow.walletAddress).catch(() => null);
+  if (analysis && analysis.level === 'high') {
+    copy.status = 'skipped';
+    copy.reason = `High risk token: ${analysis.warnings.join(', ')}`;
+  }
+
+  return copy;
+}
+
+/**
+ * Tell the follower about a copy, logging rather than throwing failures
+ * @param {Object} follow - Follow
+ * @param {Object} copy - Copy that filled, failed or was skipped
+ * @param {Function} notifyCopy - Called with the follow and copy
+ */
+async function announceCopy(follow, copy, notifyCopy) {
+  try {
+    await notifyCopy(follow, copy);
+  } catch (error) {
+    logger.error(`Failed to notify copy of ${copy.leaderTxHash} for follow ${follow.id}: ${error.message}`);
+  }
+}
+
+/**
+ * Execute a planned copy and announce how it settled
+ * @param {Object} follow - Follow
+ * @param {Object} copy - Copy from planCopy()
+ * @param {Function} executeCopy - Executes a copy for a follow and resolves to its transaction hash once confirmed
+ * @param {Function} notifyCopy - Called with each follow and copy after it fills, fails or is skipped
+ */
+async function settleCopy(follow, copy, executeCopy, notifyCopy) {
+  try {
+    copy.txHash = await executeCopy(follow, copy);
+    copy.status = 'filled';
+  } catch (error) {
+    copy.status = 'failed';
+    copy.error = error.message;
+
+    if (copy.side === 'buy') {
+      addSpentToday(follow, ethers.utils.parseEther(copy.amount).mul(-1));
+    }
+  }
+
+  await announceCopy(follow, copy, notifyCopy);
+}
+
+/**
+ * Plan a follow's copy of a leader trade and start executing it
+ * The copy settles in the background, so a slow transaction does not hold
+ * up the watcher and the other follows.
+ * @param {Object} follow - Follow
+ * @param {Object} trade - Leader trade from findLeaderTrades()
+ * @param {Function} executeCopy - Executes a copy for a follow and resolves to its transaction hash once confirmed
+ * @param {Function} notifyCopy - Called with each follow and copy after it fills, fails or is skipped
+ */
+async function copyTrade(follow, trade, executeCopy, notifyCopy) {
+  let copy;
+  try {
+    copy = await planCopy(follow, trade);
+  } catch (error) {
+    logger.warn(`Could not plan the copy of ${trade.txHash} for follow ${follow.id}: ${error.message}`);
+    return;
+  }
+  if (!copy) return;
+
+  if (copy.status !== 'pending') {
+    await announceCopy(follow, copy, notifyCopy);
+    return;
+  }
+
+  // Counted against the daily limit straight away, so copies planned while this one settles see it
+  if (copy.side === 'buy') {
+    addSpentToday(follow, ethers.utils.parseEther(copy.amount));
+  }
+
+  settleCopy(follow, copy, executeCopy, notifyCopy);
+}
+
+/**
+ * Look for new leader swaps once and copy them for every active follow
+ * @param {Function} executeCopy - Executes a copy for a follow and resolves to its transaction hash once confirmed
+ * @param {Function} notifyCopy - Called with each follow and copy after it fills, fails or is skipped
+ */
+async function checkFollows(executeCopy, notifyCopy) {
+  // Skip this round if the previous one is still planning copies
+  if (checking) return;
+  checking = true;
+
+  try {
+    const activeFollows = follows.filter((follow) => follow.status === 'active');
+    if (activeFollows.length === 0) return;
+
+    const latestBlock = await provider.getBlockNumber();
+    const leaders = [...new Set(activeFollows.map((follow) => follow.leaderAddress))];
+
+    for (const leaderAddress of leaders) {
+      const leaderFollows = activeFollows.filter((follow) => follow.leaderAddress === leaderAddress);
+      for (const follow of leaderFollows) {
+        if (follow.lastBlock === null) follow.lastBlock = latestBlock;
+      }
+
+      const scannedBlock = Math.min(...leaderFollows.map((follow) => follow.lastBlock));
+      const fromBlock = Math.max(scannedBlock + 1, latestBlock - COPY_MAX_LAG_BLOCKS + 1);
+      if (fromBlock > latestBlock) {
+        saveFollows();
+        continue;
+      }
+
+      let trades;
+      try {
+        trades = await findLeaderTrades(leaderAddress, fromBlock, latestBlock);
+      } catch (error) {
+        logger.warn(`Copy-trade scan failed for ${leaderAddress}: ${error.message}`);
+        continue;
+      }
+
+      // A copy interrupted by a restart may or may not have been sent, so the blocks are marked done first
+      const lastBlocks = new Map(leaderFollows.map((follow) => [follow.id, follow.lastBlock]));
+      for (const follow of leaderFollows) {
+        follow.lastBlock = latestBlock;
+      }
+      saveFollows();
+
+      for (const trade of trades) {
+        for (const follow of leaderFollows) {
+          // Paused or stopped while earlier copies were being planned
+          if (follow.status !== 'active' || trade.blockNumber <= lastBlocks.get(follow.id)) continue;
+
+          await copyTrade(follow, trade, executeCopy, notifyCopy);
+        }
+      }
+    }
+  } finally {
+    checking = false;
+  }
+}
+
+/**
+ * Start the background watcher that copies the trades of followed wallets
+ * @param {Function} executeCopy - Executes a copy for a follow and resolves to its transaction hash once confirmed
+ * @param {Function} notifyCopy - Called with each follow and copy after it fills, fails or is skipped
+ * @returns {Object} Interval handle
+ */
+function startCopyWatcher(executeCopy, notifyCopy) {
+  logger.info(`Copy-trade watcher started (every ${COPY_POLL_INTERVAL_MS / 1000}s)`);
+
+  return setInterval(() => {
+    checkFollows(executeCopy, notifyCopy).catch((error) => {
+      logger.error(`Copy-trade check failed: ${error.message}`);
+    });
+  }, COPY_POLL_INTERVAL_MS);
+}
+
+module.exports = {
+  MAX_COPY_PERCENT,
+  createFollow,
+  getFollows,
+  isFollowing,
+  setFollowPaused,
+  stopFollow,
+  checkFollows,
+  startCopyWatcher
+};
@@ -25,11 +25,19 @@ const ERROR_MESSAGES = {
   WALLET_NOT_FOUND: '❌ No wallet found. Please create or import a wallet first using /wallet.',
   INVALID_ADDRESS: '❌ Invalid address format. Please provide a valid Ethereum address.',
   INVALID_PRIVATE_KEY: '❌ Invalid private key format. Please check and try again.',
+  INVALID_TOKEN: '❌ Could not read this token. Please check the contract address and try again.',
   INVALID_MNEMONIC: '❌ Invalid mnemonic phrase. Please check and try again.',
+  INVALID_PASSPHRASE: '❌ Incorrect passphrase. Please try /unlock again.',
+  WALLET_LOCKED: '🔐 Your wallet is locked. Please use /unlock first.',
   INSUFFICIENT_BALANCE: '❌ Insufficient balance for this transaction.',
   NETWORK_ERROR: '❌ Network error. Please try again later.',
   TRANSACTION_FAILED: '❌ Transaction failed. Please try again later.',
   INVALID_AMOUNT: '❌ Invalid amount. Please enter a valid number.',
+  INVALID_SLIPPAGE: '❌ Invalid slippage. Please enter a percentage between 0.01 and 50.',
+  INVALID_DEADLINE: '❌ Invalid deadline. Please enter a number of minutes between 1 and 1440.',
+  SESSION_EXPIRED: '⌛ This session has expired. Please start again from the command, e.g. /buy or /sell.',
+  CONFIRMATION_USED: '⌛ This confirmation was already used or replaced by a newer one.',
+  OPERATION_IN_PROGRESS: '⏳ Your previous confirmation is still being processed. Please wait for it to finish.',
   GENERAL_ERROR: '❌ An error occurred. Please try again or contact support.'
 };
 
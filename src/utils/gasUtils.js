@@ -0,0 +1,108 @@
+/**
+ * Gas and fee utility functions for Monad Testnet Trading Bot
+ */
+
+const { ethers } = require('ethers');
+const { provider } = require('./providerUtils');
+
+// Extra gas added on top of estimates, in percent
+const GAS_LIMIT_MARGIN_PERCENT = 20;
+
+// Number of recent blocks sampled by eth_feeHistory
+const FEE_HISTORY_BLOCKS = 10;
+
+// Priority fee percentile and floor (in gwei) for each preset
+const FEE_PRESETS = {
+  slow: { percentile: 10, minPriorityFeeGwei: '1' },
+  normal: { percentile: 50, minPriorityFeeGwei: '1.5' },
+  fast: { percentile: 90, minPriorityFeeGwei: '2' }
+};
+
+const DEFAULT_FEE_PRESET = 'normal';
+
+/**
+ * Add the safety margin to a gas estimate
+ * @param {BigNumber} gasEstimate - Estimated gas
+ * @returns {BigNumber} Gas limit to send with the transaction
+ */
+function addGasMargin(gasEstimate) {
+  return gasEstimate.mul(100 + GAS_LIMIT_MARGIN_PERCENT).div(100);
+}
+
+/**
+ * Get transaction fee overrides for a preset
+ * Uses EIP-1559 fees from eth_feeHistory, falling back to a legacy gas price
+ * when the node does not support it.
+ * @param {string} preset - Fee preset (slow, normal or fast)
+ * @returns {Promise<Object>} maxFeePerGas and maxPriorityFeePerGas, or gasPrice
+ */
+async function getFeeOverrides(preset = DEFAULT_FEE_PRESET) {
+  const presetConfig = FEE_PRESETS[preset];
+  if (!presetConfig) {
+    throw new Error(`Unknown fee preset: ${preset}`);
+  }
+
+  try {
+    const history = await provider.send('eth_feeHistory', [
+      ethers.utils.hexValue(FEE_HISTORY_BLOCKS),
+      'latest',
+      [presetConfig.percentile]
+    ]);
+
+    // The last entry is the base fee of the next block
+    const baseFees = history.baseFeePerGas || [];
+    const nextBaseFee = ethers.BigNumber.from(baseFees[baseFees.length - 1] || 0);
+    if (nextBaseFee.isZero()) {
+      throw new Error('Node did not report a base fee');
+    }
+
+    // Use the median of the sampled priority fees
+    const rewards = (history.reward || [])
+      .map((blockRewards) => ethers.BigNumber.from(blockRewards[0]))
+      .sort((a, b) => (a.lt(b) ? -1 : a.gt(b) ? 1 : 0));
+    const medianReward = rewards.length > 0 ? rewards[Math.floor(rewards.length / 2)] : ethers.constants.Zero;
+
+    const minPriorityFee = ethers.utils.parseUnits(presetConfig.minPriorityFeeGwei, 'gwei');
+    const maxPriorityFeePerGas = medianReward.gt(minPriorityFee) ? medianReward : minPriorityFee;
+
+    // Allow the base fee to double before the transaction gets stuck
+    return {
+      maxFeePerGas: nextBaseFee.mul(2).add(maxPriorityFeePerGas),
+      maxPriorityFeePerGas
+    };
+  } catch (error) {
+    const gasPrice = await provider.getGasPrice();
+    return { gasPrice };
+  }
+}
+
+/**
+ * Calculate the expected and maximum cost of a transaction
+ * @param {BigNumber} gasLimit - Gas limit of the transaction
+ * @param {Object} feeOverrides - Fee overrides from getFeeOverrides()
+ * @returns {Promise<Object>} Expected and maximum cost in MON
+ */
+async function estimateCost(gasLimit, feeOverrides) {
+  if (feeOverrides.gasPrice) {
+    const cost = ethers.utils.formatEther(gasLimit.mul(feeOverrides.gasPrice));
+    return { expectedCost: cost, maxCost: cost };
+  }
+
+  // The expected cost pays the current base fee plus the tip
+  const block = await provider.getBlock('latest');
+  const baseFee = block.baseFeePerGas || ethers.constants.Zero;
+  const expectedFee = baseFee.add(feeOverrides.maxPriorityFeePerGas);
+
+  return {
+    expectedCost: ethers.utils.formatEther(gasLimit.mul(expectedFee)),
+    maxCost: ethers.utils.formatEther(gasLimit.mul(feeOverrides.maxFeePerGas))
+  };
+}
+
+module.exports = {
+  FEE_PRESETS,
+  DEFAULT_FEE_PRESET,
+  addGasMargin,
+  getFeeOverrides,
+  estimateCost
+};
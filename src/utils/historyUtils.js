@@ -0,0 +1,215 @@
+/**
+ * Trade history utility functions for Monad Testnet Trading Bot
+ *
+ * Records executed swaps with the amounts decoded from their receipts and
+ * the gas paid, and exports them as CSV.
+ */
+
+const { ethers } = require('ethers');
+const uniswapUtils = require('./uniswapUtils');
+const storageUtils = require('./storageUtils');
+const { provider } = require('./providerUtils');
+
+const TRADES_FILE = 'trades.json';
+
+const UNISWAP_V2_PAIR_ABI = [
+  'event Swap(address indexed sender, uint amount0In, uint amount1In, uint amount0Out, uint amount1Out, address indexed to)'
+];
+
+const ERC20_ABI = [
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+];
+
+const pairInterface = new ethers.utils.Interface(UNISWAP_V2_PAIR_ABI);
+const SWAP_TOPIC = pairInterface.getEventTopic('Swap');
+
+const erc20Interface = new ethers.utils.Interface(ERC20_ABI);
+const TRANSFER_TOPIC = erc20Interface.getEventTopic('Transfer');
+
+// Native MON, used as the input of buys and the output of sells
+const MON = { address: null, symbol: 'MON', decimals: 18 };
+
+// All recorded trades, oldest first
+const trades = storageUtils.loadData(TRADES_FILE, []);
+
+/**
+ * Save trades to file
+ */
+function saveTrades() {
+  storageUtils.saveData(TRADES_FILE, trades);
+}
+
+/**
+ * Decode the input amount of a swap from its receipt
+ * A token input is counted from its Transfer events out of the wallet, so a
+ * fee-on-transfer token's tax is included, as in a balance delta. MON is read
+ * from the first Swap event.
+ * @param {Object} receipt - Transaction receipt
+ * @param {string|null} tokenIn - Address of the token sold, or null for MON
+ * @param {string} walletAddress - Wallet that made the trade
+ * @returns {BigNumber} Raw input amount
+ */
+function decodeSwapInput(receipt, tokenIn, walletAddress) {
+  if (tokenIn) {
+    return receipt.logs
+      .filter((log) => log.address.toLowerCase() === tokenIn.toLowerCase() && log.topics[0] === TRANSFER_TOPIC)
+      .map((log) => erc20Interface.parseLog(log).args)
+      .filter(({ from }) => from.toLowerCase() === walletAddress.toLowerCase())
+      .reduce((total, { value }) => total.add(value), ethers.constants.Zero);
+  }
+
+  const swap = receipt.logs.find((log) => log.topics[0] === SWAP_TOPIC);
+  if (!swap) {
+    throw new Error('No Swap event found in the receipt');
+  }
+
+  const { amount0In, amount1In } = pairInterface.parseLog(swap).args;
+  return amount0In.gt(0) ? amount0In : amount1In;
+}
+
+/**
+ * Get the address, symbol and decimals of a trade's token
+ * @param {string|null} tokenAddress - Token contract address, or null for MON
+ * @returns {Promise<Object>} Token details
+ */
+async function getTradeToken(tokenAddress) {
+  if (!tokenAddress) return MON;
+
+  const { symbol, decimals } = await uniswapUtils.getTokenInfo(tokenAddress);
+  return { address: tokenAddress, symbol, decimals };
+}
+
+/**
+ * Record an executed swap
+ * @param {Object} params - Trade parameters
+ * @param {string} params.userId - Telegram user ID
+ * @param {string} params.walletAddress - Wallet that made the trade
+ * @param {string} params.side - 'buy', 'sell' or 'swap'
+ * @param {string|null} params.tokenIn - Address of the token sold, or null for MON
+ * @param {string|null} params.tokenOut - Address of the token bought, or null for MON
+ * @param {string} params.txHash - Transaction hash
+ * @param {string} params.source - What placed the trade, e.g. 'manual' or an order type
+ * @returns {Promise<Object>} The recorded trade
+ */
+async function recordTrade(params) {
+  try {
+    const receipt = await provider.getTransactionReceipt(params.txHash);
+    if (!receipt) {
+      throw new Error('Transaction receipt not found');
+    }
+
+    const [tokenIn, tokenOut, block] = await Promise.all([
+      getTradeToken(params.tokenIn),
+      getTradeToken(params.tokenOut),
+      provider.getBlock(receipt.blockNumber)
+    ]);
+
+    // Amounts are what left and reached the wallet, including any token tax
+    const amountIn = decodeSwapInput(receipt, params.tokenIn, params.walletAddress);
+    const amountOut = uniswapUtils.getReceivedAmount(receipt, params.tokenOut, params.walletAddress);
+    const gasPrice = receipt.effectiveGasPrice || ethers.constants.Zero;
+
+    const trade = {
+      userId: params.userId,
+      walletAddress: params.walletAddress,
+      side: params.side,
+      source: params.source || 'manual',
+      tokenIn,
+      tokenOut,
+      amountIn: ethers.utils.formatUnits(amountIn, tokenIn.decimals),
+      amountOut: ethers.utils.formatUnits(amountOut, tokenOut.decimals),
+      gasUsed: receipt.gasUsed.toString(),
+      gasPaid: ethers.utils.formatEther(receipt.gasUsed.mul(gasPrice)),
+      timestamp: block.timestamp * 1000,
+      txHash: params.txHash
+    };
+
+    trades.push(trade);
+    saveTrades();
+
+    return trade;
+  } catch (error) {
+    throw new Error(`Failed to record trade: ${error.message}`);
+  }
+}
+
+/**
+ * Get a user's trades, newest first
+ * @param {string} userId - Telegram user ID
+ * @param {string} tokenFilter - Optional token address or symbol to filter by
+ * @returns {Array<Object>} Matching trades
+ */
+function getTrades(userId, tokenFilter) {
+  const filter = tokenFilter ? tokenFilter.toLowerCase() : null;
+
+  const matchesToken = (token) => (
+    (token.address && token.address.toLowerCase() === filter) || token.symbol.toLowerCase() === filter
+  );
+
+  return trades
+    .filter((trade) => trade.userId === userId)
+    .filter((trade) => !filter || matchesToken(trade.tokenIn) || matchesToken(trade.tokenOut))
+    .reverse();
+}
+
+/**
+ * Get the trades made by a wallet, oldest first
+ * @param {string} walletAddress - Wallet address
+ * @returns {Array<Object>} The wallet's trades
+ */
+function getWalletTrades(walletAddress) {
+  return trades.filter((trade) => trade.walletAddress.toLowerCase() === walletAddress.toLowerCase());
+}
+
+/**
+ * Quote a value for a CSV cell
+ * Token symbols come from the token contract, so a cell a spreadsheet would
+ * read as a formula is prefixed with a quote to keep it as text.
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function toCsvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export trades as CSV
+ * @param {Array<Object>} tradeList - Trades to export
+ * @returns {string} CSV document with a header row
+ */
+function toCsv(tradeList) {
+  const header = [
+    'timestamp', 'side', 'source', 'token_in', 'token_in_address', 'amount_in',
+    'token_out', 'token_out_address', 'amount_out', 'gas_used', 'gas_paid_mon', 'wallet', 'tx_hash'
+  ];
+
+  const rows = tradeList.map((trade) => [
+    new Date(trade.timestamp).toISOString(),
+    trade.side,
+    trade.source,
+    trade.tokenIn.symbol,
+    trade.tokenIn.address,
+    trade.amountIn,
+    trade.tokenOut.symbol,
+    trade.tokenOut.address,
+    trade.amountOut,
+    trade.gasUsed,
+    trade.gasPaid,
+    trade.walletAddress,
+    trade.txHash
+  ]);
+
+  return [header, ...rows].map((row) => row.map(toCsvCell).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  decodeSwapInput,
+  recordTrade,
+  getTrades,
+  getWalletTrades,
+  toCsv
+};
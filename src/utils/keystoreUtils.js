@@ -0,0 +1,235 @@
+/**
+ * Keystore utility functions for Monad Testnet Trading Bot
+ *
+ * Wallet secrets (private key and mnemonic) are stored encrypted with
+ * AES-256-GCM. The outer layer is keyed by the operator's master key from
+ * WALLET_MASTER_KEY; users may add an inner layer keyed by their own
+ * passphrase. Rotating the master key only touches the outer layer, so it
+ * never needs user passphrases.
+ */
+
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+const KEYSTORE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const MASTER_KEY_SALT = 'monad-testbot-keystore';
+
+// Derived master keys, cached because scrypt is deliberately slow
+const derivedKeys = new Map();
+
+/**
+ * Derive a 32-byte key from the operator's master key
+ * @param {string} masterKey - Master key (64 hex chars, or any secret string)
+ * @returns {Buffer} Encryption key
+ */
+function deriveMasterKey(masterKey) {
+  if (!masterKey) {
+    throw new Error('WALLET_MASTER_KEY is not set');
+  }
+
+  if (!derivedKeys.has(masterKey)) {
+    const key = /^[0-9a-fA-F]{64}$/.test(masterKey)
+      ? Buffer.from(masterKey, 'hex')
+      : crypto.scryptSync(masterKey, MASTER_KEY_SALT, 32);
+    derivedKeys.set(masterKey, key);
+  }
+
+  return derivedKeys.get(masterKey);
+}
+
+/**
+ * Encrypt a string with AES-256-GCM
+ * @param {string} plaintext - Data to encrypt
+ * @param {Buffer} key - 32-byte key
+ * @returns {Object} Cipher payload (iv, tag, data as base64)
+ */
+function encrypt(plaintext, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt an AES-256-GCM payload
+ * @param {Object} payload - Cipher payload produced by encrypt()
+ * @param {Buffer} key - 32-byte key
+ * @returns {string} Decrypted data
+ */
+function decrypt(payload, key) {
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(payload.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(payload.data, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+/**
+ * Encrypt wallet secrets with a user passphrase
+ * @param {string} plaintext - Serialized secrets
+ * @param {string} passphrase - User passphrase
+ * @returns {string} Serialized inner payload
+ */
+function encryptWithPassphrase(plaintext, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const key = crypto.scryptSync(passphrase, salt, 32);
+
+  return JSON.stringify({ salt: salt.toString('base64'), ...encrypt(plaintext, key) });
+}
+
+/**
+ * Decrypt wallet secrets protected by a user passphrase
+ * @param {string} serialized - Serialized inner payload
+ * @param {string} passphrase - User passphrase
+ * @returns {string} Serialized secrets
+ */
+function decryptWithPassphrase(serialized, passphrase) {
+  const payload = JSON.parse(serialized);
+  const key = crypto.scryptSync(passphrase, Buffer.from(payload.salt, 'base64'), 32);
+
+  return decrypt(payload, key);
+}
+
+/**
+ * Check whether a stored wallet record is encrypted
+ * @param {Object} record - Stored wallet record
+ * @returns {boolean} True if the record holds a keystore
+ */
+function isEncrypted(record) {
+  return Boolean(record && record.keystore);
+}
+
+/**
+ * Check whether a stored wallet record needs a user passphrase to unlock
+ * @param {Object} record - Stored wallet record
+ * @returns {boolean} True if the record is passphrase protected
+ */
+function isPassphraseProtected(record) {
+  return isEncrypted(record) && record.keystore.passphraseProtected === true;
+}
+
+/**
+ * Encrypt a wallet record for storage
+ * @param {Object} wallet - Wallet data (address, privateKey, mnemonic)
+ * @param {Object} options - Encryption options
+ * @param {string} options.passphrase - Optional user passphrase
+ * @param {string} options.masterKey - Master key (defaults to WALLET_MASTER_KEY)
+ * @returns {Object} Stored wallet record without plaintext secrets
+ */
+function encryptWallet(wallet, options = {}) {
+  const { passphrase, masterKey = process.env.WALLET_MASTER_KEY } = options;
+
+  let secrets = JSON.stringify({
+    privateKey: wallet.privateKey,
+    mnemonic: wallet.mnemonic || null
+  });
+
+  if (passphrase) {
+    secrets = encryptWithPassphrase(secrets, passphrase);
+  }
+
+  // Keep any non-secret fields (name, timestamps, ...) alongside the keystore
+  const { privateKey, mnemonic, keystore, ...publicFields } = wallet;
+
+  return {
+    ...publicFields,
+    address: wallet.address,
+    keystore: {
+      version: KEYSTORE_VERSION,
+      passphraseProtected: Boolean(passphrase),
+      ...encrypt(secrets, deriveMasterKey(masterKey))
+    }
+  };
+}
+
+/**
+ * Decrypt the secrets of a stored wallet record
+ * @param {Object} record - Stored wallet record
+ * @param {Object} options - Decryption options
+ * @param {string} options.passphrase - User passphrase, if the record is protected
+ * @param {string} options.masterKey - Master key (defaults to WALLET_MASTER_KEY)
+ * @returns {Object} Wallet secrets (privateKey, mnemonic)
+ */
+function decryptWallet(record, options = {}) {
+  const { passphrase, masterKey = process.env.WALLET_MASTER_KEY } = options;
+
+  if (!record) {
+    throw new Error('Wallet not found');
+  }
+
+  // Records that predate the keystore are still readable until migrated
+  if (!isEncrypted(record)) {
+    return { privateKey: record.privateKey, mnemonic: record.mnemonic || null };
+  }
+
+  let secrets;
+  try {
+    secrets = decrypt(record.keystore, deriveMasterKey(masterKey));
+  } catch (error) {
+    throw new Error(`Failed to decrypt wallet: ${error.message}`);
+  }
+
+  if (record.keystore.passphraseProtected) {
+    if (!passphrase) {
+      throw new Error('Wallet is locked. Use /unlock to enter your passphrase.');
+    }
+
+    try {
+      secrets = decryptWithPassphrase(secrets, passphrase);
+    } catch (error) {
+      throw new Error('Incorrect wallet passphrase');
+    }
+  }
+
+  return JSON.parse(secrets);
+}
+
+/**
+ * Get the private key of a stored wallet record for signing
+ * @param {Object} record - Stored wallet record
+ * @param {string} passphrase - User passphrase, if the record is protected
+ * @returns {string} Private key
+ */
+function decryptPrivateKey(record, passphrase) {
+  return decryptWallet(record, { passphrase }).privateKey;
+}
+
+/**
+ * Re-encrypt the outer layer of a record under a new master key
+ * @param {Object} record - Stored wallet record
+ * @param {string} oldMasterKey - Current master key
+ * @param {string} newMasterKey - New master key
+ * @returns {Object} Re-encrypted wallet record
+ */
+function rotateWalletKey(record, oldMasterKey, newMasterKey) {
+  const secrets = decrypt(record.keystore, deriveMasterKey(oldMasterKey));
+
+  return {
+    ...record,
+    keystore: {
+      version: KEYSTORE_VERSION,
+      passphraseProtected: record.keystore.passphraseProtected === true,
+      ...encrypt(secrets, deriveMasterKey(newMasterKey))
+    }
+  };
+}
+
+module.exports = {
+  isEncrypted,
+  isPassphraseProtected,
+  encryptWallet,
+  decryptWallet,
+  decryptPrivateKey,
+  rotateWalletKey
+};
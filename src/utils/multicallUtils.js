@@ -0,0 +1,209 @@
+/**
+ * Multicall utility functions for Monad Testnet Trading Bot
+ *
+ * Read-only contract calls made in the same tick are collected and sent as
+ * one Multicall3 aggregate3 call. When Multicall3 is not deployed on the
+ * connected chain, the calls are made one by one instead.
+ */
+
+const { ethers } = require('ethers');
+const dotenv = require('dotenv');
+const cacheUtils = require('./cacheUtils');
+const { provider } = require('./providerUtils');
+
+// Load environment variables
+dotenv.config();
+
+// Multicall3 is deployed at the same address on most chains
+const MULTICALL3_ADDRESS = process.env.MULTICALL3_ADDRESS || '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// Largest number of calls sent in one aggregate3 call
+const MAX_CALLS_PER_BATCH = 200;
+
+// How long token metadata is cached, in milliseconds
+const TOKEN_METADATA_TTL_MS = parseInt(process.env.TOKEN_METADATA_TTL_MS, 10) || 60 * 60 * 1000;
+
+// ABIs
+const MULTICALL3_ABI = [
+  'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)',
+  'function getEthBalance(address addr) view returns (uint256 balance)'
+];
+
+const ERC20_ABI = [
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+  'function name() view returns (string)'
+];
+
+const multicallInterface = new ethers.utils.Interface(MULTICALL3_ABI);
+const erc20Interface = new ethers.utils.Interface(ERC20_ABI);
+
+// Decimals, symbol and name never change once a token is deployed
+const tokenMetadataCache = cacheUtils.createCache({ ttlMs: TOKEN_METADATA_TTL_MS });
+
+// Calls waiting for the next batch
+let pendingCalls = [];
+
+let multicallAvailablePromise = null;
+
+/**
+ * Check if Multicall3 is deployed on the connected chain
+ * @returns {Promise<boolean>} True if aggregate3 can be used
+ */
+function isMulticallAvailable() {
+  if (!multicallAvailablePromise) {
+    multicallAvailablePromise = provider.getCode(MULTICALL3_ADDRESS).then((code) => code !== '0x');
+
+    // Check again next time if the lookup failed
+    multicallAvailablePromise.catch(() => {
+      multicallAvailablePromise = null;
+    });
+  }
+
+  return multicallAvailablePromise;
+}
+
+/**
+ * Decode the result of a call the way ethers contracts do
+ * @param {Object} call - Pending call
+ * @param {string} returnData - Raw return data
+ * @returns {*} The single return value, or all of them
+ */
+function decodeResult(call, returnData) {
+  const result = call.contractInterface.decodeFunctionResult(call.method, returnData);
+  return result.length === 1 ? result[0] : result;
+}
+
+/**
+ * Send one batch of calls through aggregate3
+ * @param {Array<Object>} calls - Pending calls
+ */
+async function sendBatch(calls) {
+  const data = multicallInterface.encodeFunctionData('aggregate3', [
+    calls.map((call) => ({ target: call.target, allowFailure: true, callData: call.callData }))
+  ]);
+
+  const response = await provider.call({ to: MULTICALL3_ADDRESS, data });
+  const [results] = multicallInterface.decodeFunctionResult('aggregate3', response);
+
+  results.forEach(({ success, returnData }, i) => {
+    const call = calls[i];
+    if (!success) {
+      call.reject(new Error(`Call to ${call.method} reverted`));
+      return;
+    }
+
+    try {
+      call.resolve(decodeResult(call, returnData));
+    } catch (error) {
+      call.reject(error);
+    }
+  });
+}
+
+/**
+ * Send a call on its own, without Multicall3
+ * @param {Object} call - Pending call
+ */
+async function sendSingle(call) {
+  try {
+    const returnData = await provider.call({ to: call.target, data: call.callData });
+    call.resolve(decodeResult(call, returnData));
+  } catch (error) {
+    call.reject(error);
+  }
+}
+
+/**
+ * Send all pending calls
+ */
+async function flush() {
+  const calls = pendingCalls;
+  pendingCalls = [];
+
+  let useMulticall = false;
+  try {
+    useMulticall = await isMulticallAvailable();
+  } catch (error) {
+    useMulticall = false;
+  }
+
+  if (!useMulticall) {
+    await Promise.all(calls.map(sendSingle));
+    return;
+  }
+
+  for (let i = 0; i < calls.length; i += MAX_CALLS_PER_BATCH) {
+    const batch = calls.slice(i, i + MAX_CALLS_PER_BATCH);
+    try {
+      await sendBatch(batch);
+    } catch (error) {
+      // A failed aggregate call should not fail the calls in it
+      await Promise.all(batch.map(sendSingle));
+    }
+  }
+}
+
+/**
+ * Queue a read-only contract call for the next batch
+ * @param {string} target - Contract address
+ * @param {Interface} contractInterface - Contract interface
+ * @param {string} method - Function name
+ * @param {Array} args - Function arguments
+ * @returns {Promise<*>} Decoded return value
+ */
+function call(target, contractInterface, method, args = []) {
+  return new Promise((resolve, reject) => {
+    pendingCalls.push({
+      target,
+      contractInterface,
+      method,
+      callData: contractInterface.encodeFunctionData(method, args),
+      resolve,
+      reject
+    });
+
+    // Everything queued before the next turn of the event loop goes in the same batch
+    if (pendingCalls.length === 1) {
+      setImmediate(() => {
+        flush().catch(() => {});
+      });
+    }
+  });
+}
+
+/**
+ * Get the MON balance of an address, batched with other calls when possible
+ * @param {string} address - Address to check
+ * @returns {Promise<BigNumber>} Balance in wei
+ */
+async function getEthBalance(address) {
+  if (await isMulticallAvailable().catch(() => false)) {
+    return call(MULTICALL3_ADDRESS, multicallInterface, 'getEthBalance', [address]);
+  }
+
+  return provider.getBalance(address);
+}
+
+/**
+ * Get the decimals, symbol and name of a token, cached
+ * @param {string} tokenAddress - Token contract address
+ * @returns {Promise<Object>} Token metadata
+ */
+function getTokenMetadata(tokenAddress) {
+  return tokenMetadataCache.getOrLoad(tokenAddress.toLowerCase(), async () => {
+    const [decimals, symbol, name] = await Promise.all([
+      call(tokenAddress, erc20Interface, 'decimals'),
+      call(tokenAddress, erc20Interface, 'symbol'),
+      call(tokenAddress, erc20Interface, 'name')
+    ]);
+
+    return { decimals, symbol, name };
+  });
+}
+
+module.exports = {
+  call,
+  getEthBalance,
+  getTokenMetadata
+};
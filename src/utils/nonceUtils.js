@@ -0,0 +1,133 @@
+/**
+ * Nonce utility functions for Monad Testnet Trading Bot
+ *
+ * Transactions from the same wallet are sent one at a time, each with the
+ * next free nonce, so that a double-tapped confirm, an approve followed by a
+ * swap and a background order can all be in flight together. A nonce whose
+ * transaction the node dropped is handed out again, so it cannot leave a gap.
+ */
+
+const { provider } = require('./providerUtils');
+const { logger } = require('./errorHandler');
+
+// Attempts at sending one transaction when its nonce turns out to be taken
+const MAX_SEND_ATTEMPTS = 3;
+
+// Send queue, next nonce and unmined sends of each wallet, by lowercased address
+const wallets = new Map();
+
+/**
+ * Get the nonce state of a wallet
+ * @param {string} address - Wallet address
+ * @returns {Object} Send queue, the next nonce (null if none was used yet) and the hashes of unmined sends by nonce
+ */
+function getWalletState(address) {
+  const key = address.toLowerCase();
+  if (!wallets.has(key)) {
+    wallets.set(key, { queue: Promise.resolve(), nextNonce: null, sent: new Map() });
+  }
+  return wallets.get(key);
+}
+
+/**
+ * Check whether the node has forgotten a transaction sent with a nonce
+ * @param {Object} state - Nonce state of the wallet
+ * @param {number} nonce - Nonce to check
+ * @returns {Promise<boolean>} True if a transaction was sent with the nonce and the node no longer knows it
+ */
+async function isDropped(state, nonce) {
+  const hash = state.sent.get(nonce);
+  if (!hash) return false;
+
+  return !(await provider.getTransaction(hash));
+}
+
+/**
+ * Check whether a send failed because its nonce is already used or pending
+ * @param {Error} error - Error thrown by the send
+ * @returns {boolean} True if the send can be retried with the next nonce
+ */
+function isNonceConflict(error) {
+  if (error.code === 'NONCE_EXPIRED' || error.code === 'REPLACEMENT_UNDERPRICED') {
+    return true;
+  }
+
+  return /nonce too low|replacement (transaction )?underpriced/i.test(error.message || '');
+}
+
+/**
+ * Send a transaction with the next nonce, retrying on nonce conflicts
+ * @param {Object} state - Nonce state of the wallet
+ * @param {string} address - Wallet address
+ * @param {Function} send - Sends the transaction with the given nonce
+ * @returns {Promise<Object>} Transaction response
+ */
+async function sendInOrder(state, address, send) {
+  for (let attempt = 1; ; attempt++) {
+    const [minedCount, pendingCount] = await Promise.all([
+      provider.getTransactionCount(address, 'latest'),
+      provider.getTransactionCount(address, 'pending')
+    ]);
+    for (const sentNonce of state.sent.keys()) {
+      if (sentNonce < minedCount) state.sent.delete(sentNonce);
+    }
+
+    // Transactions sent from elsewhere move the pending count past our own
+    let nonce = state.nextNonce === null ? pendingCount : Math.max(state.nextNonce, pendingCount);
+
+    // A send the node dropped leaves a gap that every later send would wait behind, so it is filled first
+    if (pendingCount < nonce && await isDropped(state, pendingCount)) {
+      logger.warn(`Transaction with nonce ${pendingCount} of ${address} was dropped, reusing its nonce`);
+      nonce = pendingCount;
+    }
+
+    try {
+      const tx = await send(nonce);
+      state.nextNonce = Math.max(nonce + 1, state.nextNonce || 0);
+      state.sent.set(nonce, tx.hash);
+      return tx;
+    } catch (error) {
+      if (!isNonceConflict(error) || attempt >= MAX_SEND_ATTEMPTS) {
+        throw error;
+      }
+
+      // The node has this nonce already, e.g. from before a restart
+      logger.warn(`Nonce ${nonce} of ${address} is taken, retrying with the next one`);
+      state.nextNonce = Math.max(nonce + 1, state.nextNonce || 0);
+      state.sent.delete(nonce);
+    }
+  }
+}
+
+/**
+ * Send a transaction from a wallet
+ * Sends from the same wallet are queued, and each gets the next free nonce.
+ * @param {string} address - Wallet address
+ * @param {Function} send - Called with the nonce to use; sends the transaction and resolves to its response
+ * @returns {Promise<Object>} Transaction response
+ */
+function sendTransaction(address, send) {
+  const state = getWalletState(address);
+
+  const result = state.queue.then(() => sendInOrder(state, address, send));
+  // A failed send must not block the ones queued behind it
+  state.queue = result.catch(() => {});
+
+  return result;
+}
+
+/**
+ * Forget the nonces handed out to a wallet, e.g. after one of its transactions was given up on
+ * The next send takes its nonce from the node's pending count again.
+ * @param {string} address - Wallet address
+ */
+function resetNonce(address) {
+  const state = getWalletState(address);
+  state.nextNonce = null;
+  state.sent.clear();
+}
+
+module.exports = {
+  sendTransaction,
+  resetNonce
+};
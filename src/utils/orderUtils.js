@@ -0,0 +1,252 @@
+/**
+ * Limit order utilities for Monad Testnet Trading Bot
+ *
+ * Stores buy-below and sell-above limit orders, plus stop-loss and
+ * take-profit exits on positions, and runs the background watcher that
+ * executes them once the token price crosses the trigger.
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const dotenv = require('dotenv');
+const uniswapUtils = require('./uniswapUtils');
+const storageUtils = require('./storageUtils');
+const { logger } = require('./errorHandler');
+
+// Load environment variables
+dotenv.config();
+
+const ORDERS_FILE = 'orders.json';
+
+const ORDER_TYPES = ['limit', 'stop_loss', 'take_profit'];
+
+// How often the watcher checks prices
+const ORDER_POLL_INTERVAL_MS = parseInt(process.env.ORDER_POLL_INTERVAL_MS, 10) || 15000;
+
+// All orders, including settled ones
+const orders = storageUtils.loadData(ORDERS_FILE, []);
+
+// An order interrupted by a restart may or may not have been sent, so it is not retried
+for (const order of orders) {
+  if (order.status === 'executing') {
+    order.status = 'failed';
+    order.error = 'Interrupted by a restart. Check your balance before placing it again.';
+  }
+}
+
+let checking = false;
+
+/**
+ * Save orders to file
+ */
+function saveOrders() {
+  storageUtils.saveData(ORDERS_FILE, orders);
+}
+
+/**
+ * Create an order
+ * @param {Object} params - Order parameters
+ * @param {string} params.userId - Telegram user ID
+ * @param {number} params.chatId - Chat to notify when the order settles
+ * @param {string} params.walletAddress - Wallet that executes the order
+ * @param {string} params.tokenAddress - Token contract address
+ * @param {string} params.tokenSymbol - Token symbol
+ * @param {string} params.type - 'limit' (default), 'stop_loss' or 'take_profit'
+ * @param {string} params.side - 'buy' (below the trigger) or 'sell' (above the trigger); exits always sell
+ * @param {string} params.triggerPrice - Trigger price in MON per token
+ * @param {string} params.amount - MON to spend when buying, tokens to sell when selling
+ * @param {number} params.sellPercent - Share of the balance at trigger time to sell, instead of a fixed amount
+ * @returns {Object} The new order
+ */
+function createOrder(params) {
+  const type = params.type || 'limit';
+  if (!ORDER_TYPES.includes(type)) {
+    throw new Error(`Unknown order type: ${type}`);
+  }
+
+  if (!['buy', 'sell'].includes(params.side) || (type !== 'limit' && params.side !== 'sell')) {
+    throw new Error(`Invalid order side: ${params.side}`);
+  }
+
+  const order = {
+    id: crypto.randomBytes(4).toString('hex'),
+    type,
+    userId: params.userId,
+    chatId: params.chatId,
+    walletAddress: params.walletAddress,
+    tokenAddress: params.tokenAddress,
+    tokenSymbol: params.tokenSymbol,
+    side: params.side,
+    triggerPrice: params.triggerPrice,
+    amount: params.amount,
+    sellPercent: params.sellPercent,
+    status: 'open',
+    createdAt: Date.now()
+  };
+
+  orders.push(order);
+  saveOrders();
+
+  return order;
+}
+
+/**
+ * Get a user's open orders
+ * @param {string} userId - Telegram user ID
+ * @returns {Array<Object>} Open orders, oldest first
+ */
+function getOpenOrders(userId) {
+  return orders.filter((order) => order.userId === userId && order.status === 'open');
+}
+
+/**
+ * Get the type of an order, treating orders saved before exits existed as limit orders
+ * @param {Object} order - Order
+ * @returns {string} Order type
+ */
+function getOrderType(order) {
+  return order.type || 'limit';
+}
+
+/**
+ * Cancel an open order
+ * @param {string} userId - Telegram user ID
+ * @param {string} orderId - Order ID
+ * @returns {Object|null} The cancelled order, or null if there is no such open order
+ */
+function cancelOrder(userId, orderId) {
+  const order = getOpenOrders(userId).find((item) => item.id === orderId);
+  if (!order) return null;
+
+  order.status = 'cancelled';
+  order.cancelledAt = Date.now();
+  saveOrders();
+
+  return order;
+}
+
+/**
+ * Check if a price meets an order's trigger
+ * @param {Object} order - Order
+ * @param {string} priceInMON - Current token price in MON
+ * @returns {boolean} True if the order should execute
+ */
+function isTriggered(order, priceInMON) {
+  const price = ethers.utils.parseEther(priceInMON);
+  const trigger = ethers.utils.parseEther(order.triggerPrice);
+
+  // Stop-losses and buy limits fire on the way down, take-profits and sell limits on the way up
+  const type = getOrderType(order);
+  const below = type === 'stop_loss' || (type === 'limit' && order.side === 'buy');
+
+  return below ? price.lte(trigger) : price.gte(trigger);
+}
+
+/**
+ * Cancel the other exits of a position once it has been sold in full
+ * @param {Object} filledOrder - The exit that sold the whole position
+ * @returns {Array<Object>} The cancelled exits
+ */
+function cancelSiblingExits(filledOrder) {
+  const siblings = orders.filter((order) => (
+    order.status === 'open' &&
+    getOrderType(order) !== 'limit' &&
+    order.userId === filledOrder.userId &&
+    order.walletAddress === filledOrder.walletAddress &&
+    order.tokenAddress === filledOrder.tokenAddress
+  ));
+
+  for (const order of siblings) {
+    order.status = 'cancelled';
+    order.cancelledAt = Date.now();
+  }
+
+  return siblings;
+}
+
+/**
+ * Check all open orders once and execute the triggered ones
+ * @param {Function} executeOrder - Executes an order and resolves to its transaction hash
+ * @param {Function} notifyOrder - Called with each order after it fills or fails
+ */
+async function checkOrders(executeOrder, notifyOrder) {
+  // Skip this round if the previous one is still executing trades
+  if (checking) return;
+  checking = true;
+
+  try {
+    const openOrders = orders.filter((order) => order.status === 'open');
+    const tokenAddresses = [...new Set(openOrders.map((order) => order.tokenAddress))];
+
+    for (const tokenAddress of tokenAddresses) {
+      let priceInMON;
+      try {
+        ({ priceInMON } = await uniswapUtils.getTokenPrice(tokenAddress));
+      } catch (error) {
+        logger.warn(`Order price check failed for ${tokenAddress}: ${error.message}`);
+        continue;
+      }
+
+      const triggered = openOrders.filter((order) => (
+        order.tokenAddress === tokenAddress && order.status === 'open' && isTriggered(order, priceInMON)
+      ));
+
+      for (const order of triggered) {
+        // An earlier exit may have closed the position already
+        if (order.status !== 'open') continue;
+
+        order.status = 'executing';
+        order.executionPrice = priceInMON;
+        saveOrders();
+
+        try {
+          order.txHash = await executeOrder(order);
+          order.status = 'filled';
+
+          if (getOrderType(order) !== 'limit' && order.sellPercent === 100) {
+            order.cancelledExits = cancelSiblingExits(order).map((sibling) => sibling.id);
+          }
+        } catch (error) {
+          order.status = 'failed';
+          order.error = error.message;
+        }
+
+        order.settledAt = Date.now();
+        saveOrders();
+
+        try {
+          await notifyOrder(order);
+        } catch (error) {
+          logger.error(`Failed to notify order ${order.id}: ${error.message}`);
+        }
+      }
+    }
+  } finally {
+    checking = false;
+  }
+}
+
+/**
+ * Start the background watcher that executes triggered orders
+ * @param {Function} executeOrder - Executes an order and resolves to its transaction hash
+ * @param {Function} notifyOrder - Called with each order after it fills or fails
+ * @returns {Object} Interval handle
+ */
+function startOrderWatcher(executeOrder, notifyOrder) {
+  logger.info(`Order watcher started (every ${ORDER_POLL_INTERVAL_MS / 1000}s)`);
+
+  return setInterval(() => {
+    checkOrders(executeOrder, notifyOrder).catch((error) => {
+      logger.error(`Order check failed: ${error.message}`);
+    });
+  }, ORDER_POLL_INTERVAL_MS);
+}
+
+module.exports = {
+  createOrder,
+  getOpenOrders,
+  cancelOrder,
+  getOrderType,
+  checkOrders,
+  startOrderWatcher
+};
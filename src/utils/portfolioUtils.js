@@ -0,0 +1,174 @@
+/**
+ * Portfolio utility functions for Monad Testnet Trading Bot
+ *
+ * Tracks the average cost basis of each token from the trade history and
+ * values current holdings in MON with router quotes.
+ */
+
+const { ethers } = require('ethers');
+const dotenv = require('dotenv');
+const routerUtils = require('./routerUtils');
+const walletUtils = require('./walletUtils');
+
+// Load environment variables
+dotenv.config();
+
+const WRAPPED_MON_ADDRESS = process.env.WRAPPED_MON;
+
+/**
+ * Compute positions from a wallet's trades using the average cost method
+ * Buys add their MON cost to the basis, sells realize the difference between
+ * the MON received and the basis of the tokens sold, and token-to-token swaps
+ * carry the basis of the tokens given up over to the tokens received.
+ * @param {Array<Object>} trades - Trades, oldest first
+ * @returns {Object} Positions keyed by lowercase token address, with amounts in wei
+ */
+function computePositions(trades) {
+  const positions = {};
+
+  const getPosition = (token) => {
+    const key = token.address.toLowerCase();
+    if (!positions[key]) {
+      positions[key] = {
+        tokenAddress: token.address,
+        symbol: token.symbol,
+        decimals: token.decimals,
+        quantity: ethers.constants.Zero,
+        cost: ethers.constants.Zero,
+        realizedPnl: ethers.constants.Zero
+      };
+    }
+    return positions[key];
+  };
+
+  for (const trade of trades) {
+    let carriedCost = ethers.constants.Zero;
+
+    if (trade.tokenIn.address) {
+      const position = getPosition(trade.tokenIn);
+      const sold = ethers.utils.parseUnits(trade.amountIn, trade.tokenIn.decimals);
+
+      // Tokens sold beyond the tracked quantity came from elsewhere and have no known cost
+      const tracked = sold.gt(position.quantity) ? position.quantity : sold;
+      const costOfSold = position.quantity.isZero()
+        ? ethers.constants.Zero
+        : position.cost.mul(tracked).div(position.quantity);
+
+      position.quantity = position.quantity.sub(tracked);
+      position.cost = position.cost.sub(costOfSold);
+
+      if (trade.tokenOut.address) {
+        carriedCost = costOfSold;
+      } else {
+        const proceeds = ethers.utils.parseEther(trade.amountOut);
+        position.realizedPnl = position.realizedPnl.add(proceeds.sub(costOfSold));
+      }
+    }
+
+    if (trade.tokenOut.address) {
+      const position = getPosition(trade.tokenOut);
+      position.quantity = position.quantity.add(ethers.utils.parseUnits(trade.amountOut, trade.tokenOut.decimals));
+      position.cost = position.cost.add(
+        trade.tokenIn.address ? carriedCost : ethers.utils.parseEther(trade.amountIn)
+      );
+    }
+  }
+
+  return positions;
+}
+
+/**
+ * Value a token amount in MON with a router quote
+ * @param {string} tokenAddress - Token contract address
+ * @param {BigNumber} amount - Token amount in wei
+ * @returns {Promise<BigNumber|null>} Value in wei, or null if there is no route
+ */
+async function getValueInMON(tokenAddress, amount) {
+  if (amount.isZero()) return ethers.constants.Zero;
+
+  try {
+    const { amountOut } = await routerUtils.findBestPath(tokenAddress, WRAPPED_MON_ADDRESS, amount);
+    return amountOut;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the portfolio of a wallet with realized and unrealized PnL
+ * Holdings are the wallet's current balances, valued at what selling them
+ * would return. Their cost is the average cost from the trade history.
+ * @param {string} walletAddress - Wallet address
+ * @param {Array<Object>} trades - The wallet's trades, oldest first
+ * @returns {Promise<Object>} Positions and totals, with MON amounts as strings
+ */
+async function getPortfolio(walletAddress, trades) {
+  try {
+    const positions = Object.values(computePositions(trades));
+
+    const totals = {
+      value: ethers.constants.Zero,
+      cost: ethers.constants.Zero,
+      unrealizedPnl: ethers.constants.Zero,
+      realizedPnl: ethers.constants.Zero
+    };
+
+    const results = await Promise.all(positions.map(async (position) => {
+      const { balance } = await walletUtils.getTokenBalance(walletAddress, position.tokenAddress);
+      const balanceWei = ethers.utils.parseUnits(balance, position.decimals);
+      const value = await getValueInMON(position.tokenAddress, balanceWei);
+
+      // Apply the average cost to the tokens actually held
+      const costBasis = position.quantity.isZero()
+        ? null
+        : position.cost.mul(balanceWei).div(position.quantity);
+      const averageCost = position.quantity.isZero()
+        ? null
+        : position.cost.mul(ethers.BigNumber.from(10).pow(position.decimals)).div(position.quantity);
+      const unrealizedPnl = value && costBasis ? value.sub(costBasis) : null;
+
+      totals.realizedPnl = totals.realizedPnl.add(position.realizedPnl);
+      if (value && costBasis) {
+        totals.value = totals.value.add(value);
+        totals.cost = totals.cost.add(costBasis);
+        totals.unrealizedPnl = totals.unrealizedPnl.add(unrealizedPnl);
+      }
+
+      const format = (amount) => (amount ? ethers.utils.formatEther(amount) : null);
+
+      return {
+        tokenAddress: position.tokenAddress,
+        symbol: position.symbol,
+        balance,
+        averageCost: format(averageCost),
+        costBasis: format(costBasis),
+        value: format(value),
+        unrealizedPnl: format(unrealizedPnl),
+        realizedPnl: ethers.utils.formatEther(position.realizedPnl)
+      };
+    }));
+
+    const gasPaid = trades.reduce(
+      (total, trade) => total.add(ethers.utils.parseEther(trade.gasPaid)),
+      ethers.constants.Zero
+    );
+
+    return {
+      positions: results,
+      totals: {
+        value: ethers.utils.formatEther(totals.value),
+        cost: ethers.utils.formatEther(totals.cost),
+        unrealizedPnl: ethers.utils.formatEther(totals.unrealizedPnl),
+        realizedPnl: ethers.utils.formatEther(totals.realizedPnl),
+        gasPaid: ethers.utils.formatEther(gasPaid)
+      }
+    };
+  } catch (error) {
+    throw new Error(`Failed to get portfolio: ${error.message}`);
+  }
+}
+
+module.exports = {
+  computePositions,
+  getPortfolio
+};
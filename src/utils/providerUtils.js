@@ -0,0 +1,200 @@
+/**
+ * RPC provider utility functions for Monad Testnet Trading Bot
+ *
+ * MONAD_TESTNET_RPC may list several comma-separated endpoints. All modules
+ * share one provider that sends each request to the healthiest endpoint,
+ * moves on to the next one when an endpoint times out or cannot be reached,
+ * and retries read-only requests on another endpoint.
+ */
+
+const { ethers } = require('ethers');
+const dotenv = require('dotenv');
+const { logger } = require('./errorHandler');
+
+// Load environment variables
+dotenv.config();
+
+const RPC_URLS = (process.env.MONAD_TESTNET_RPC || '')
+  .split(',')
+  .map((url) => url.trim())
+  .filter(Boolean);
+
+// How long a single request may take before the endpoint is skipped, in milliseconds
+const RPC_TIMEOUT_MS = parseInt(process.env.RPC_TIMEOUT_MS, 10) || 10000;
+
+// How often endpoints are health-checked, in milliseconds
+const RPC_HEALTH_CHECK_INTERVAL_MS = parseInt(process.env.RPC_HEALTH_CHECK_INTERVAL_MS, 10) || 30000;
+
+// Blocks an endpoint may trail the highest one before it is considered stale
+const RPC_MAX_BLOCK_LAG = parseInt(process.env.RPC_MAX_BLOCK_LAG, 10) || 5;
+
+// Requests that do not change chain state and can safely be sent again
+const READ_METHODS = new Set([
+  'net_version',
+  'eth_chainId',
+  'eth_blockNumber',
+  'eth_gasPrice',
+  'eth_maxPriorityFeePerGas',
+  'eth_feeHistory',
+  'eth_getBalance',
+  'eth_getCode',
+  'eth_getStorageAt',
+  'eth_getTransactionCount',
+  'eth_getBlockByNumber',
+  'eth_getBlockByHash',
+  'eth_getTransactionByHash',
+  'eth_getTransactionReceipt',
+  'eth_getLogs',
+  'eth_call',
+  'eth_estimateGas'
+]);
+
+// JSON-RPC error codes that mean the endpoint is struggling rather than that the request is wrong
+const ENDPOINT_ERROR_CODES = new Set([
+  -32005 // Request limit exceeded
+]);
+
+/**
+ * Check if a request failed because of the endpoint rather than the request
+ * Errors returned by a working node, such as reverts, are passed on unchanged.
+ * @param {Error} error - Error thrown by the endpoint provider
+ * @returns {boolean} True if another endpoint should be tried
+ */
+function isEndpointError(error) {
+  if (error.error && typeof error.error.code === 'number') {
+    return ENDPOINT_ERROR_CODES.has(error.error.code);
+  }
+
+  return error.code === ethers.errors.TIMEOUT || error.code === ethers.errors.SERVER_ERROR;
+}
+
+/**
+ * Provider that spreads requests over several RPC endpoints
+ */
+class FailoverProvider extends ethers.providers.StaticJsonRpcProvider {
+  /**
+   * @param {Array<string>} urls - RPC endpoint URLs, in order of preference
+   */
+  constructor(urls) {
+    super(urls[0]);
+
+    this.endpoints = urls.map((url) => ({
+      url,
+      provider: new ethers.providers.JsonRpcProvider({ url, timeout: RPC_TIMEOUT_MS }),
+      healthy: true,
+      latencyMs: null,
+      blockNumber: null
+    }));
+    this.activeEndpoint = this.endpoints[0];
+  }
+
+  /**
+   * Get the endpoints in the order they should be tried
+   * @returns {Array<Object>} Active endpoint first, then other healthy ones, then the rest
+   */
+  getEndpointOrder() {
+    const others = this.endpoints.filter((endpoint) => endpoint !== this.activeEndpoint);
+    return [
+      this.activeEndpoint,
+      ...others.filter((endpoint) => endpoint.healthy),
+      ...others.filter((endpoint) => !endpoint.healthy)
+    ];
+  }
+
+  /**
+   * Take an endpoint out of rotation until the next health check
+   * @param {Object} endpoint - The failing endpoint
+   * @param {Error} error - Why it failed
+   */
+  markFailed(endpoint, error) {
+    endpoint.healthy = false;
+    logger.warn(`RPC endpoint ${endpoint.url} failed: ${error.reason || error.message}`);
+
+    if (endpoint === this.activeEndpoint) {
+      const next = this.endpoints.find((candidate) => candidate.healthy);
+      if (next) {
+        this.activeEndpoint = next;
+        logger.info(`Switched RPC endpoint to ${next.url}`);
+      }
+    }
+  }
+
+  /**
+   * Send a JSON-RPC request, failing over to other endpoints
+   * @param {string} method - JSON-RPC method
+   * @param {Array} params - JSON-RPC parameters
+   * @returns {Promise<*>} Request result
+   */
+  async send(method, params) {
+    // A single endpoint still gets one retry for reads
+    const order = this.getEndpointOrder();
+    const attempts = READ_METHODS.has(method)
+      ? (order.length > 1 ? order : [order[0], order[0]])
+      : [order[0]];
+
+    let lastError;
+    for (const endpoint of attempts) {
+      try {
+        return await endpoint.provider.send(method, params);
+      } catch (error) {
+        if (!isEndpointError(error)) throw error;
+
+        this.markFailed(endpoint, error);
+        lastError = error;
+      }
+    }
+
+    throw new Error(`RPC unavailable, please try again later (${lastError.reason || lastError.message})`);
+  }
+
+  /**
+   * Measure the latency and block height of every endpoint and pick the best one
+   * An endpoint is healthy if it answers and is no more than RPC_MAX_BLOCK_LAG
+   * blocks behind the highest endpoint. The fastest healthy endpoint becomes active.
+   */
+  async checkHealth() {
+    await Promise.all(this.endpoints.map(async (endpoint) => {
+      const startedAt = Date.now();
+      try {
+        endpoint.blockNumber = ethers.BigNumber.from(await endpoint.provider.send('eth_blockNumber', [])).toNumber();
+        endpoint.latencyMs = Date.now() - startedAt;
+      } catch (error) {
+        endpoint.blockNumber = null;
+        endpoint.latencyMs = null;
+      }
+    }));
+
+    const highestBlock = Math.max(...this.endpoints.map((endpoint) => endpoint.blockNumber || 0));
+    for (const endpoint of this.endpoints) {
+      endpoint.healthy = endpoint.blockNumber !== null && highestBlock - endpoint.blockNumber <= RPC_MAX_BLOCK_LAG;
+    }
+
+    const fastest = this.endpoints
+      .filter((endpoint) => endpoint.healthy)
+      .sort((a, b) => a.latencyMs - b.latencyMs)[0];
+
+    if (fastest && fastest !== this.activeEndpoint) {
+      logger.info(`Switched RPC endpoint to ${fastest.url} (${fastest.latencyMs} ms, block ${fastest.blockNumber})`);
+      this.activeEndpoint = fastest;
+    }
+  }
+}
+
+// Shared by every module that talks to the chain
+const provider = new FailoverProvider(RPC_URLS.length > 0 ? RPC_URLS : ['http://localhost:8545']);
+
+// Health checks only matter when there is another endpoint to switch to
+if (RPC_URLS.length > 1) {
+  const runHealthCheck = () => {
+    provider.checkHealth().catch((error) => {
+      logger.warn(`RPC health check failed: ${error.message}`);
+    });
+  };
+
+  runHealthCheck();
+  setInterval(runHealthCheck, RPC_HEALTH_CHECK_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  provider
+};
@@ -0,0 +1,388 @@
+/**
+ * Multi-hop routing utilities for Monad Testnet Trading Bot
+ *
+ * Discovers Uniswap V2 pairs through the factory and picks the path with the
+ * best output from pool reserves, hopping through a configurable set of base
+ * tokens when no direct pair exists.
+ */
+
+const { ethers } = require('ethers');
+const dotenv = require('dotenv');
+const { provider } = require('./providerUtils');
+
+// Load environment variables
+dotenv.config();
+
+// Contract addresses
+const UNISWAP_V2_ROUTER_ADDRESS = process.env.UNISWAP_V2_ROUTER;
+const WRAPPED_MON_ADDRESS = process.env.WRAPPED_MON;
+
+// Maximum number of swaps in a path
+const MAX_HOPS = 3;
+
+// How long a missing pair is remembered before asking the factory again
+const MISSING_PAIR_TTL_MS = 60 * 1000;
+
+// ABIs
+const UNISWAP_V2_ROUTER_ABI = [
+  'function factory() external view returns (address)'
+];
+
+const UNISWAP_V2_FACTORY_ABI = [
+  'function getPair(address tokenA, address tokenB) external view returns (address pair)'
+];
+
+const UNISWAP_V2_PAIR_ABI = [
+  'function token0() external view returns (address)',
+  'function token1() external view returns (address)',
+  'function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)'
+];
+
+// Pair address lookups, keyed by the sorted token addresses
+const pairCache = new Map();
+
+let factoryAddressPromise = null;
+
+/**
+ * Get the base tokens used as intermediate hops
+ * @returns {Array<string>} Checksummed base token addresses, WMON first
+ */
+function getBaseTokens() {
+  const configured = (process.env.ROUTING_BASE_TOKENS || '')
+    .split(',')
+    .map((address) => address.trim())
+    .filter(Boolean);
+
+  const baseTokens = [WRAPPED_MON_ADDRESS, ...configured].map((address) => ethers.utils.getAddress(address));
+  return [...new Set(baseTokens)];
+}
+
+/**
+ * Get the factory address from the environment or the router
+ * @returns {Promise<string>} Factory address
+ */
+function getFactoryAddress() {
+  if (!factoryAddressPromise) {
+    factoryAddressPromise = process.env.UNISWAP_V2_FACTORY
+      ? Promise.resolve(process.env.UNISWAP_V2_FACTORY)
+      : new ethers.Contract(UNISWAP_V2_ROUTER_ADDRESS, UNISWAP_V2_ROUTER_ABI, provider).factory();
+
+    // Allow a retry if the lookup failed
+    factoryAddressPromise.catch(() => {
+      factoryAddressPromise = null;
+    });
+  }
+
+  return factoryAddressPromise;
+}
+
+/**
+ * Get the pair address for two tokens
+ * @param {string} tokenA - First token address
+ * @param {string} tokenB - Second token address
+ * @returns {Promise<string|null>} Pair address, or null if the pair does not exist
+ */
+async function getPairAddress(tokenA, tokenB) {
+  const key = [tokenA.toLowerCase(), tokenB.toLowerCase()].sort().join(':');
+  const cached = pairCache.get(key);
+
+  if (cached && (cached.address || Date.now() - cached.checkedAt < MISSING_PAIR_TTL_MS)) {
+    return cached.address;
+  }
+
+  const factoryContract = new ethers.Contract(await getFactoryAddress(), UNISWAP_V2_FACTORY_ABI, provider);
+  const pairAddress = await factoryContract.getPair(tokenA, tokenB);
+  const address = pairAddress === ethers.constants.AddressZero ? null : pairAddress;
+
+  pairCache.set(key, { address, checkedAt: Date.now() });
+  return address;
+}
+
+/**
+ * Get the reserves of a pair ordered as (tokenIn, tokenOut)
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @returns {Promise<Object|null>} Reserves and pair address, or null if the pair does not exist
+ */
+async function getReserves(tokenIn, tokenOut) {
+  const pairAddress = await getPairAddress(tokenIn, tokenOut);
+  if (!pairAddress) return null;
+
+  const pairContract = new ethers.Contract(pairAddress, UNISWAP_V2_PAIR_ABI, provider);
+  const [reserve0, reserve1] = await pairContract.getReserves();
+
+  // Uniswap sorts pair tokens by address
+  const tokenInIsToken0 = tokenIn.toLowerCase() < tokenOut.toLowerCase();
+
+  return {
+    pairAddress,
+    reserveIn: tokenInIsToken0 ? reserve0 : reserve1,
+    reserveOut: tokenInIsToken0 ? reserve1 : reserve0
+  };
+}
+
+/**
+ * Calculate the output of a single swap, including the 0.3% pool fee
+ * @param {BigNumber} amountIn - Input amount
+ * @param {BigNumber} reserveIn - Reserve of the input token
+ * @param {BigNumber} reserveOut - Reserve of the output token
+ * @returns {BigNumber} Output amount
+ */
+function getAmountOut(amountIn, reserveIn, reserveOut) {
+  if (reserveIn.isZero() || reserveOut.isZero()) {
+    return ethers.constants.Zero;
+  }
+
+  const amountInWithFee = amountIn.mul(997);
+  return amountInWithFee.mul(reserveOut).div(reserveIn.mul(1000).add(amountInWithFee));
+}
+
+/**
+ * Calculate the input a single swap needs for a given output, including the 0.3% pool fee
+ * @param {BigNumber} amountOut - Output amount
+ * @param {BigNumber} reserveIn - Reserve of the input token
+ * @param {BigNumber} reserveOut - Reserve of the output token
+ * @returns {BigNumber|null} Input amount, or null if the pool cannot pay out that much
+ */
+function getAmountIn(amountOut, reserveIn, reserveOut) {
+  if (reserveIn.isZero() || amountOut.gte(reserveOut)) {
+    return null;
+  }
+
+  return reserveIn.mul(amountOut).mul(1000).div(reserveOut.sub(amountOut).mul(997)).add(1);
+}
+
+/**
+ * List candidate paths between two tokens through the base tokens
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @returns {Array<Array<string>>} Candidate paths of up to MAX_HOPS swaps
+ */
+function getCandidatePaths(tokenIn, tokenOut) {
+  const isEndpoint = (address) => [tokenIn, tokenOut].some((token) => token.toLowerCase() === address.toLowerCase());
+  const bases = getBaseTokens().filter((base) => !isEndpoint(base));
+  const paths = [[tokenIn, tokenOut]];
+
+  for (const base of bases) {
+    paths.push([tokenIn, base, tokenOut]);
+  }
+
+  if (MAX_HOPS >= 3) {
+    for (const first of bases) {
+      for (const second of bases) {
+        if (first !== second) {
+          paths.push([tokenIn, first, second, tokenOut]);
+        }
+      }
+    }
+  }
+
+  return paths;
+}
+
+/**
+ * Get the reserves of a pair, reading each pair once per search
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {Map} reservesCache - Reserves already read during this search
+ * @returns {Promise<Object|null>} Reserves, or null if the pair does not exist
+ */
+async function getCachedReserves(tokenIn, tokenOut, reservesCache) {
+  const key = `${tokenIn}:${tokenOut}`.toLowerCase();
+  if (!reservesCache.has(key)) {
+    reservesCache.set(key, await getReserves(tokenIn, tokenOut));
+  }
+
+  return reservesCache.get(key);
+}
+
+/**
+ * Quote a path from pool reserves
+ * @param {Array<string>} path - Token addresses along the path
+ * @param {BigNumber} amountIn - Input amount
+ * @param {Map} reservesCache - Reserves already read during this search
+ * @returns {Promise<BigNumber|null>} Output amount, or null if a pair is missing
+ */
+async function quotePath(path, amountIn, reservesCache = new Map()) {
+  let amount = amountIn;
+
+  for (let i = 0; i < path.length - 1; i++) {
+    const reserves = await getCachedReserves(path[i], path[i + 1], reservesCache);
+    if (!reserves) return null;
+
+    amount = getAmountOut(amount, reserves.reserveIn, reserves.reserveOut);
+  }
+
+  return amount;
+}
+
+/**
+ * Quote the input a path needs for a given output, from pool reserves
+ * @param {Array<string>} path - Token addresses along the path
+ * @param {BigNumber} amountOut - Output amount
+ * @param {Map} reservesCache - Reserves already read during this search
+ * @returns {Promise<BigNumber|null>} Input amount, or null if a pair is missing or too shallow
+ */
+async function quotePathForOutput(path, amountOut, reservesCache = new Map()) {
+  let amount = amountOut;
+
+  for (let i = path.length - 1; i > 0; i--) {
+    const reserves = await getCachedReserves(path[i - 1], path[i], reservesCache);
+    if (!reserves) return null;
+
+    amount = getAmountIn(amount, reserves.reserveIn, reserves.reserveOut);
+    if (!amount) return null;
+  }
+
+  return amount;
+}
+
+/**
+ * Value the thinnest pool along a path in MON
+ * Each pool counts twice its reserve of the token on the MON side, priced at
+ * the spot rates of the pools between it and MON.
+ * @param {Array<string>} path - Token addresses along the path
+ * @param {Array<Object>} pools - Reserves of each swap, as returned by getReserves()
+ * @returns {BigNumber|null} Liquidity in wei, or null if the path neither starts nor ends with WMON
+ */
+function getLiquidityInMon(path, pools) {
+  const isWrappedMon = (address) => address.toLowerCase() === WRAPPED_MON_ADDRESS.toLowerCase();
+
+  // Reserves as [MON side, other side], walking away from MON
+  let hops;
+  if (isWrappedMon(path[0])) {
+    hops = pools.map(({ reserveIn, reserveOut }) => [reserveIn, reserveOut]);
+  } else if (isWrappedMon(path[path.length - 1])) {
+    hops = pools.map(({ reserveIn, reserveOut }) => [reserveOut, reserveIn]).reverse();
+  } else {
+    return null;
+  }
+
+  // Price in MON of the MON-side token of the current pool, as a fraction
+  let priceNumerator = ethers.constants.One;
+  let priceDenominator = ethers.constants.One;
+  let liquidity = null;
+
+  for (const [reserveNear, reserveFar] of hops) {
+    const value = reserveNear.mul(2).mul(priceNumerator).div(priceDenominator);
+    if (!liquidity || value.lt(liquidity)) {
+      liquidity = value;
+    }
+
+    if (reserveFar.isZero()) {
+      return ethers.constants.Zero;
+    }
+    priceNumerator = priceNumerator.mul(reserveNear);
+    priceDenominator = priceDenominator.mul(reserveFar);
+  }
+
+  return liquidity;
+}
+
+/**
+ * Quote a path with its price impact and pool depth
+ * The price impact is how much less the trade gets than at the current spot
+ * prices, after the pool fees.
+ * @param {Array<string>} path - Token addresses along the path
+ * @param {BigNumber} amountIn - Input amount
+ * @returns {Promise<Object>} Output amount, price impact in percent and liquidity in MON (wei, or null)
+ */
+async function getPathImpact(path, amountIn) {
+  try {
+    const pools = await Promise.all(path.slice(0, -1).map((token, i) => getReserves(token, path[i + 1])));
+    if (pools.some((reserves) => !reserves)) {
+      throw new Error('Pair does not exist');
+    }
+
+    let amountOut = amountIn;
+    let spotAmountOut = amountIn;
+    for (const { reserveIn, reserveOut } of pools) {
+      amountOut = getAmountOut(amountOut, reserveIn, reserveOut);
+      spotAmountOut = reserveIn.isZero()
+        ? ethers.constants.Zero
+        : spotAmountOut.mul(997).mul(reserveOut).div(reserveIn.mul(1000));
+    }
+
+    const priceImpactPercent = spotAmountOut.isZero() || amountOut.gte(spotAmountOut)
+      ? 0
+      : spotAmountOut.sub(amountOut).mul(10000).div(spotAmountOut).toNumber() / 100;
+
+    return {
+      amountOut,
+      priceImpactPercent,
+      liquidityMon: getLiquidityInMon(path, pools)
+    };
+  } catch (error) {
+    throw new Error(`Failed to get price impact: ${error.message}`);
+  }
+}
+
+/**
+ * Find the path with the best output between two tokens
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {BigNumber} amountIn - Input amount
+ * @returns {Promise<Object>} Best path and its quoted output amount
+ */
+async function findBestPath(tokenIn, tokenOut, amountIn) {
+  try {
+    let best = null;
+    const reservesCache = new Map();
+
+    for (const path of getCandidatePaths(tokenIn, tokenOut)) {
+      const amountOut = await quotePath(path, amountIn, reservesCache);
+
+      if (amountOut && amountOut.gt(0) && (!best || amountOut.gt(best.amountOut))) {
+        best = { path, amountOut };
+      }
+    }
+
+    if (!best) {
+      throw new Error('No liquidity route found');
+    }
+
+    return best;
+  } catch (error) {
+    throw new Error(`Failed to find route: ${error.message}`);
+  }
+}
+
+/**
+ * Find the path that needs the least input for a given output
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {BigNumber} amountOut - Output amount
+ * @returns {Promise<Object>} Best path and its quoted input amount
+ */
+async function findBestPathForOutput(tokenIn, tokenOut, amountOut) {
+  try {
+    let best = null;
+    const reservesCache = new Map();
+
+    for (const path of getCandidatePaths(tokenIn, tokenOut)) {
+      const amountIn = await quotePathForOutput(path, amountOut, reservesCache);
+
+      if (amountIn && (!best || amountIn.lt(best.amountIn))) {
+        best = { path, amountIn };
+      }
+    }
+
+    if (!best) {
+      throw new Error('Not enough liquidity for this amount');
+    }
+
+    return best;
+  } catch (error) {
+    throw new Error(`Failed to find route: ${error.message}`);
+  }
+}
+
+module.exports = {
+  getBaseTokens,
+  getPairAddress,
+  getReserves,
+  getAmountOut,
+  getPathImpact,
+  findBestPath,
+  findBestPathForOutput
+};
@@ -0,0 +1,149 @@
+/**
+ * Session utility functions for Monad Testnet Trading Bot
+ *
+ * Sessions hold each user's half-finished flow (buy, sell, swap, import...)
+ * and are kept in a pluggable store so they survive restarts. A backend is any
+ * object with async get(key), set(key, value, ttlMs) and delete(key) methods,
+ * which maps directly onto Redis-like stores.
+ */
+
+const dotenv = require('dotenv');
+const storageUtils = require('./storageUtils');
+
+// Load environment variables
+dotenv.config();
+
+const SESSIONS_FILE = 'sessions.json';
+
+// Sessions untouched for longer than this expire, in milliseconds
+const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_MS, 10) || 30 * 60 * 1000;
+
+/**
+ * Create a backend that keeps sessions in memory only
+ * @returns {Object} Session backend
+ */
+function createMemoryBackend() {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+
+      if (Date.now() > entry.expiresAt) {
+        entries.delete(key);
+        return undefined;
+      }
+
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+/**
+ * Create a backend that keeps sessions in a JSON file in the data directory
+ * @param {string} fileName - File name inside the data directory
+ * @returns {Object} Session backend
+ */
+function createFileBackend(fileName = SESSIONS_FILE) {
+  const entries = storageUtils.loadData(fileName, {});
+
+  const save = () => {
+    // Drop expired sessions whenever the file is written
+    const now = Date.now();
+    for (const key of Object.keys(entries)) {
+      if (now > entries[key].expiresAt) delete entries[key];
+    }
+
+    storageUtils.saveData(fileName, entries);
+  };
+
+  return {
+    async get(key) {
+      const entry = entries[key];
+      if (!entry) return undefined;
+
+      if (Date.now() > entry.expiresAt) {
+        delete entries[key];
+        save();
+        return undefined;
+      }
+
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      entries[key] = { value, expiresAt: Date.now() + ttlMs };
+      save();
+    },
+
+    async delete(key) {
+      if (!entries[key]) return;
+
+      delete entries[key];
+      save();
+    }
+  };
+}
+
+/**
+ * Create the backend selected by SESSION_STORE
+ * @returns {Object} Session backend
+ */
+function createDefaultBackend() {
+  const storeType = process.env.SESSION_STORE || 'file';
+
+  switch (storeType) {
+    case 'file':
+      return createFileBackend();
+    case 'memory':
+      return createMemoryBackend();
+    default:
+      throw new Error(`Unknown SESSION_STORE: ${storeType}`);
+  }
+}
+
+/**
+ * Create a session store
+ * Every write refreshes the session's expiry.
+ * @param {Object} backend - Session backend
+ * @param {number} ttlMs - Session lifetime in milliseconds
+ * @returns {Object} Session store
+ */
+function createSessionStore(backend = createDefaultBackend(), ttlMs = SESSION_TTL_MS) {
+  return {
+    /**
+     * Get a user's session
+     * @param {string} userId - Telegram user ID
+     * @returns {Promise<Object|undefined>} The session, or undefined if there is none or it expired
+     */
+    get: (userId) => backend.get(userId),
+
+    /**
+     * Replace a user's session
+     * @param {string} userId - Telegram user ID
+     * @param {Object} session - Session data; must be JSON-serializable
+     */
+    set: (userId, session) => backend.set(userId, session, ttlMs),
+
+    /**
+     * End a user's session
+     * @param {string} userId - Telegram user ID
+     */
+    delete: (userId) => backend.delete(userId)
+  };
+}
+
+module.exports = {
+  createMemoryBackend,
+  createFileBackend,
+  createSessionStore
+};
@@ -0,0 +1,232 @@
+/**
+ * Storage utility functions for Monad Testnet Trading Bot
+ *
+ * Each store (wallets, settings, orders...) is a named JSON document. The
+ * backend is chosen with STORAGE_BACKEND: 'json' keeps one file per document
+ * in the data directory, 'sqlite' keeps them in an SQLite database.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { logger } = require('./errorHandler');
+
+// Load environment variables
+dotenv.config();
+
+// Data directory shared by all stores
+const DATA_DIR = path.join(__dirname, '../../data');
+
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'json';
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(DATA_DIR, 'bot.sqlite');
+
+/**
+ * Create the data directory if it does not exist
+ */
+function ensureDataDir() {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+  }
+}
+
+/**
+ * Create a backend that keeps each document in its own JSON file
+ * Files are written to a temporary file first and renamed over the old one,
+ * so a crash mid-write never leaves a truncated file behind.
+ * @returns {Object} Storage backend
+ */
+function createJsonBackend() {
+  return {
+    load(fileName) {
+      const filePath = path.join(DATA_DIR, fileName);
+      if (!fs.existsSync(filePath)) return undefined;
+
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    },
+
+    save(fileName, data) {
+      ensureDataDir();
+
+      const filePath = path.join(DATA_DIR, fileName);
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+
+      const fd = fs.openSync(tempPath, 'w');
+      try {
+        fs.writeFileSync(fd, JSON.stringify(data, null, 2));
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(tempPath, filePath);
+    }
+  };
+}
+
+/**
+ * Get the SQLite document name of a store
+ * @param {string} fileName - Store file name, e.g. 'wallets.json'
+ * @returns {string} Document name, e.g. 'wallets'
+ */
+function toDocumentName(fileName) {
+  return fileName.replace(/\.json$/, '');
+}
+
+// Schema changes, applied in order and recorded in schema_migrations
+const SQLITE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create the documents table',
+    up(db) {
+      db.exec(`
+        CREATE TABLE documents (
+          name TEXT PRIMARY KEY,
+          data TEXT NOT NULL,
+          updated_at INTEGER NOT NULL
+        )
+      `);
+    }
+  },
+  {
+    version: 2,
+    description: 'Import the JSON data files',
+    up(db) {
+      // Runs once, when the database is created next to an existing JSON data directory
+      if (!fs.existsSync(DATA_DIR)) return;
+
+      const insert = db.prepare('INSERT INTO documents (name, data, updated_at) VALUES (?, ?, ?)');
+      const fileNames = fs.readdirSync(DATA_DIR).filter((fileName) => fileName.endsWith('.json'));
+
+      for (const fileName of fileNames) {
+        let data;
+        try {
+          data = JSON.parse(fs.readFileSync(path.join(DATA_DIR, fileName), 'utf8'));
+        } catch (error) {
+          throw new Error(`Cannot import ${fileName}: ${error.message}`);
+        }
+        insert.run(toDocumentName(fileName), JSON.stringify(data), Date.now());
+      }
+
+      if (fileNames.length > 0) {
+        logger.info(`Imported ${fileNames.join(', ')} into SQLite; the JSON files are no longer used`);
+      }
+    }
+  }
+];
+
+/**
+ * Apply the migrations the database has not seen yet
+ * Each migration runs in its own transaction together with its version record.
+ * @param {Database} db - SQLite database
+ */
+function migrate(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      applied_at INTEGER NOT NULL
+    )
+  `);
+
+  const { version: currentVersion } = db.prepare('SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations').get();
+  const recordVersion = db.prepare('INSERT INTO schema_migrations (version, applied_at) VALUES (?, ?)');
+
+  for (const migration of SQLITE_MIGRATIONS) {
+    if (migration.version <= currentVersion) continue;
+
+    db.transaction(() => {
+      migration.up(db);
+      recordVersion.run(migration.version, Date.now());
+    })();
+    logger.info(`Applied storage migration ${migration.version}: ${migration.description}`);
+  }
+}
+
+/**
+ * Create a backend that keeps documents in an SQLite database
+ * @returns {Object} Storage backend
+ */
+function createSqliteBackend() {
+  let Database;
+  try {
+    // Optional dependency, only needed for this backend
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('STORAGE_BACKEND=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  ensureDataDir();
+  const db = new Database(SQLITE_FILE);
+  db.pragma('journal_mode = WAL');
+  migrate(db);
+
+  const selectDocument = db.prepare('SELECT data FROM documents WHERE name = ?');
+  const upsertDocument = db.prepare(`
+    INSERT INTO documents (name, data, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT (name) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+  `);
+
+  return {
+    load(fileName) {
+      const row = selectDocument.get(toDocumentName(fileName));
+      return row ? JSON.parse(row.data) : undefined;
+    },
+
+    save(fileName, data) {
+      upsertDocument.run(toDocumentName(fileName), JSON.stringify(data), Date.now());
+    }
+  };
+}
+
+/**
+ * Create the backend selected by STORAGE_BACKEND
+ * @returns {Object} Storage backend
+ */
+function createBackend() {
+  switch (STORAGE_BACKEND) {
+    case 'json':
+      return createJsonBackend();
+    case 'sqlite':
+      return createSqliteBackend();
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${STORAGE_BACKEND}`);
+  }
+}
+
+const backend = createBackend();
+
+/**
+ * Load a stored document
+ * @param {string} fileName - Document file name, e.g. 'wallets.json'
+ * @param {*} fallback - Value returned when the document is missing or unreadable
+ * @returns {*} Parsed document
+ */
+function loadData(fileName, fallback) {
+  try {
+    const data = backend.load(fileName);
+    return data === undefined ? fallback : data;
+  } catch (error) {
+    logger.error(`Failed to load ${fileName}: ${error.message}`);
+    return fallback;
+  }
+}
+
+/**
+ * Save a document
+ * @param {string} fileName - Document file name, e.g. 'wallets.json'
+ * @param {*} data - Data to serialize
+ * @returns {boolean} True if the document was saved
+ */
+function saveData(fileName, data) {
+  try {
+    backend.save(fileName, data);
+    return true;
+  } catch (error) {
+    logger.error(`Failed to save ${fileName}: ${error.message}`);
+    return false;
+  }
+}
+
+module.exports = {
+  DATA_DIR,
+  loadData,
+  saveData
+};
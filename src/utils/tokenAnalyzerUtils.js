@@ -0,0 +1,249 @@
+/**
+ * Token analyzer utility functions for Monad Testnet Trading Bot
+ *
+ * Checks a token for common traps before it is bought: a buy followed by an
+ * immediate sell is simulated with eth_call to measure the buy and sell tax
+ * and to catch tokens that cannot be sold, and the bytecode is scanned for
+ * owner-only mint, pause and blacklist functions.
+ */
+
+const { ethers } = require('ethers');
+const dotenv = require('dotenv');
+const cacheUtils = require('./cacheUtils');
+const routerUtils = require('./routerUtils');
+const { provider } = require('./providerUtils');
+const { logger } = require('./errorHandler');
+const simulatorArtifact = require('../../contracts/TokenSimulator.json');
+
+// Load environment variables
+dotenv.config();
+
+// Contract addresses
+const UNISWAP_V2_ROUTER_ADDRESS = process.env.UNISWAP_V2_ROUTER;
+const WRAPPED_MON_ADDRESS = process.env.WRAPPED_MON;
+
+// MON spent in the simulated buy
+const TOKEN_ANALYSIS_AMOUNT = process.env.TOKEN_ANALYSIS_AMOUNT || '0.01';
+
+// How long an analysis is reused, in milliseconds
+const TOKEN_ANALYSIS_TTL_MS = parseInt(process.env.TOKEN_ANALYSIS_TTL_MS, 10) || 5 * 60 * 1000;
+
+// Gas available to the simulated buy and sell
+const SIMULATION_GAS_LIMIT = 5000000;
+
+// Address the simulation runs from when the node accepts a balance override.
+// Derived from a label so no token can have it on a fee or trading exemption list.
+const SIMULATION_ADDRESS = ethers.utils.getAddress(ethers.utils.hexDataSlice(ethers.utils.id('monad-testbot.simulation'), 12));
+
+// Taxes from these percentages up raise the risk level
+const MEDIUM_RISK_TAX_PERCENT = 5;
+const HIGH_RISK_TAX_PERCENT = 25;
+
+// Storage slot holding the implementation address of an EIP-1967 proxy
+const EIP1967_IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+
+// Owners that can no longer call anything
+const RENOUNCED_OWNERS = [
+  ethers.constants.AddressZero,
+  '0x000000000000000000000000000000000000dEaD'
+].map((address) => address.toLowerCase());
+
+// Owner-only functions looked for in the bytecode, by signature
+const PRIVILEGED_FUNCTIONS = {
+  canMint: ['mint(address,uint256)', 'mint(uint256)'],
+  canPause: ['pause()', 'setPaused(bool)'],
+  canBlacklist: ['blacklist(address)', 'addToBlacklist(address)', 'addBlacklist(address)', 'setBlacklist(address,bool)']
+};
+
+const ownerInterface = new ethers.utils.Interface(['function owner() view returns (address)']);
+const simulatorFactory = new ethers.ContractFactory(simulatorArtifact.abi, simulatorArtifact.bytecode);
+
+const analysisCache = cacheUtils.createCache({ ttlMs: TOKEN_ANALYSIS_TTL_MS });
+
+/**
+ * Check whether bytecode contains a function
+ * Looks for the PUSH4 of its selector, as emitted by the Solidity dispatcher.
+ * @param {string} code - Contract bytecode
+ * @param {string} signature - Function signature, e.g. 'pause()'
+ * @returns {boolean} True if the selector appears in the bytecode
+ */
+function hasFunction(code, signature) {
+  const selector = ethers.utils.id(signature).slice(2, 10);
+  return code.toLowerCase().includes(`63${selector}`);
+}
+
+/**
+ * Calculate how much of an expected amount was lost to a token tax
+ * @param {BigNumber} expected - Amount the pool quoted
+ * @param {BigNumber} received - Amount actually received
+ * @returns {number} Tax in percent
+ */
+function getTaxPercent(expected, received) {
+  if (expected.isZero() || received.gte(expected)) return 0;
+  return expected.sub(received).mul(10000).div(expected).toNumber() / 100;
+}
+
+/**
+ * Run the simulation from SIMULATION_ADDRESS, funded through a state override
+ * @param {string} data - Simulator init code
+ * @param {BigNumber} amount - MON spent in the simulated buy
+ * @returns {Promise<string>} Call result
+ */
+function callWithFundedAddress(data, amount) {
+  const transaction = {
+    from: SIMULATION_ADDRESS,
+    data,
+    value: ethers.utils.hexValue(amount),
+    gas: ethers.utils.hexValue(SIMULATION_GAS_LIMIT)
+  };
+  const overrides = {
+    [SIMULATION_ADDRESS]: { balance: ethers.utils.hexValue(amount.mul(2)) }
+  };
+
+  return provider.send('eth_call', [transaction, 'latest', overrides]);
+}
+
+/**
+ * Simulate buying a token and selling it straight back
+ * Runs TokenSimulator as the init code of an eth_call, so nothing is sent.
+ * The call runs from a fixed address given the simulated amount by a state
+ * override; nodes without state overrides run it from the wallet instead.
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} fromAddress - Wallet to fall back to; must then hold the simulated amount
+ * @returns {Promise<Object>} Whether the buy and sell went through, and their taxes in percent
+ */
+async function simulateRoundTrip(tokenAddress, fromAddress) {
+  const amount = ethers.utils.parseEther(TOKEN_ANALYSIS_AMOUNT);
+  const { path } = await routerUtils.findBestPath(WRAPPED_MON_ADDRESS, tokenAddress, amount);
+  const { data } = simulatorFactory.getDeployTransaction(UNISWAP_V2_ROUTER_ADDRESS, path);
+
+  let result;
+  try {
+    result = await callWithFundedAddress(data, amount);
+  } catch (error) {
+    logger.warn(`State override simulation failed for ${tokenAddress}, using the wallet: ${error.reason || error.message}`);
+    result = await provider.call({
+      from: fromAddress,
+      data,
+      value: amount,
+      gasLimit: SIMULATION_GAS_LIMIT
+    });
+  }
+
+  const [buyOk, expectedTokens, receivedTokens, sellOk, expectedMon, receivedMon] = ethers.utils.defaultAbiCoder.decode(
+    ['bool', 'uint256', 'uint256', 'bool', 'uint256', 'uint256'],
+    result
+  );
+
+  return {
+    buyOk,
+    sellOk,
+    buyTaxPercent: buyOk ? getTaxPercent(expectedTokens, receivedTokens) : null,
+    sellTaxPercent: sellOk ? getTaxPercent(expectedMon, receivedMon) : null
+  };
+}
+
+/**
+ * Inspect a token's bytecode for owner powers
+ * Proxies are followed to their implementation.
+ * @param {string} tokenAddress - Token contract address
+ * @returns {Promise<Object>} Proxy and owner status, and which privileged functions exist
+ */
+async function inspectContract(tokenAddress) {
+  const [proxyCode, implementationSlot] = await Promise.all([
+    provider.getCode(tokenAddress),
+    provider.getStorageAt(tokenAddress, EIP1967_IMPLEMENTATION_SLOT)
+  ]);
+  if (proxyCode === '0x') {
+    throw new Error('No contract at this address');
+  }
+
+  // Nodes may return the slot without its leading zeros
+  const implementation = ethers.utils.hexDataSlice(ethers.utils.hexZeroPad(implementationSlot, 32), 12);
+  const isProxy = implementation !== ethers.constants.AddressZero;
+  const code = isProxy ? await provider.getCode(implementation) : proxyCode;
+
+  let owner = null;
+  if (hasFunction(code, 'owner()')) {
+    owner = await new ethers.Contract(tokenAddress, ownerInterface, provider).owner().catch(() => null);
+  }
+
+  const contract = {
+    isProxy,
+    owner,
+    ownerRenounced: !owner || RENOUNCED_OWNERS.includes(owner.toLowerCase())
+  };
+  for (const [power, signatures] of Object.entries(PRIVILEGED_FUNCTIONS)) {
+    contract[power] = signatures.some((signature) => hasFunction(code, signature));
+  }
+
+  return contract;
+}
+
+/**
+ * Rate the findings of an analysis
+ * @param {Object} simulation - Result of simulateRoundTrip(), or null if it failed
+ * @param {Object} contract - Result of inspectContract()
+ * @returns {Object} Risk level (low, medium or high) and the warnings behind it
+ */
+function rateRisk(simulation, contract) {
+  const high = [];
+  const medium = [];
+
+  if (!simulation) {
+    medium.push('Could not simulate a buy and sell');
+  } else if (!simulation.buyOk) {
+    high.push('Buying reverts');
+  } else if (!simulation.sellOk) {
+    high.push('Selling reverts: likely a honeypot');
+  }
+
+  if (simulation) {
+    const taxes = [['Buy', simulation.buyTaxPercent], ['Sell', simulation.sellTaxPercent]];
+    for (const [side, tax] of taxes) {
+      if (tax >= HIGH_RISK_TAX_PERCENT) high.push(`${side} tax of ${tax}%`);
+      else if (tax >= MEDIUM_RISK_TAX_PERCENT) medium.push(`${side} tax of ${tax}%`);
+    }
+  }
+
+  if (contract.isProxy) medium.push('Upgradeable proxy: the code can be changed');
+  if (!contract.ownerRenounced) {
+    if (contract.canMint) medium.push('Owner can mint new tokens');
+    if (contract.canPause) medium.push('Owner can pause trading');
+    if (contract.canBlacklist) medium.push('Owner can blacklist holders');
+  }
+
+  const level = high.length > 0 ? 'high' : medium.length > 0 ? 'medium' : 'low';
+  return { level, warnings: [...high, ...medium] };
+}
+
+/**
+ * Analyze a token before buying it
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} fromAddress - Wallet the trade simulation runs from
+ * @returns {Promise<Object>} Simulation and contract findings, risk level and warnings
+ */
+function analyzeToken(tokenAddress, fromAddress) {
+  const key = `${tokenAddress}:${fromAddress}`.toLowerCase();
+
+  return analysisCache.getOrLoad(key, async () => {
+    try {
+      const [simulation, contract] = await Promise.all([
+        simulateRoundTrip(tokenAddress, fromAddress).catch((error) => {
+          // ethers errors repeat the whole call in their message
+          logger.warn(`Trade simulation failed for ${tokenAddress}: ${error.reason || error.message}`);
+          return null;
+        }),
+        inspectContract(tokenAddress)
+      ]);
+
+      return { simulation, contract, ...rateRisk(simulation, contract) };
+    } catch (error) {
+      throw new Error(`Failed to analyze token: ${error.message}`);
+    }
+  });
+}
+
+module.exports = {
+  analyzeToken
+};
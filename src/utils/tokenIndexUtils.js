@@ -0,0 +1,200 @@
+/**
+ * Token index utility functions for Monad Testnet Trading Bot
+ *
+ * Discovers the tokens a wallet holds from ERC20 Transfer logs instead of
+ * the MonadScan API, and reads their balances through Multicall3.
+ * MonadScan is only used for metadata the token contract does not expose,
+ * and to seed a new wallet with tokens received before the scanned window.
+ */
+
+const { ethers } = require('ethers');
+const dotenv = require('dotenv');
+const storageUtils = require('./storageUtils');
+const monadScanUtils = require('./monadScanUtils');
+const historyUtils = require('./historyUtils');
+const multicallUtils = require('./multicallUtils');
+const { provider } = require('./providerUtils');
+const { logger } = require('./errorHandler');
+
+// Load environment variables
+dotenv.config();
+
+const INDEX_FILE = 'token-index.json';
+
+// Blocks per eth_getLogs request; lower this if the RPC rejects the range
+const BLOCK_RANGE = parseInt(process.env.TOKEN_INDEX_BLOCK_RANGE, 10) || 1000;
+
+// How far back a new wallet is scanned, and the longest gap caught up on
+const LOOKBACK_BLOCKS = parseInt(process.env.TOKEN_INDEX_LOOKBACK_BLOCKS, 10) || 10000;
+
+const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+
+const ERC20_ABI = [
+  'function balanceOf(address owner) view returns (uint256)'
+];
+
+const erc20Interface = new ethers.utils.Interface(ERC20_ABI);
+
+// Per-wallet token sets and the last block scanned, keyed by lowercase address
+const index = storageUtils.loadData(INDEX_FILE, {});
+
+/**
+ * Save the index to file
+ */
+function saveIndex() {
+  storageUtils.saveData(INDEX_FILE, index);
+}
+
+/**
+ * Get the index entry of a wallet, creating it if needed
+ * @param {string} walletAddress - Wallet address
+ * @returns {Object} Last scanned block and known token addresses
+ */
+function getWalletIndex(walletAddress) {
+  const key = walletAddress.toLowerCase();
+  if (!index[key]) {
+    index[key] = { lastBlock: null, tokens: [] };
+  }
+  return index[key];
+}
+
+/**
+ * Add tokens to a wallet's token set
+ * @param {string} walletAddress - Wallet address
+ * @param {Array<string>} tokenAddresses - Token contract addresses
+ */
+function addTokens(walletAddress, tokenAddresses) {
+  const walletIndex = getWalletIndex(walletAddress);
+  const known = new Set(walletIndex.tokens.map((address) => address.toLowerCase()));
+
+  for (const tokenAddress of tokenAddresses) {
+    if (!known.has(tokenAddress.toLowerCase())) {
+      walletIndex.tokens.push(ethers.utils.getAddress(tokenAddress));
+      known.add(tokenAddress.toLowerCase());
+    }
+  }
+
+  saveIndex();
+}
+
+/**
+ * Seed a newly indexed wallet with the tokens it held before the scanned window
+ * The first log scan only reaches LOOKBACK_BLOCKS back, so older holdings are
+ * taken from the MonadScan token list and the wallet's recorded trades.
+ * @param {string} walletAddress - Wallet address
+ */
+async function seedTokens(walletAddress) {
+  const scanTokens = await monadScanUtils.getWalletTokens(walletAddress);
+  const tradeTokens = historyUtils.getWalletTrades(walletAddress)
+    .flatMap((trade) => [trade.tokenIn.address, trade.tokenOut.address]);
+
+  const found = [...scanTokens.map((token) => token.address || token.contractAddress), ...tradeTokens]
+    .filter((address) => address && ethers.utils.isAddress(address));
+  addTokens(walletAddress, found);
+}
+
+/**
+ * Scan new Transfer logs to and from a wallet and add the tokens found
+ * @param {string} walletAddress - Wallet address
+ */
+async function scanTransfers(walletAddress) {
+  const walletIndex = getWalletIndex(walletAddress);
+  const latestBlock = await provider.getBlockNumber();
+
+  if (walletIndex.lastBlock === null) {
+    await seedTokens(walletAddress);
+  }
+
+  // After a long gap only the most recent blocks are scanned; tokens found earlier stay indexed
+  const nextBlock = walletIndex.lastBlock === null ? 0 : walletIndex.lastBlock + 1;
+  const fromBlock = Math.max(nextBlock, latestBlock - LOOKBACK_BLOCKS + 1, 0);
+
+  const walletTopic = ethers.utils.hexZeroPad(walletAddress, 32);
+  const found = [];
+
+  for (let start = fromBlock; start <= latestBlock; start += BLOCK_RANGE) {
+    const end = Math.min(start + BLOCK_RANGE - 1, latestBlock);
+    const [incoming, outgoing] = await Promise.all([
+      provider.getLogs({ fromBlock: start, toBlock: end, topics: [TRANSFER_TOPIC, null, walletTopic] }),
+      provider.getLogs({ fromBlock: start, toBlock: end, topics: [TRANSFER_TOPIC, walletTopic] })
+    ]);
+
+    // ERC721 transfers share the signature but index the token ID as a fourth topic
+    for (const log of [...incoming, ...outgoing]) {
+      if (log.topics.length === 3) found.push(log.address);
+    }
+
+    walletIndex.lastBlock = end;
+  }
+
+  addTokens(walletAddress, found);
+}
+
+/**
+ * Get token metadata from the contract, falling back to MonadScan
+ * @param {string} tokenAddress - Token contract address
+ * @returns {Promise<Object|null>} Symbol, name and decimals, or null if unknown
+ */
+async function getTokenMetadata(tokenAddress) {
+  try {
+    return await multicallUtils.getTokenMetadata(tokenAddress);
+  } catch (error) {
+    const details = await monadScanUtils.getTokenDetails(tokenAddress);
+    if (details.decimals === undefined) return null;
+
+    return {
+      symbol: details.symbol || '???',
+      name: details.name || 'Unknown token',
+      decimals: parseInt(details.decimals, 10)
+    };
+  }
+}
+
+/**
+ * Get the ERC20 tokens held by a wallet
+ * @param {string} walletAddress - Wallet address
+ * @returns {Promise<Array<Object>>} Tokens with a non-zero balance
+ */
+async function getWalletTokens(walletAddress) {
+  try {
+    // Known tokens can still be listed if the log scan fails
+    try {
+      await scanTransfers(walletAddress);
+    } catch (error) {
+      logger.warn(`Token index scan failed for ${walletAddress}: ${error.message}`);
+    } finally {
+      saveIndex();
+    }
+
+    // Contracts that emit Transfer without being ERC20 tokens are skipped
+    const tokenAddresses = getWalletIndex(walletAddress).tokens;
+    const balances = await Promise.all(tokenAddresses.map((tokenAddress) => (
+      multicallUtils.call(tokenAddress, erc20Interface, 'balanceOf', [walletAddress])
+        .catch(() => ethers.constants.Zero)
+    )));
+
+    const held = tokenAddresses.filter((tokenAddress, i) => !balances[i].isZero());
+    const heldBalances = balances.filter((balance) => !balance.isZero());
+    const metadata = await Promise.all(held.map(getTokenMetadata));
+
+    const tokens = [];
+    for (let i = 0; i < held.length; i++) {
+      if (!metadata[i]) continue;
+
+      tokens.push({
+        address: held[i],
+        ...metadata[i],
+        balance: ethers.utils.formatUnits(heldBalances[i], metadata[i].decimals)
+      });
+    }
+
+    return tokens;
+  } catch (error) {
+    throw new Error(`Failed to get wallet tokens: ${error.message}`);
+  }
+}
+
+module.exports = {
+  addTokens,
+  getWalletTokens
+};
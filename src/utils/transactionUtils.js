@@ -0,0 +1,432 @@
+/**
+ * Transaction utility functions for Monad Testnet Trading Bot
+ *
+ * Sent transactions are watched in the background until they are mined and
+ * confirmed, revert, or have their nonce taken by another transaction. While
+ * a transaction is pending it can be sped up or cancelled, which resends its
+ * nonce with higher fees.
+ */
+
+const { ethers } = require('ethers');
+const dotenv = require('dotenv');
+const keystoreUtils = require('./keystoreUtils');
+const gasUtils = require('./gasUtils');
+const nonceUtils = require('./nonceUtils');
+const { provider } = require('./providerUtils');
+const { logger } = require('./errorHandler');
+
+// Load environment variables
+dotenv.config();
+
+// Blocks (including its own) a transaction needs before it counts as confirmed
+const TX_CONFIRMATIONS = parseInt(process.env.TX_CONFIRMATIONS, 10) || 2;
+
+// How long a transaction may stay pending before it is reported as stuck, in milliseconds
+const TX_TIMEOUT_MS = parseInt(process.env.TX_TIMEOUT_MS, 10) || 2 * 60 * 1000;
+
+// Fee increase of a speed-up or cancel transaction, in percent; nodes require at least 10
+const TX_REPLACEMENT_FEE_BUMP_PERCENT = parseInt(process.env.TX_REPLACEMENT_FEE_BUMP_PERCENT, 10) || 25;
+
+// A transaction still pending this many timeouts after it was last sent is given up on
+const GIVE_UP_AFTER_TIMEOUTS = 10;
+
+const POLL_INTERVAL_MS = 1000;
+
+// Gas limit of a plain MON transfer, used for cancellations
+const CANCEL_GAS_LIMIT = 21000;
+
+// Selectors of the Error(string) and Panic(uint256) revert payloads
+const ERROR_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+// Watched transactions by ID
+const watched = new Map();
+
+/**
+ * Get the short ID of a transaction, small enough for button callback data
+ * @param {string} txHash - Hash of the first transaction sent with the nonce
+ * @returns {string} Transaction ID
+ */
+function getTransactionId(txHash) {
+  return txHash.slice(0, 18);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Call a status listener, logging rather than throwing its errors
+ * @param {Function} listener - Status listener
+ * @param {Object} status - Status to report
+ */
+async function notify(listener, status) {
+  try {
+    await listener(status);
+  } catch (error) {
+    logger.warn(`Transaction status listener failed: ${error.message}`);
+  }
+}
+
+/**
+ * Record a new status and report it to the listeners
+ * Reports are delivered one after another, so listeners see them in order.
+ * @param {Object} entry - Watched transaction
+ * @param {Object} status - New status
+ */
+function setStatus(entry, status) {
+  entry.status = status;
+
+  const listeners = [...entry.listeners];
+  entry.notifications = entry.notifications.then(() => (
+    Promise.all(listeners.map((listener) => notify(listener, status)))
+  ));
+}
+
+/**
+ * Decode the reason from revert data
+ * @param {string} data - Revert data returned by the node
+ * @returns {string|null} Reason, or null if the data carries none
+ */
+function decodeRevertData(data) {
+  if (typeof data !== 'string') return null;
+
+  try {
+    if (data.startsWith(ERROR_SELECTOR)) {
+      const [reason] = ethers.utils.defaultAbiCoder.decode(['string'], `0x${data.slice(10)}`);
+      return reason;
+    }
+    if (data.startsWith(PANIC_SELECTOR)) {
+      const [code] = ethers.utils.defaultAbiCoder.decode(['uint256'], `0x${data.slice(10)}`);
+      return `Panic(${code.toHexString()})`;
+    }
+  } catch (error) {
+    return null;
+  }
+
+  return null;
+}
+
+/**
+ * Find the revert reason in a failed call's error
+ * ethers does not always surface the revert data, so the nested errors and
+ * the raw JSON-RPC response body are searched as well.
+ * @param {Error} error - Error thrown by the call
+ * @returns {string|null} Reason, or null if the error carries none
+ */
+function getErrorRevertReason(error) {
+  for (let current = error; current; current = current.error) {
+    const reason = decodeRevertData(current.data);
+    if (reason) return reason;
+
+    if (typeof current.body === 'string') {
+      try {
+        const body = JSON.parse(current.body);
+        const bodyReason = body.error && decodeRevertData(body.error.data);
+        if (bodyReason) return bodyReason;
+
+        // Some nodes only put the reason in the message, e.g. 'execution reverted: UniswapV2: K'
+        const messageReason = body.error && /revert(?:ed)?:? (.+)$/.exec(body.error.message || '');
+        if (messageReason) return messageReason[1];
+      } catch (parseError) {
+        // Not a JSON-RPC response
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Work out why a mined transaction reverted
+ * The transaction is replayed as a call against the block it was mined in.
+ * @param {Object} tx - The reverted transaction
+ * @param {Object} receipt - Its receipt
+ * @returns {Promise<string>} Revert reason
+ */
+async function getRevertReason(tx, receipt) {
+  if (receipt.gasUsed.gte(tx.gasLimit)) {
+    return 'out of gas';
+  }
+
+  try {
+    const result = await provider.call({
+      from: tx.from,
+      to: tx.to,
+      data: tx.data,
+      value: tx.value,
+      gasLimit: tx.gasLimit
+    }, receipt.blockNumber);
+    return decodeRevertData(result) || 'reverted without a reason';
+  } catch (error) {
+    return getErrorRevertReason(error) || 'reverted without a reason';
+  }
+}
+
+/**
+ * Get the receipt of whichever transaction sent with the nonce was mined
+ * @param {Object} entry - Watched transaction
+ * @returns {Promise<Object|null>} Receipt, or null while none is mined
+ */
+async function findReceipt(entry) {
+  const receipts = await Promise.all(entry.sent.map(({ tx }) => provider.getTransactionReceipt(tx.hash)));
+  return receipts.find(Boolean) || null;
+}
+
+/**
+ * Poll until a transaction sent with the nonce is mined
+ * @param {Object} entry - Watched transaction
+ * @returns {Promise<Object>} Receipt
+ */
+async function waitForReceipt(entry) {
+  for (;;) {
+    await sleep(POLL_INTERVAL_MS);
+
+    const pendingFor = Date.now() - entry.lastSentAt;
+    if (pendingFor > TX_TIMEOUT_MS * GIVE_UP_AFTER_TIMEOUTS) {
+      const reason = `Not mined after ${Math.round(pendingFor / 60000)} minutes; check the explorer before trying again`;
+      // Later sends must not wait behind this nonce if the node no longer has it
+      nonceUtils.resetNonce(entry.from);
+      setStatus(entry, { status: 'dropped', hash: entry.status.hash, reason });
+      throw new Error(reason);
+    }
+    if (pendingFor > TX_TIMEOUT_MS && entry.status.status !== 'stuck') {
+      setStatus(entry, { status: 'stuck', hash: entry.status.hash });
+    }
+
+    let nonceTaken = false;
+    try {
+      const receipt = await findReceipt(entry);
+      if (receipt) return receipt;
+
+      // The nonce can also be used up by a transaction sent from elsewhere
+      const nonce = await provider.getTransactionCount(entry.from, 'latest');
+      if (nonce > entry.nonce) {
+        const lateReceipt = await findReceipt(entry);
+        if (lateReceipt) return lateReceipt;
+        nonceTaken = true;
+      }
+    } catch (error) {
+      logger.warn(`Failed to check transaction ${entry.status.hash}: ${error.message}`);
+    }
+
+    if (nonceTaken) {
+      const reason = 'Replaced by another transaction from this wallet';
+      setStatus(entry, { status: 'dropped', hash: entry.status.hash, reason });
+      throw new Error(reason);
+    }
+  }
+}
+
+/**
+ * Poll until a mined transaction has enough confirmations
+ * @param {Object} receipt - Receipt of the mined transaction
+ */
+async function waitForConfirmations(receipt) {
+  for (;;) {
+    try {
+      const blockNumber = await provider.getBlockNumber();
+      if (blockNumber - receipt.blockNumber + 1 >= TX_CONFIRMATIONS) return;
+    } catch (error) {
+      logger.warn(`Failed to check confirmations of ${receipt.transactionHash}: ${error.message}`);
+    }
+
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Follow a watched transaction until it settles
+ * @param {Object} entry - Watched transaction
+ * @returns {Promise<Object>} Receipt of the confirmed transaction
+ */
+async function followTransaction(entry) {
+  const receipt = await waitForReceipt(entry);
+  const hash = receipt.transactionHash;
+  const { tx, cancel } = entry.sent.find((sent) => sent.tx.hash === hash);
+
+  if (receipt.status === 0) {
+    const reason = await getRevertReason(tx, receipt);
+    setStatus(entry, { status: 'failed', hash, reason });
+    throw new Error(`Transaction reverted: ${reason}`);
+  }
+
+  if (cancel) {
+    setStatus(entry, { status: 'cancelled', hash });
+    throw new Error('Transaction was cancelled');
+  }
+
+  setStatus(entry, { status: 'mined', hash, blockNumber: receipt.blockNumber });
+  await waitForConfirmations(receipt);
+  setStatus(entry, { status: 'confirmed', hash, blockNumber: receipt.blockNumber, confirmations: TX_CONFIRMATIONS });
+
+  return receipt;
+}
+
+/**
+ * Start watching a sent transaction
+ * @param {Object} tx - Transaction response returned when it was sent
+ * @returns {string} Transaction hash
+ */
+function watchTransaction(tx) {
+  const entry = {
+    id: getTransactionId(tx.hash),
+    from: tx.from,
+    nonce: tx.nonce,
+    sent: [{ tx, cancel: false }],
+    lastSentAt: Date.now(),
+    status: { status: 'pending', hash: tx.hash },
+    listeners: new Set(),
+    notifications: Promise.resolve()
+  };
+  watched.set(entry.id, entry);
+
+  // Settle only once every listener has seen the final status
+  entry.result = followTransaction(entry).finally(() => {
+    watched.delete(entry.id);
+    return entry.notifications;
+  });
+  // Nobody may be waiting for the result; failures are reported to those who are
+  entry.result.catch(() => {});
+
+  return tx.hash;
+}
+
+/**
+ * Wait for a watched transaction to be confirmed
+ * Statuses reported to the listener: pending, resent (sped up or cancelling),
+ * stuck, mined, confirmed, failed (with the revert reason), cancelled and dropped.
+ * @param {string} txHash - Hash returned when the transaction was sent
+ * @param {Function} onStatus - Optional listener, called with each status starting with the current one
+ * @returns {Promise<Object>} Receipt of the confirmed transaction, which may be a sped-up copy
+ */
+function waitForTransaction(txHash, onStatus) {
+  const entry = watched.get(getTransactionId(txHash));
+  if (!entry) {
+    return Promise.reject(new Error('Transaction is not being watched'));
+  }
+
+  if (onStatus) {
+    const status = entry.status;
+    entry.listeners.add(onStatus);
+    entry.notifications = entry.notifications.then(() => notify(onStatus, status));
+  }
+
+  return entry.result;
+}
+
+/**
+ * Get a transaction that is still being watched
+ * @param {string} txId - Transaction ID from getTransactionId()
+ * @returns {Object|null} Sender, nonce and current status, or null once it settled
+ */
+function getPendingTransaction(txId) {
+  const entry = watched.get(txId);
+  if (!entry) return null;
+
+  return { from: entry.from, nonce: entry.nonce, status: entry.status };
+}
+
+/**
+ * Get fees high enough for a node to accept a replacement transaction
+ * @param {Object} tx - Transaction being replaced
+ * @returns {Promise<Object>} Fee overrides
+ */
+async function getReplacementFees(tx) {
+  const bump = (fee) => fee.mul(100 + TX_REPLACEMENT_FEE_BUMP_PERCENT).div(100);
+  const max = (a, b) => (a.gt(b) ? a : b);
+
+  // Never pay less than the current fast fees, in case the network got busier
+  const fast = await gasUtils.getFeeOverrides('fast');
+
+  if (tx.maxFeePerGas) {
+    return {
+      maxFeePerGas: max(bump(tx.maxFeePerGas), fast.maxFeePerGas || fast.gasPrice),
+      maxPriorityFeePerGas: max(bump(tx.maxPriorityFeePerGas), fast.maxPriorityFeePerGas || fast.gasPrice)
+    };
+  }
+
+  return { gasPrice: max(bump(tx.gasPrice), fast.gasPrice || fast.maxFeePerGas) };
+}
+
+/**
+ * Resend a pending transaction's nonce with higher fees
+ * @param {Object} walletRecord - Sender's stored (encrypted) wallet record
+ * @param {string} txId - Transaction ID from getTransactionId()
+ * @param {boolean} cancel - Send an empty transfer to self instead of the original call
+ * @param {string} passphrase - Wallet passphrase, if protected
+ * @returns {Promise<string>} Hash of the replacement transaction
+ */
+async function replaceTransaction(walletRecord, txId, cancel, passphrase) {
+  const entry = watched.get(txId);
+  if (!entry) {
+    throw new Error('This transaction is no longer pending');
+  }
+  if (entry.from.toLowerCase() !== walletRecord.address.toLowerCase()) {
+    throw new Error('This transaction was sent from another wallet');
+  }
+
+  const privateKey = keystoreUtils.decryptPrivateKey(walletRecord, passphrase);
+  const wallet = new ethers.Wallet(privateKey, provider);
+
+  // Speeding up a cancellation keeps it a cancellation
+  const latest = entry.sent[entry.sent.length - 1];
+  const isCancel = cancel || latest.cancel;
+  const request = isCancel
+    ? { to: wallet.address, value: 0, data: '0x', gasLimit: CANCEL_GAS_LIMIT }
+    : { to: latest.tx.to, value: latest.tx.value, data: latest.tx.data, gasLimit: latest.tx.gasLimit };
+
+  const tx = await wallet.sendTransaction({
+    ...request,
+    nonce: entry.nonce,
+    ...(await getReplacementFees(latest.tx))
+  });
+
+  entry.sent.push({ tx, cancel: isCancel });
+  entry.lastSentAt = Date.now();
+  setStatus(entry, { status: 'resent', hash: tx.hash, cancel: isCancel });
+
+  return tx.hash;
+}
+
+/**
+ * Speed up a pending transaction by resending it with higher fees
+ * @param {Object} walletRecord - Sender's stored (encrypted) wallet record
+ * @param {string} txId - Transaction ID from getTransactionId()
+ * @param {Object} options - Options
+ * @param {string} options.passphrase - Wallet passphrase, if protected
+ * @returns {Promise<string>} Hash of the replacement transaction
+ */
+async function speedUpTransaction(walletRecord, txId, options = {}) {
+  try {
+    return await replaceTransaction(walletRecord, txId, false, options.passphrase);
+  } catch (error) {
+    throw new Error(`Failed to speed up transaction: ${error.message}`);
+  }
+}
+
+/**
+ * Cancel a pending transaction by replacing it with an empty transfer to self
+ * @param {Object} walletRecord - Sender's stored (encrypted) wallet record
+ * @param {string} txId - Transaction ID from getTransactionId()
+ * @param {Object} options - Options
+ * @param {string} options.passphrase - Wallet passphrase, if protected
+ * @returns {Promise<string>} Hash of the cancelling transaction
+ */
+async function cancelTransaction(walletRecord, txId, options = {}) {
+  try {
+    return await replaceTransaction(walletRecord, txId, true, options.passphrase);
+  } catch (error) {
+    throw new Error(`Failed to cancel transaction: ${error.message}`);
+  }
+}
+
+module.exports = {
+  TX_CONFIRMATIONS,
+  TX_TIMEOUT_MS,
+  getTransactionId,
+  getErrorRevertReason,
+  watchTransaction,
+  waitForTransaction,
+  getPendingTransaction,
+  speedUpTransaction,
+  cancelTransaction
+};
@@ -4,17 +4,37 @@
 
 const { ethers } = require('ethers');
 const dotenv = require('dotenv');
+const keystoreUtils = require('./keystoreUtils');
+const gasUtils = require('./gasUtils');
+const routerUtils = require('./routerUtils');
+const multicallUtils = require('./multicallUtils');
+const nonceUtils = require('./nonceUtils');
+const transactionUtils = require('./transactionUtils');
+const tokenAnalyzerUtils = require('./tokenAnalyzerUtils');
+const { provider } = require('./providerUtils');
 
 // Load environment variables
 dotenv.config();
 
-// Initialize provider
-const provider = new ethers.providers.JsonRpcProvider(process.env.MONAD_TESTNET_RPC);
-
 // Contract addresses
 const UNISWAP_V2_ROUTER_ADDRESS = process.env.UNISWAP_V2_ROUTER;
 const WRAPPED_MON_ADDRESS = process.env.WRAPPED_MON;
 
+// Default trade protection, used when the user has no settings of their own
+const DEFAULT_SLIPPAGE_BPS = 500; // 5%
+const DEFAULT_DEADLINE_MINUTES = 20;
+const MAX_SLIPPAGE_BPS = 5000; // 50%
+
+// Price impact in percent from which a trade is warned about, and from which it is refused
+const PRICE_IMPACT_WARNING_PERCENT = parseFloat(process.env.PRICE_IMPACT_WARNING_PERCENT) || 3;
+const PRICE_IMPACT_MAX_PERCENT = parseFloat(process.env.PRICE_IMPACT_MAX_PERCENT) || 15;
+
+// MON amount used to pick the route whose liquidity is shown on a token card
+const LIQUIDITY_REFERENCE_MON = '1';
+
+// Gas assumed for a token swap that cannot be simulated before its approval is mined
+const SELL_GAS_FALLBACK = 250000;
+
 // ABIs
 const ERC20_ABI = [
   'function balanceOf(address owner) view returns (uint256)',
@@ -22,24 +42,236 @@ const ERC20_ABI = [
   'function symbol() view returns (string)',
   'function name() view returns (string)',
   'function allowance(address owner, address spender) view returns (uint256)',
-  'function approve(address spender, uint256 amount) returns (bool)'
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+];
+
+const WRAPPED_MON_ABI = [
+  'event Withdrawal(address indexed src, uint256 wad)'
 ];
 
 const UNISWAP_V2_ROUTER_ABI = [
   'function getAmountsOut(uint amountIn, address[] memory path) public view returns (uint[] memory amounts)',
+  'function getAmountsIn(uint amountOut, address[] memory path) public view returns (uint[] memory amounts)',
+  'function swapETHForExactTokens(uint amountOut, address[] calldata path, address to, uint deadline) external payable returns (uint[] memory amounts)',
+  'function swapTokensForExactETH(uint amountOut, uint amountInMax, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)',
   'function swapExactETHForTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable returns (uint[] memory amounts)',
-  'function swapExactTokensForETH(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)'
+  'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) external payable',
+  'function swapExactTokensForETH(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)',
+  'function swapExactTokensForETHSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external',
+  'function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)',
+  'function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external'
 ];
 
-const UNISWAP_V2_FACTORY_ABI = [
-  'function getPair(address tokenA, address tokenB) external view returns (address pair)'
-];
+const erc20Interface = new ethers.utils.Interface(ERC20_ABI);
+const wrappedMonInterface = new ethers.utils.Interface(WRAPPED_MON_ABI);
+const TRANSFER_TOPIC = erc20Interface.getEventTopic('Transfer');
+const WITHDRAWAL_TOPIC = wrappedMonInterface.getEventTopic('Withdrawal');
 
-const UNISWAP_V2_PAIR_ABI = [
-  'function token0() external view returns (address)',
-  'function token1() external view returns (address)',
-  'function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)'
-];
+/**
+ * Check that a slippage setting is within bounds
+ * @param {number} slippageBps - Allowed slippage in basis points
+ */
+function validateSlippage(slippageBps) {
+  if (!Number.isInteger(slippageBps) || slippageBps < 0 || slippageBps > MAX_SLIPPAGE_BPS) {
+    throw new Error(`Slippage must be between 0 and ${MAX_SLIPPAGE_BPS / 100}%`);
+  }
+}
+
+/**
+ * Reduce a quoted amount by the allowed slippage
+ * @param {BigNumber} amount - Quoted output amount
+ * @param {number} slippageBps - Allowed slippage in basis points
+ * @returns {BigNumber} Minimum acceptable output amount
+ */
+function applySlippage(amount, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+  validateSlippage(slippageBps);
+  
+  return amount.mul(10000 - slippageBps).div(10000);
+}
+
+/**
+ * Raise a quoted input amount by the allowed slippage
+ * @param {BigNumber} amount - Quoted input amount
+ * @param {number} slippageBps - Allowed slippage in basis points
+ * @returns {BigNumber} Maximum acceptable input amount
+ */
+function addSlippage(amount, slippageBps = DEFAULT_SLIPPAGE_BPS) {
+  validateSlippage(slippageBps);
+  
+  return amount.mul(10000 + slippageBps).div(10000);
+}
+
+/**
+ * Get the swap deadline timestamp
+ * @param {number} deadlineMinutes - Minutes from now
+ * @returns {number} Unix timestamp in seconds
+ */
+function getDeadline(deadlineMinutes = DEFAULT_DEADLINE_MINUTES) {
+  return Math.floor(Date.now() / 1000) + 60 * deadlineMinutes;
+}
+
+/**
+ * Approve the router to spend a token if the current allowance is too low
+ * The approval is watched like any other transaction, so it can be sped up or
+ * cancelled while pending and a dropped approval fails instead of hanging.
+ * @param {Contract} tokenContract - Token contract connected to the owner's wallet
+ * @param {BigNumber} amount - Amount the router needs to spend
+ * @param {Object} feeOverrides - Fee overrides from gasUtils.getFeeOverrides()
+ * @param {Function} onApprovalSent - Optional, called with the approval's hash once it is sent
+ */
+async function approveRouter(tokenContract, amount, feeOverrides, onApprovalSent) {
+  const owner = await tokenContract.signer.getAddress();
+  const allowance = await tokenContract.allowance(owner, UNISWAP_V2_ROUTER_ADDRESS);
+  if (allowance.gte(amount)) return;
+  
+  const approveGas = await tokenContract.estimateGas.approve(
+    UNISWAP_V2_ROUTER_ADDRESS,
+    ethers.constants.MaxUint256
+  );
+  const approveTx = await nonceUtils.sendTransaction(owner, (nonce) => tokenContract.approve(
+    UNISWAP_V2_ROUTER_ADDRESS,
+    ethers.constants.MaxUint256,
+    { gasLimit: gasUtils.addGasMargin(approveGas), ...feeOverrides, nonce }
+  ));
+  
+  const approveHash = transactionUtils.watchTransaction(approveTx);
+  if (onApprovalSent) onApprovalSent(approveHash);
+  
+  try {
+    await transactionUtils.waitForTransaction(approveHash);
+  } catch (error) {
+    throw new Error(`Token approval failed: ${error.message}`);
+  }
+}
+
+/**
+ * Reduce a quoted amount by a token's transfer tax
+ * @param {BigNumber} amount - Quoted output amount
+ * @param {number|null} taxPercent - Tax in percent, or null if unknown
+ * @returns {BigNumber} Amount expected after the tax
+ */
+function deductTax(amount, taxPercent) {
+  if (!taxPercent) return amount;
+  
+  return amount.mul(10000 - Math.round(taxPercent * 100)).div(10000);
+}
+
+/**
+ * Get the tax a token takes when bought or sold, from its trade simulation
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} fromAddress - Wallet the simulation runs from
+ * @param {string} side - 'buy' or 'sell'
+ * @returns {Promise<number|null>} Tax in percent, or null if it could not be measured
+ */
+async function getTransferTaxPercent(tokenAddress, fromAddress, side) {
+  try {
+    const { simulation } = await tokenAnalyzerUtils.analyzeToken(tokenAddress, fromAddress);
+    if (!simulation) return null;
+    
+    const taxPercent = side === 'buy' ? simulation.buyTaxPercent : simulation.sellTaxPercent;
+    return taxPercent === undefined ? null : taxPercent;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Refuse an exact-output trade of a token that takes a transfer tax
+ * The router has no fee-on-transfer variant of these swaps, and the tax would
+ * leave the output short of the exact amount.
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} fromAddress - Wallet the trade simulation runs from
+ * @param {string} side - 'buy' or 'sell'
+ */
+async function assertNoTransferTax(tokenAddress, fromAddress, side) {
+  const taxPercent = await getTransferTaxPercent(tokenAddress, fromAddress, side);
+  if (taxPercent === null) {
+    throw new Error('The transfer tax of this token is unknown, so an exact amount cannot be guaranteed. Trade a fixed input amount instead');
+  }
+  if (taxPercent > 0) {
+    throw new Error('Exact amounts are not supported for tokens with a transfer tax');
+  }
+}
+
+/**
+ * Check whether a swap reverted because a token took a fee on transfer
+ * The pair then receives less than the router sent it, which breaks its
+ * constant-product check.
+ * @param {Error} error - Error thrown by the swap's gas estimate
+ * @returns {boolean} True if the revert is the pair's K check
+ */
+function isFeeOnTransferRevert(error) {
+  const reason = transactionUtils.getErrorRevertReason(error);
+  return Boolean(reason) && /(^|: )K$/.test(reason);
+}
+
+/**
+ * Pick the router method for a swap and estimate its gas
+ * Tokens that take a fee on transfer make the plain swap revert, or pay out
+ * less than its minimum without noticing, so the fee-on-transfer variant is
+ * used when the token is known to be taxed or the plain swap reverts in the
+ * pair's K check. Other failures are passed on as they are.
+ * @param {Contract} routerContract - Router contract
+ * @param {string} method - Plain router method, e.g. 'swapExactTokensForTokens'
+ * @param {Array} swapArgs - Arguments of the router method
+ * @param {Object} overrides - Call overrides, e.g. the sender address
+ * @param {boolean} feeOnTransfer - Whether the token is known to take a fee on transfer
+ * @returns {Promise<Object>} Router method name and gas estimate
+ */
+async function estimateSwap(routerContract, method, swapArgs, overrides = {}, feeOnTransfer = false) {
+  const feeOnTransferMethod = `${method}SupportingFeeOnTransferTokens`;
+  
+  if (feeOnTransfer) {
+    const gasEstimate = await routerContract.estimateGas[feeOnTransferMethod](...swapArgs, overrides);
+    return { method: feeOnTransferMethod, gasEstimate };
+  }
+  
+  try {
+    const gasEstimate = await routerContract.estimateGas[method](...swapArgs, overrides);
+    return { method, gasEstimate };
+  } catch (error) {
+    if (!isFeeOnTransferRevert(error)) throw error;
+  }
+  
+  // The token is taxed but its tax could not be measured, so the minimum output was not reduced for it
+  try {
+    const gasEstimate = await routerContract.estimateGas[feeOnTransferMethod](...swapArgs, overrides);
+    return { method: feeOnTransferMethod, gasEstimate };
+  } catch (error) {
+    throw new Error('This token takes a transfer tax that could not be measured and is larger than your slippage. Raise the slippage to trade it');
+  }
+}
+
+/**
+ * Get the amount a swap paid out, from its receipt
+ * Tokens are counted from their Transfer events to the recipient, so a
+ * fee-on-transfer token's tax is left out, as in a balance delta. MON is
+ * unwrapped by the router before it is sent on, so it is counted from the
+ * router's WMON withdrawals.
+ * @param {Object} receipt - Transaction receipt
+ * @param {string|null} tokenAddress - Token received, or null for MON
+ * @param {string} recipient - Address the swap paid out to
+ * @returns {BigNumber} Amount received, in the token's smallest unit
+ */
+function getReceivedAmount(receipt, tokenAddress, recipient) {
+  const isSameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+  let received = ethers.constants.Zero;
+  
+  for (const log of receipt.logs) {
+    if (!tokenAddress) {
+      if (isSameAddress(log.address, WRAPPED_MON_ADDRESS) && log.topics[0] === WITHDRAWAL_TOPIC) {
+        const { src, wad } = wrappedMonInterface.parseLog(log).args;
+        if (isSameAddress(src, UNISWAP_V2_ROUTER_ADDRESS)) received = received.add(wad);
+      }
+    } else if (isSameAddress(log.address, tokenAddress) && log.topics[0] === TRANSFER_TOPIC) {
+      const { to, value } = erc20Interface.parseLog(log).args;
+      if (isSameAddress(to, recipient)) received = received.add(value);
+    }
+  }
+  
+  return received;
+}
 
 /**
  * Get token information
@@ -48,14 +280,8 @@ const UNISWAP_V2_PAIR_ABI = [
  */
 async function getTokenInfo(tokenAddress) {
   try {
-    const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
-    
-    // Get token details
-    const [decimals, symbol, name] = await Promise.all([
-      tokenContract.decimals(),
-      tokenContract.symbol(),
-      tokenContract.name()
-    ]);
+    // Get token details, batched and cached
+    const { decimals, symbol, name } = await multicallUtils.getTokenMetadata(tokenAddress);
     
     return {
       address: tokenAddress,
@@ -87,31 +313,166 @@ async function getTokenPrice(tokenAddress) {
     
     // Calculate price for 1 token
     const amountIn = ethers.utils.parseUnits('1', tokenInfo.decimals);
-    const path = [tokenAddress, WRAPPED_MON_ADDRESS];
+    const { path } = await routerUtils.findBestPath(tokenAddress, WRAPPED_MON_ADDRESS, amountIn);
     
     const amounts = await routerContract.getAmountsOut(amountIn, path);
-    const monAmount = ethers.utils.formatEther(amounts[1]);
+    const monAmount = ethers.utils.formatEther(amounts[amounts.length - 1]);
     
     return {
       tokenSymbol: tokenInfo.symbol,
       tokenName: tokenInfo.name,
-      priceInMON: monAmount
+      priceInMON: monAmount,
+      path
     };
   } catch (error) {
     throw new Error(`Failed to get token price: ${error.message}`);
   }
 }
 
+/**
+ * Quote a trade with its price impact, minimum received and pool liquidity
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {BigNumber} amountIn - Input amount
+ * @param {number} outDecimals - Decimals of the output token
+ * @param {number} slippageBps - Allowed slippage in basis points
+ * @returns {Promise<Object>} Formatted amounts, price impact in percent and route
+ */
+async function getTradeQuote(tokenIn, tokenOut, amountIn, outDecimals, slippageBps) {
+  const { path } = await routerUtils.findBestPath(tokenIn, tokenOut, amountIn);
+  const { amountOut, priceImpactPercent, liquidityMon } = await routerUtils.getPathImpact(path, amountIn);
+  
+  return {
+    amountOut: ethers.utils.formatUnits(amountOut, outDecimals),
+    minimumReceived: ethers.utils.formatUnits(applySlippage(amountOut, slippageBps), outDecimals),
+    priceImpactPercent,
+    liquidityMon: liquidityMon ? ethers.utils.formatEther(liquidityMon) : null,
+    path
+  };
+}
+
+/**
+ * Quote buying a token with MON
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} monAmount - Amount of MON to spend
+ * @param {number} slippageBps - Allowed slippage in basis points
+ * @returns {Promise<Object>} Expected tokens, minimum received, price impact and pool liquidity in MON
+ */
+async function getBuyQuote(tokenAddress, monAmount, slippageBps) {
+  try {
+    const { decimals } = await multicallUtils.getTokenMetadata(tokenAddress);
+    return await getTradeQuote(WRAPPED_MON_ADDRESS, tokenAddress, ethers.utils.parseEther(monAmount), decimals, slippageBps);
+  } catch (error) {
+    throw new Error(`Failed to get buy quote: ${error.message}`);
+  }
+}
+
+/**
+ * Quote selling a token for MON
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} tokenAmount - Amount of token to sell
+ * @param {number} slippageBps - Allowed slippage in basis points
+ * @returns {Promise<Object>} Expected MON, minimum received, price impact and pool liquidity in MON
+ */
+async function getSellQuote(tokenAddress, tokenAmount, slippageBps) {
+  try {
+    const { decimals } = await multicallUtils.getTokenMetadata(tokenAddress);
+    return await getTradeQuote(tokenAddress, WRAPPED_MON_ADDRESS, ethers.utils.parseUnits(tokenAmount, decimals), 18, slippageBps);
+  } catch (error) {
+    throw new Error(`Failed to get sell quote: ${error.message}`);
+  }
+}
+
+/**
+ * Quote an exact-output trade with its price impact, maximum spent and pool liquidity
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {BigNumber} amountOut - Exact output amount
+ * @param {number} inDecimals - Decimals of the input token
+ * @param {number} slippageBps - Allowed slippage in basis points
+ * @returns {Promise<Object>} Formatted input amounts, price impact in percent and route
+ */
+async function getExactOutputQuote(tokenIn, tokenOut, amountOut, inDecimals, slippageBps) {
+  const { path, amountIn } = await routerUtils.findBestPathForOutput(tokenIn, tokenOut, amountOut);
+  const { priceImpactPercent, liquidityMon } = await routerUtils.getPathImpact(path, amountIn);
+  
+  return {
+    amountIn: ethers.utils.formatUnits(amountIn, inDecimals),
+    maximumSpent: ethers.utils.formatUnits(addSlippage(amountIn, slippageBps), inDecimals),
+    priceImpactPercent,
+    liquidityMon: liquidityMon ? ethers.utils.formatEther(liquidityMon) : null,
+    path
+  };
+}
+
+/**
+ * Quote buying an exact amount of a token
+ * @param {string} fromAddress - Wallet that would buy, for the transfer tax check
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} tokenAmount - Amount of token to receive
+ * @param {number} slippageBps - Allowed slippage in basis points
+ * @returns {Promise<Object>} Expected and maximum MON spent, price impact and pool liquidity in MON
+ */
+async function getExactBuyQuote(fromAddress, tokenAddress, tokenAmount, slippageBps) {
+  try {
+    await assertNoTransferTax(tokenAddress, fromAddress, 'buy');
+    
+    const { decimals } = await multicallUtils.getTokenMetadata(tokenAddress);
+    return await getExactOutputQuote(WRAPPED_MON_ADDRESS, tokenAddress, ethers.utils.parseUnits(tokenAmount, decimals), 18, slippageBps);
+  } catch (error) {
+    throw new Error(`Failed to get buy quote: ${error.message}`);
+  }
+}
+
+/**
+ * Quote selling a token for an exact amount of MON
+ * @param {string} fromAddress - Wallet that would sell, for the transfer tax check
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} monAmount - Amount of MON to receive
+ * @param {number} slippageBps - Allowed slippage in basis points
+ * @returns {Promise<Object>} Expected and maximum tokens sold, price impact and pool liquidity in MON
+ */
+async function getExactSellQuote(fromAddress, tokenAddress, monAmount, slippageBps) {
+  try {
+    await assertNoTransferTax(tokenAddress, fromAddress, 'sell');
+    
+    const { decimals } = await multicallUtils.getTokenMetadata(tokenAddress);
+    return await getExactOutputQuote(tokenAddress, WRAPPED_MON_ADDRESS, ethers.utils.parseEther(monAmount), decimals, slippageBps);
+  } catch (error) {
+    throw new Error(`Failed to get sell quote: ${error.message}`);
+  }
+}
+
+/**
+ * Get the liquidity backing a token's price
+ * @param {string} tokenAddress - Token contract address
+ * @returns {Promise<string|null>} Liquidity in MON of the thinnest pool on the buy route
+ */
+async function getTokenLiquidity(tokenAddress) {
+  try {
+    const { liquidityMon } = await getBuyQuote(tokenAddress, LIQUIDITY_REFERENCE_MON);
+    return liquidityMon;
+  } catch (error) {
+    throw new Error(`Failed to get liquidity: ${error.message}`);
+  }
+}
+
 /**
  * Buy token with MON
- * @param {string} privateKey - Buyer's private key
+ * @param {Object} walletRecord - Buyer's stored (encrypted) wallet record
  * @param {string} tokenAddress - Token contract address
  * @param {string} monAmount - Amount of MON to spend
- * @returns {Promise<string>} Transaction hash
+ * @param {Object} options - Swap options
+ * @param {string} options.passphrase - Wallet passphrase, if protected
+ * @param {number} options.slippageBps - Allowed slippage in basis points
+ * @param {number} options.deadlineMinutes - Minutes until the swap expires
+ * @param {string} options.feePreset - Fee preset (slow, normal or fast)
+ * @returns {Promise<string>} Transaction hash, as soon as it is sent
  */
-async function buyToken(privateKey, tokenAddress, monAmount) {
+async function buyToken(walletRecord, tokenAddress, monAmount, options = {}) {
   try {
-    // Initialize wallet and contracts
+    // Decrypt the key and initialize wallet and contracts
+    const privateKey = keystoreUtils.decryptPrivateKey(walletRecord, options.passphrase);
     const wallet = new ethers.Wallet(privateKey, provider);
     const routerContract = new ethers.Contract(
       UNISWAP_V2_ROUTER_ADDRESS,
@@ -123,25 +484,33 @@ async function buyToken(privateKey, tokenAddress, monAmount) {
     const monAmountWei = ethers.utils.parseEther(monAmount);
     
     // Set up swap parameters
-    const path = [WRAPPED_MON_ADDRESS, tokenAddress];
+    const { path } = await routerUtils.findBestPath(WRAPPED_MON_ADDRESS, tokenAddress, monAmountWei);
     const to = wallet.address;
-    const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 minutes from now
+    const deadline = getDeadline(options.deadlineMinutes);
     
-    // Calculate minimum amount out (with 5% slippage)
+    // Calculate minimum amount out after any buy tax, with the allowed slippage
     const amounts = await routerContract.getAmountsOut(monAmountWei, path);
-    const amountOutMin = amounts[1].mul(95).div(100); // 5% slippage
+    const taxPercent = await getTransferTaxPercent(tokenAddress, wallet.address, 'buy');
+    const amountOutMin = applySlippage(deductTax(amounts[amounts.length - 1], taxPercent), options.slippageBps);
+    const swapArgs = [amountOutMin, path, to, deadline];
     
-    // Execute swap
-    const tx = await routerContract.swapExactETHForTokens(
-      amountOutMin,
-      path,
-      to,
-      deadline,
-      { value: monAmountWei, gasLimit: 500000 }
+    // Pick the swap method, estimate gas with a safety margin and apply the chosen fees
+    const { method, gasEstimate } = await estimateSwap(
+      routerContract,
+      'swapExactETHForTokens',
+      swapArgs,
+      { value: monAmountWei },
+      taxPercent > 0
     );
+    const feeOverrides = await gasUtils.getFeeOverrides(options.feePreset);
+    
+    // Execute swap
+    const tx = await nonceUtils.sendTransaction(wallet.address, (nonce) => routerContract[method](
+      ...swapArgs,
+      { value: monAmountWei, gasLimit: gasUtils.addGasMargin(gasEstimate), ...feeOverrides, nonce }
+    ));
     
-    await tx.wait();
-    return tx.hash;
+    return transactionUtils.watchTransaction(tx);
   } catch (error) {
     throw new Error(`Failed to buy token: ${error.message}`);
   }
@@ -149,14 +518,21 @@ async function buyToken(privateKey, tokenAddress, monAmount) {
 
 /**
  * Sell token for MON
- * @param {string} privateKey - Seller's private key
+ * @param {Object} walletRecord - Seller's stored (encrypted) wallet record
  * @param {string} tokenAddress - Token contract address
  * @param {string} tokenAmount - Amount of token to sell
- * @returns {Promise<string>} Transaction hash
+ * @param {Object} options - Swap options
+ * @param {string} options.passphrase - Wallet passphrase, if protected
+ * @param {number} options.slippageBps - Allowed slippage in basis points
+ * @param {number} options.deadlineMinutes - Minutes until the swap expires
+ * @param {string} options.feePreset - Fee preset (slow, normal or fast)
+ * @param {Function} options.onApprovalSent - Called with the hash of a token approval sent first
+ * @returns {Promise<string>} Transaction hash, as soon as it is sent
  */
-async function sellToken(privateKey, tokenAddress, tokenAmount) {
+async function sellToken(walletRecord, tokenAddress, tokenAmount, options = {}) {
   try {
-    // Initialize wallet and contracts
+    // Decrypt the key and initialize wallet and contracts
+    const privateKey = keystoreUtils.decryptPrivateKey(walletRecord, options.passphrase);
     const wallet = new ethers.Wallet(privateKey, provider);
     const routerContract = new ethers.Contract(
       UNISWAP_V2_ROUTER_ADDRESS,
@@ -166,50 +542,555 @@ async function sellToken(privateKey, tokenAddress, tokenAmount) {
     const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
     
     // Get token decimals
-    const decimals = await tokenContract.decimals();
+    const { decimals } = await multicallUtils.getTokenMetadata(tokenAddress);
     
     // Convert token amount to wei
     const tokenAmountWei = ethers.utils.parseUnits(tokenAmount, decimals);
     
+    const feeOverrides = await gasUtils.getFeeOverrides(options.feePreset);
+    
     // Check allowance and approve if needed
-    const allowance = await tokenContract.allowance(wallet.address, UNISWAP_V2_ROUTER_ADDRESS);
-    if (allowance.lt(tokenAmountWei)) {
-      const approveTx = await tokenContract.approve(
-        UNISWAP_V2_ROUTER_ADDRESS,
-        ethers.constants.MaxUint256
-      );
-      await approveTx.wait();
-    }
+    await approveRouter(tokenContract, tokenAmountWei, feeOverrides, options.onApprovalSent);
     
     // Set up swap parameters
-    const path = [tokenAddress, WRAPPED_MON_ADDRESS];
+    const { path } = await routerUtils.findBestPath(tokenAddress, WRAPPED_MON_ADDRESS, tokenAmountWei);
     const to = wallet.address;
-    const deadline = Math.floor(Date.now() / 1000) + 60 * 20; // 20 minutes from now
+    const deadline = getDeadline(options.deadlineMinutes);
     
-    // Calculate minimum amount out (with 5% slippage)
+    // Calculate minimum amount out after any sell tax, with the allowed slippage
     const amounts = await routerContract.getAmountsOut(tokenAmountWei, path);
-    const amountOutMin = amounts[1].mul(95).div(100); // 5% slippage
+    const taxPercent = await getTransferTaxPercent(tokenAddress, wallet.address, 'sell');
+    const amountOutMin = applySlippage(deductTax(amounts[amounts.length - 1], taxPercent), options.slippageBps);
+    const swapArgs = [tokenAmountWei, amountOutMin, path, to, deadline];
+    
+    // Pick the swap method and estimate gas with a safety margin
+    const { method, gasEstimate } = await estimateSwap(
+      routerContract,
+      'swapExactTokensForETH',
+      swapArgs,
+      {},
+      taxPercent > 0
+    );
     
     // Execute swap
-    const tx = await routerContract.swapExactTokensForETH(
-      tokenAmountWei,
-      amountOutMin,
+    const tx = await nonceUtils.sendTransaction(wallet.address, (nonce) => routerContract[method](
+      ...swapArgs,
+      { gasLimit: gasUtils.addGasMargin(gasEstimate), ...feeOverrides, nonce }
+    ));
+    
+    return transactionUtils.watchTransaction(tx);
+  } catch (error) {
+    throw new Error(`Failed to sell token: ${error.message}`);
+  }
+}
+
+/**
+ * Buy an exact amount of a token with MON
+ * At most the quoted MON plus the allowed slippage is sent; the router refunds what is not used.
+ * @param {Object} walletRecord - Buyer's stored (encrypted) wallet record
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} tokenAmount - Amount of token to receive
+ * @param {Object} options - Swap options
+ * @param {string} options.passphrase - Wallet passphrase, if protected
+ * @param {number} options.slippageBps - Allowed slippage in basis points
+ * @param {number} options.deadlineMinutes - Minutes until the swap expires
+ * @param {string} options.feePreset - Fee preset (slow, normal or fast)
+ * @returns {Promise<string>} Transaction hash, as soon as it is sent
+ */
+async function buyExactTokens(walletRecord, tokenAddress, tokenAmount, options = {}) {
+  try {
+    // Decrypt the key and initialize wallet and contracts
+    const privateKey = keystoreUtils.decryptPrivateKey(walletRecord, options.passphrase);
+    const wallet = new ethers.Wallet(privateKey, provider);
+    const routerContract = new ethers.Contract(
+      UNISWAP_V2_ROUTER_ADDRESS,
+      UNISWAP_V2_ROUTER_ABI,
+      wallet
+    );
+    
+    // Convert token amount to wei
+    const { decimals } = await multicallUtils.getTokenMetadata(tokenAddress);
+    const amountOut = ethers.utils.parseUnits(tokenAmount, decimals);
+    
+    await assertNoTransferTax(tokenAddress, wallet.address, 'buy');
+    
+    // Set up swap parameters
+    const { path } = await routerUtils.findBestPathForOutput(WRAPPED_MON_ADDRESS, tokenAddress, amountOut);
+    const to = wallet.address;
+    const deadline = getDeadline(options.deadlineMinutes);
+    
+    // Calculate maximum MON in with the allowed slippage
+    const amounts = await routerContract.getAmountsIn(amountOut, path);
+    const amountInMax = addSlippage(amounts[0], options.slippageBps);
+    
+    // Estimate gas with a safety margin and apply the chosen fees
+    const gasEstimate = await routerContract.estimateGas.swapETHForExactTokens(
+      amountOut,
+      path,
+      to,
+      deadline,
+      { value: amountInMax }
+    );
+    const feeOverrides = await gasUtils.getFeeOverrides(options.feePreset);
+    
+    // Execute swap
+    const tx = await nonceUtils.sendTransaction(wallet.address, (nonce) => routerContract.swapETHForExactTokens(
+      amountOut,
       path,
       to,
       deadline,
-      { gasLimit: 500000 }
+      { value: amountInMax, gasLimit: gasUtils.addGasMargin(gasEstimate), ...feeOverrides, nonce }
+    ));
+    
+    return transactionUtils.watchTransaction(tx);
+  } catch (error) {
+    throw new Error(`Failed to buy token: ${error.message}`);
+  }
+}
+
+/**
+ * Sell a token for an exact amount of MON
+ * At most the quoted tokens plus the allowed slippage are sold.
+ * @param {Object} walletRecord - Seller's stored (encrypted) wallet record
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} monAmount - Amount of MON to receive
+ * @param {Object} options - Swap options
+ * @param {string} options.passphrase - Wallet passphrase, if protected
+ * @param {number} options.slippageBps - Allowed slippage in basis points
+ * @param {number} options.deadlineMinutes - Minutes until the swap expires
+ * @param {string} options.feePreset - Fee preset (slow, normal or fast)
+ * @param {Function} options.onApprovalSent - Called with the hash of a token approval sent first
+ * @returns {Promise<string>} Transaction hash, as soon as it is sent
+ */
+async function sellForExactMon(walletRecord, tokenAddress, monAmount, options = {}) {
+  try {
+    // Decrypt the key and initialize wallet and contracts
+    const privateKey = keystoreUtils.decryptPrivateKey(walletRecord, options.passphrase);
+    const wallet = new ethers.Wallet(privateKey, provider);
+    const routerContract = new ethers.Contract(
+      UNISWAP_V2_ROUTER_ADDRESS,
+      UNISWAP_V2_ROUTER_ABI,
+      wallet
     );
+    const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
+    
+    // Convert MON amount to wei
+    const amountOut = ethers.utils.parseEther(monAmount);
+    
+    await assertNoTransferTax(tokenAddress, wallet.address, 'sell');
+    
+    // Set up swap parameters
+    const { path } = await routerUtils.findBestPathForOutput(tokenAddress, WRAPPED_MON_ADDRESS, amountOut);
+    const to = wallet.address;
+    const deadline = getDeadline(options.deadlineMinutes);
+    
+    // Calculate maximum tokens in with the allowed slippage
+    const amounts = await routerContract.getAmountsIn(amountOut, path);
+    const amountInMax = addSlippage(amounts[0], options.slippageBps);
+    
+    const feeOverrides = await gasUtils.getFeeOverrides(options.feePreset);
+    
+    // Check allowance and approve if needed
+    await approveRouter(tokenContract, amountInMax, feeOverrides, options.onApprovalSent);
+    
+    // Estimate gas with a safety margin
+    const gasEstimate = await routerContract.estimateGas.swapTokensForExactETH(
+      amountOut,
+      amountInMax,
+      path,
+      to,
+      deadline
+    );
+    
+    // Execute swap
+    const tx = await nonceUtils.sendTransaction(wallet.address, (nonce) => routerContract.swapTokensForExactETH(
+      amountOut,
+      amountInMax,
+      path,
+      to,
+      deadline,
+      { gasLimit: gasUtils.addGasMargin(gasEstimate), ...feeOverrides, nonce }
+    ));
     
-    await tx.wait();
-    return tx.hash;
+    return transactionUtils.watchTransaction(tx);
   } catch (error) {
     throw new Error(`Failed to sell token: ${error.message}`);
   }
 }
 
+/**
+ * Quote a token-to-token swap
+ * @param {string} tokenIn - Address of the token to swap from
+ * @param {string} tokenOut - Address of the token to swap to
+ * @param {string} amountIn - Amount of the input token
+ * @returns {Promise<Object>} Token info, route and expected output amount
+ */
+async function getSwapQuote(tokenIn, tokenOut, amountIn) {
+  try {
+    const routerContract = new ethers.Contract(
+      UNISWAP_V2_ROUTER_ADDRESS,
+      UNISWAP_V2_ROUTER_ABI,
+      provider
+    );
+    
+    const [tokenInInfo, tokenOutInfo] = await Promise.all([
+      getTokenInfo(tokenIn),
+      getTokenInfo(tokenOut)
+    ]);
+    
+    const amountInWei = ethers.utils.parseUnits(amountIn, tokenInInfo.decimals);
+    const { path } = await routerUtils.findBestPath(tokenIn, tokenOut, amountInWei);
+    const amounts = await routerContract.getAmountsOut(amountInWei, path);
+    
+    return {
+      tokenIn: tokenInInfo,
+      tokenOut: tokenOutInfo,
+      amountIn,
+      amountOut: ethers.utils.formatUnits(amounts[amounts.length - 1], tokenOutInfo.decimals),
+      path
+    };
+  } catch (error) {
+    throw new Error(`Failed to get swap quote: ${error.message}`);
+  }
+}
+
+/**
+ * Swap one token for another without going through MON
+ * @param {Object} walletRecord - Trader's stored (encrypted) wallet record
+ * @param {string} tokenIn - Address of the token to swap from
+ * @param {string} tokenOut - Address of the token to swap to
+ * @param {string} amountIn - Amount of the input token
+ * @param {Object} options - Swap options
+ * @param {string} options.passphrase - Wallet passphrase, if protected
+ * @param {number} options.slippageBps - Allowed slippage in basis points
+ * @param {number} options.deadlineMinutes - Minutes until the swap expires
+ * @param {string} options.feePreset - Fee preset (slow, normal or fast)
+ * @param {Function} options.onApprovalSent - Called with the hash of a token approval sent first
+ * @returns {Promise<string>} Transaction hash, as soon as it is sent
+ */
+async function swapTokens(walletRecord, tokenIn, tokenOut, amountIn, options = {}) {
+  try {
+    // Decrypt the key and initialize wallet and contracts
+    const privateKey = keystoreUtils.decryptPrivateKey(walletRecord, options.passphrase);
+    const wallet = new ethers.Wallet(privateKey, provider);
+    const routerContract = new ethers.Contract(
+      UNISWAP_V2_ROUTER_ADDRESS,
+      UNISWAP_V2_ROUTER_ABI,
+      wallet
+    );
+    const tokenContract = new ethers.Contract(tokenIn, ERC20_ABI, wallet);
+    
+    // Convert input amount to wei
+    const { decimals } = await multicallUtils.getTokenMetadata(tokenIn);
+    const amountInWei = ethers.utils.parseUnits(amountIn, decimals);
+    
+    const feeOverrides = await gasUtils.getFeeOverrides(options.feePreset);
+    
+    // Check allowance and approve if needed
+    await approveRouter(tokenContract, amountInWei, feeOverrides, options.onApprovalSent);
+    
+    // Set up swap parameters
+    const { path } = await routerUtils.findBestPath(tokenIn, tokenOut, amountInWei);
+    const amounts = await routerContract.getAmountsOut(amountInWei, path);
+    const swapArgs = [
+      amountInWei,
+      applySlippage(amounts[amounts.length - 1], options.slippageBps),
+      path,
+      wallet.address,
+      getDeadline(options.deadlineMinutes)
+    ];
+    
+    // Estimate gas with a safety margin
+    const { method, gasEstimate } = await estimateSwap(routerContract, 'swapExactTokensForTokens', swapArgs);
+    
+    // Execute swap
+    const tx = await nonceUtils.sendTransaction(wallet.address, (nonce) => routerContract[method](
+      ...swapArgs,
+      { gasLimit: gasUtils.addGasMargin(gasEstimate), ...feeOverrides, nonce }
+    ));
+    
+    return transactionUtils.watchTransaction(tx);
+  } catch (error) {
+    throw new Error(`Failed to swap tokens: ${error.message}`);
+  }
+}
+
+/**
+ * Estimate the network fee of buying a token with MON
+ * @param {string} fromAddress - Buyer's address
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} monAmount - Amount of MON to spend
+ * @param {Object} options - Swap options (slippageBps, deadlineMinutes, feePreset)
+ * @returns {Promise<Object>} Gas limit and expected/maximum cost in MON
+ */
+async function estimateBuyFee(fromAddress, tokenAddress, monAmount, options = {}) {
+  try {
+    const routerContract = new ethers.Contract(
+      UNISWAP_V2_ROUTER_ADDRESS,
+      UNISWAP_V2_ROUTER_ABI,
+      provider
+    );
+    
+    const monAmountWei = ethers.utils.parseEther(monAmount);
+    const { path } = await routerUtils.findBestPath(WRAPPED_MON_ADDRESS, tokenAddress, monAmountWei);
+    const amounts = await routerContract.getAmountsOut(monAmountWei, path);
+    const taxPercent = await getTransferTaxPercent(tokenAddress, fromAddress, 'buy');
+    
+    const { gasEstimate } = await estimateSwap(routerContract, 'swapExactETHForTokens', [
+      applySlippage(deductTax(amounts[amounts.length - 1], taxPercent), options.slippageBps),
+      path,
+      fromAddress,
+      getDeadline(options.deadlineMinutes)
+    ], { value: monAmountWei, from: fromAddress }, taxPercent > 0);
+    
+    const gasLimit = gasUtils.addGasMargin(gasEstimate);
+    const feeOverrides = await gasUtils.getFeeOverrides(options.feePreset);
+    
+    return {
+      gasLimit: gasLimit.toString(),
+      ...(await gasUtils.estimateCost(gasLimit, feeOverrides))
+    };
+  } catch (error) {
+    throw new Error(`Failed to estimate fee: ${error.message}`);
+  }
+}
+
+/**
+ * Estimate the network fee of selling a token for MON, including any approval
+ * @param {string} fromAddress - Seller's address
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} tokenAmount - Amount of token to sell
+ * @param {Object} options - Swap options (slippageBps, deadlineMinutes, feePreset)
+ * @returns {Promise<Object>} Gas limit, expected/maximum cost in MON and whether an approval is needed
+ */
+async function estimateSellFee(fromAddress, tokenAddress, tokenAmount, options = {}) {
+  try {
+    const routerContract = new ethers.Contract(
+      UNISWAP_V2_ROUTER_ADDRESS,
+      UNISWAP_V2_ROUTER_ABI,
+      provider
+    );
+    const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+    
+    const { decimals } = await multicallUtils.getTokenMetadata(tokenAddress);
+    const tokenAmountWei = ethers.utils.parseUnits(tokenAmount, decimals);
+    const allowance = await tokenContract.allowance(fromAddress, UNISWAP_V2_ROUTER_ADDRESS);
+    const needsApproval = allowance.lt(tokenAmountWei);
+    
+    let gasLimit;
+    if (needsApproval) {
+      // The swap cannot be simulated until the approval is mined
+      const approveGas = await tokenContract.estimateGas.approve(
+        UNISWAP_V2_ROUTER_ADDRESS,
+        ethers.constants.MaxUint256,
+        { from: fromAddress }
+      );
+      gasLimit = gasUtils.addGasMargin(approveGas.add(SELL_GAS_FALLBACK));
+    } else {
+      const { path } = await routerUtils.findBestPath(tokenAddress, WRAPPED_MON_ADDRESS, tokenAmountWei);
+      const amounts = await routerContract.getAmountsOut(tokenAmountWei, path);
+      const taxPercent = await getTransferTaxPercent(tokenAddress, fromAddress, 'sell');
+      const { gasEstimate } = await estimateSwap(routerContract, 'swapExactTokensForETH', [
+        tokenAmountWei,
+        applySlippage(deductTax(amounts[amounts.length - 1], taxPercent), options.slippageBps),
+        path,
+        fromAddress,
+        getDeadline(options.deadlineMinutes)
+      ], { from: fromAddress }, taxPercent > 0);
+      gasLimit = gasUtils.addGasMargin(gasEstimate);
+    }
+    
+    const feeOverrides = await gasUtils.getFeeOverrides(options.feePreset);
+    
+    return {
+      gasLimit: gasLimit.toString(),
+      needsApproval,
+      ...(await gasUtils.estimateCost(gasLimit, feeOverrides))
+    };
+  } catch (error) {
+    throw new Error(`Failed to estimate fee: ${error.message}`);
+  }
+}
+
+/**
+ * Estimate the network fee of buying an exact amount of a token
+ * @param {string} fromAddress - Buyer's address
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} tokenAmount - Amount of token to receive
+ * @param {Object} options - Swap options (slippageBps, deadlineMinutes, feePreset)
+ * @returns {Promise<Object>} Gas limit and expected/maximum cost in MON
+ */
+async function estimateExactBuyFee(fromAddress, tokenAddress, tokenAmount, options = {}) {
+  try {
+    const routerContract = new ethers.Contract(
+      UNISWAP_V2_ROUTER_ADDRESS,
+      UNISWAP_V2_ROUTER_ABI,
+      provider
+    );
+    
+    const { decimals } = await multicallUtils.getTokenMetadata(tokenAddress);
+    const amountOut = ethers.utils.parseUnits(tokenAmount, decimals);
+    const { path } = await routerUtils.findBestPathForOutput(WRAPPED_MON_ADDRESS, tokenAddress, amountOut);
+    const amounts = await routerContract.getAmountsIn(amountOut, path);
+    
+    const gasEstimate = await routerContract.estimateGas.swapETHForExactTokens(
+      amountOut,
+      path,
+      fromAddress,
+      getDeadline(options.deadlineMinutes),
+      { value: addSlippage(amounts[0], options.slippageBps), from: fromAddress }
+    );
+    
+    const gasLimit = gasUtils.addGasMargin(gasEstimate);
+    const feeOverrides = await gasUtils.getFeeOverrides(options.feePreset);
+    
+    return {
+      gasLimit: gasLimit.toString(),
+      ...(await gasUtils.estimateCost(gasLimit, feeOverrides))
+    };
+  } catch (error) {
+    throw new Error(`Failed to estimate fee: ${error.message}`);
+  }
+}
+
+/**
+ * Estimate the network fee of selling a token for an exact amount of MON, including any approval
+ * @param {string} fromAddress - Seller's address
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} monAmount - Amount of MON to receive
+ * @param {Object} options - Swap options (slippageBps, deadlineMinutes, feePreset)
+ * @returns {Promise<Object>} Gas limit, expected/maximum cost in MON and whether an approval is needed
+ */
+async function estimateExactSellFee(fromAddress, tokenAddress, monAmount, options = {}) {
+  try {
+    const routerContract = new ethers.Contract(
+      UNISWAP_V2_ROUTER_ADDRESS,
+      UNISWAP_V2_ROUTER_ABI,
+      provider
+    );
+    const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+    
+    const amountOut = ethers.utils.parseEther(monAmount);
+    const { path } = await routerUtils.findBestPathForOutput(tokenAddress, WRAPPED_MON_ADDRESS, amountOut);
+    const amounts = await routerContract.getAmountsIn(amountOut, path);
+    const amountInMax = addSlippage(amounts[0], options.slippageBps);
+    
+    const allowance = await tokenContract.allowance(fromAddress, UNISWAP_V2_ROUTER_ADDRESS);
+    const needsApproval = allowance.lt(amountInMax);
+    
+    let gasLimit;
+    if (needsApproval) {
+      // The swap cannot be simulated until the approval is mined
+      const approveGas = await tokenContract.estimateGas.approve(
+        UNISWAP_V2_ROUTER_ADDRESS,
+        ethers.constants.MaxUint256,
+        { from: fromAddress }
+      );
+      gasLimit = gasUtils.addGasMargin(approveGas.add(SELL_GAS_FALLBACK));
+    } else {
+      const gasEstimate = await routerContract.estimateGas.swapTokensForExactETH(
+        amountOut,
+        amountInMax,
+        path,
+        fromAddress,
+        getDeadline(options.deadlineMinutes),
+        { from: fromAddress }
+      );
+      gasLimit = gasUtils.addGasMargin(gasEstimate);
+    }
+    
+    const feeOverrides = await gasUtils.getFeeOverrides(options.feePreset);
+    
+    return {
+      gasLimit: gasLimit.toString(),
+      needsApproval,
+      ...(await gasUtils.estimateCost(gasLimit, feeOverrides))
+    };
+  } catch (error) {
+    throw new Error(`Failed to estimate fee: ${error.message}`);
+  }
+}
+
+/**
+ * Estimate the network fee of a token-to-token swap, including any approval
+ * @param {string} fromAddress - Trader's address
+ * @param {string} tokenIn - Address of the token to swap from
+ * @param {string} tokenOut - Address of the token to swap to
+ * @param {string} amountIn - Amount of the input token
+ * @param {Object} options - Swap options (slippageBps, deadlineMinutes, feePreset)
+ * @returns {Promise<Object>} Gas limit, expected/maximum cost in MON and whether an approval is needed
+ */
+async function estimateSwapFee(fromAddress, tokenIn, tokenOut, amountIn, options = {}) {
+  try {
+    const routerContract = new ethers.Contract(
+      UNISWAP_V2_ROUTER_ADDRESS,
+      UNISWAP_V2_ROUTER_ABI,
+      provider
+    );
+    const tokenContract = new ethers.Contract(tokenIn, ERC20_ABI, provider);
+    
+    const { decimals } = await multicallUtils.getTokenMetadata(tokenIn);
+    const amountInWei = ethers.utils.parseUnits(amountIn, decimals);
+    const allowance = await tokenContract.allowance(fromAddress, UNISWAP_V2_ROUTER_ADDRESS);
+    const needsApproval = allowance.lt(amountInWei);
+    
+    let gasLimit;
+    if (needsApproval) {
+      // The swap cannot be simulated until the approval is mined
+      const approveGas = await tokenContract.estimateGas.approve(
+        UNISWAP_V2_ROUTER_ADDRESS,
+        ethers.constants.MaxUint256,
+        { from: fromAddress }
+      );
+      gasLimit = gasUtils.addGasMargin(approveGas.add(SELL_GAS_FALLBACK));
+    } else {
+      const { path } = await routerUtils.findBestPath(tokenIn, tokenOut, amountInWei);
+      const amounts = await routerContract.getAmountsOut(amountInWei, path);
+      const { gasEstimate } = await estimateSwap(routerContract, 'swapExactTokensForTokens', [
+        amountInWei,
+        applySlippage(amounts[amounts.length - 1], options.slippageBps),
+        path,
+        fromAddress,
+        getDeadline(options.deadlineMinutes)
+      ], { from: fromAddress });
+      gasLimit = gasUtils.addGasMargin(gasEstimate);
+    }
+    
+    const feeOverrides = await gasUtils.getFeeOverrides(options.feePreset);
+    
+    return {
+      gasLimit: gasLimit.toString(),
+      needsApproval,
+      ...(await gasUtils.estimateCost(gasLimit, feeOverrides))
+    };
+  } catch (error) {
+    throw new Error(`Failed to estimate fee: ${error.message}`);
+  }
+}
+
 module.exports = {
+  DEFAULT_SLIPPAGE_BPS,
+  DEFAULT_DEADLINE_MINUTES,
+  MAX_SLIPPAGE_BPS,
+  PRICE_IMPACT_WARNING_PERCENT,
+  PRICE_IMPACT_MAX_PERCENT,
   getTokenInfo,
   getTokenPrice,
+  getBuyQuote,
+  getSellQuote,
+  getExactBuyQuote,
+  getExactSellQuote,
+  getTokenLiquidity,
   buyToken,
-  sellToken
+  sellToken,
+  buyExactTokens,
+  sellForExactMon,
+  getSwapQuote,
+  swapTokens,
+  getReceivedAmount,
+  estimateBuyFee,
+  estimateSellFee,
+  estimateExactBuyFee,
+  estimateExactSellFee,
+  estimateSwapFee
 };
\ No newline at end of file
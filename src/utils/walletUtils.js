@@ -3,13 +3,11 @@
  */
 
 const { ethers } = require('ethers');
-const dotenv = require('dotenv');
-
-// Load environment variables
-dotenv.config();
-
-// Initialize provider
-const provider = new ethers.providers.JsonRpcProvider(process.env.MONAD_TESTNET_RPC);
+const keystoreUtils = require('./keystoreUtils');
+const multicallUtils = require('./multicallUtils');
+const nonceUtils = require('./nonceUtils');
+const transactionUtils = require('./transactionUtils');
+const { provider } = require('./providerUtils');
 
 // ERC20 ABI for token interactions
 const ERC20_ABI = [
@@ -22,6 +20,8 @@ const ERC20_ABI = [
   'function approve(address spender, uint256 amount) returns (bool)'
 ];
 
+const erc20Interface = new ethers.utils.Interface(ERC20_ABI);
+
 /**
  * Create a new wallet
  * @returns {Object} Wallet data including address and private key
@@ -77,7 +77,7 @@ function importWalletFromMnemonic(mnemonic) {
  */
 async function getBalance(address) {
   try {
-    const balance = await provider.getBalance(address);
+    const balance = await multicallUtils.getEthBalance(address);
     return ethers.utils.formatEther(balance);
   } catch (error) {
     throw new Error(`Failed to get balance: ${error.message}`);
@@ -92,14 +92,10 @@ async function getBalance(address) {
  */
 async function getTokenBalance(address, tokenAddress) {
   try {
-    const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
-    
-    // Get token details
-    const [balance, decimals, symbol, name] = await Promise.all([
-      tokenContract.balanceOf(address),
-      tokenContract.decimals(),
-      tokenContract.symbol(),
-      tokenContract.name()
+    // Get token details, batched with any other reads made at the same time
+    const [balance, { decimals, symbol, name }] = await Promise.all([
+      multicallUtils.call(tokenAddress, erc20Interface, 'balanceOf', [address]),
+      multicallUtils.getTokenMetadata(tokenAddress)
     ]);
     
     // Format balance based on token decimals
@@ -119,20 +115,24 @@ async function getTokenBalance(address, tokenAddress) {
 
 /**
  * Transfer MON to another address
- * @param {string} privateKey - Sender's private key
+ * @param {Object} walletRecord - Sender's stored (encrypted) wallet record
  * @param {string} toAddress - Recipient address
  * @param {string} amount - Amount to send in MON
- * @returns {Promise<string>} Transaction hash
+ * @param {Object} options - Transfer options
+ * @param {string} options.passphrase - Wallet passphrase, if protected
+ * @returns {Promise<string>} Transaction hash, as soon as it is sent
  */
-async function transferMON(privateKey, toAddress, amount) {
+async function transferMON(walletRecord, toAddress, amount, options = {}) {
   try {
+    const privateKey = keystoreUtils.decryptPrivateKey(walletRecord, options.passphrase);
     const wallet = new ethers.Wallet(privateKey, provider);
-    const tx = await wallet.sendTransaction({
+    const tx = await nonceUtils.sendTransaction(wallet.address, (nonce) => wallet.sendTransaction({
       to: toAddress,
-      value: ethers.utils.parseEther(amount)
-    });
+      value: ethers.utils.parseEther(amount),
+      nonce
+    }));
     
-    return tx.hash;
+    return transactionUtils.watchTransaction(tx);
   } catch (error) {
     throw new Error(`Failed to transfer MON: ${error.message}`);
   }
@@ -140,33 +140,110 @@ async function transferMON(privateKey, toAddress, amount) {
 
 /**
  * Transfer tokens to another address
- * @param {string} privateKey - Sender's private key
+ * @param {Object} walletRecord - Sender's stored (encrypted) wallet record
  * @param {string} tokenAddress - Token contract address
  * @param {string} toAddress - Recipient address
  * @param {string} amount - Amount to send
- * @returns {Promise<string>} Transaction hash
+ * @param {Object} options - Transfer options
+ * @param {string} options.passphrase - Wallet passphrase, if protected
+ * @returns {Promise<string>} Transaction hash, as soon as it is sent
  */
-async function transferToken(privateKey, tokenAddress, toAddress, amount) {
+async function transferToken(walletRecord, tokenAddress, toAddress, amount, options = {}) {
   try {
+    const privateKey = keystoreUtils.decryptPrivateKey(walletRecord, options.passphrase);
     const wallet = new ethers.Wallet(privateKey, provider);
     const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
     
     // Get token decimals
-    const decimals = await tokenContract.decimals();
+    const { decimals } = await multicallUtils.getTokenMetadata(tokenAddress);
     
     // Parse amount with correct decimals
     const parsedAmount = ethers.utils.parseUnits(amount, decimals);
     
     // Send transaction
-    const tx = await tokenContract.transfer(toAddress, parsedAmount);
-    await tx.wait();
+    const tx = await nonceUtils.sendTransaction(wallet.address, (nonce) => (
+      tokenContract.transfer(toAddress, parsedAmount, { nonce })
+    ));
     
-    return tx.hash;
+    return transactionUtils.watchTransaction(tx);
   } catch (error) {
     throw new Error(`Failed to transfer token: ${error.message}`);
   }
 }
 
+/**
+ * Estimate the gas cost of a MON transfer
+ * @param {string} fromAddress - Sender address
+ * @param {string} toAddress - Recipient address
+ * @param {string} amount - Amount to send in MON
+ * @returns {Promise<Object>} Gas limit, gas price and total cost in MON
+ */
+async function estimateTransferMONGas(fromAddress, toAddress, amount) {
+  try {
+    const [gasLimit, gasPrice] = await Promise.all([
+      provider.estimateGas({
+        from: fromAddress,
+        to: toAddress,
+        value: ethers.utils.parseEther(amount)
+      }),
+      provider.getGasPrice()
+    ]);
+    
+    return {
+      gasLimit: gasLimit.toString(),
+      gasPrice: ethers.utils.formatUnits(gasPrice, 'gwei'),
+      cost: ethers.utils.formatEther(gasLimit.mul(gasPrice))
+    };
+  } catch (error) {
+    throw new Error(`Failed to estimate gas: ${error.message}`);
+  }
+}
+
+/**
+ * Estimate the gas cost of a token transfer
+ * @param {string} fromAddress - Sender address
+ * @param {string} tokenAddress - Token contract address
+ * @param {string} toAddress - Recipient address
+ * @param {string} amount - Amount to send
+ * @returns {Promise<Object>} Gas limit, gas price and total cost in MON
+ */
+async function estimateTransferTokenGas(fromAddress, tokenAddress, toAddress, amount) {
+  try {
+    const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+    const { decimals } = await multicallUtils.getTokenMetadata(tokenAddress);
+    
+    const [gasLimit, gasPrice] = await Promise.all([
+      tokenContract.estimateGas.transfer(
+        toAddress,
+        ethers.utils.parseUnits(amount, decimals),
+        { from: fromAddress }
+      ),
+      provider.getGasPrice()
+    ]);
+    
+    return {
+      gasLimit: gasLimit.toString(),
+      gasPrice: ethers.utils.formatUnits(gasPrice, 'gwei'),
+      cost: ethers.utils.formatEther(gasLimit.mul(gasPrice))
+    };
+  } catch (error) {
+    throw new Error(`Failed to estimate gas: ${error.message}`);
+  }
+}
+
+/**
+ * Validate a recipient address, enforcing the EIP-55 checksum on mixed-case input
+ * @param {string} address - Address entered by the user
+ * @returns {string|null} Checksummed address, or null if invalid
+ */
+function validateAddress(address) {
+  try {
+    return ethers.utils.getAddress(address);
+  } catch (error) {
+    return null;
+  }
+}
+
 module.exports = {
   createWallet,
   importWalletFromPrivateKey,
@@ -174,5 +251,8 @@ module.exports = {
   getBalance,
   getTokenBalance,
   transferMON,
-  transferToken
+  transferToken,
+  estimateTransferMONGas,
+  estimateTransferTokenGas,
+  validateAddress
 };
\ No newline at end of file
@@ -0,0 +1,189 @@
+/**
+ * Webhook utility functions for Monad Testnet Trading Bot
+ *
+ * In webhook mode Telegram pushes updates to an HTTP server instead of the
+ * bot polling for them, so several instances can run behind a load balancer.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+const { logger } = require('./errorHandler');
+
+// Load environment variables
+dotenv.config();
+
+// Public HTTPS base URL Telegram sends updates to, e.g. https://bot.example.com
+const WEBHOOK_URL = process.env.WEBHOOK_URL;
+
+// Path updates are posted to
+const WEBHOOK_PATH = process.env.WEBHOOK_PATH || '/telegram/webhook';
+
+// Shared secret Telegram sends in the X-Telegram-Bot-Api-Secret-Token header
+const WEBHOOK_SECRET_TOKEN = process.env.WEBHOOK_SECRET_TOKEN;
+
+// Address the HTTP server listens on
+const WEBHOOK_HOST = process.env.WEBHOOK_HOST || '0.0.0.0';
+const WEBHOOK_PORT = parseInt(process.env.WEBHOOK_PORT || process.env.PORT, 10) || 8080;
+
+const HEALTH_PATH = '/healthz';
+
+// Updates are small; anything larger is not from Telegram
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Check if the bot should run in webhook mode
+ * @returns {boolean} True if BOT_MODE is 'webhook'
+ */
+function isWebhookMode() {
+  return process.env.BOT_MODE === 'webhook';
+}
+
+/**
+ * Check the webhook settings
+ * @returns {string|null} What is wrong with the settings, or null if they are valid
+ */
+function validateConfig() {
+  if (!WEBHOOK_URL) {
+    return 'WEBHOOK_URL is not set';
+  }
+
+  // Telegram only accepts 1-256 characters from this set
+  if (!WEBHOOK_SECRET_TOKEN || !/^[A-Za-z0-9_-]{1,256}$/.test(WEBHOOK_SECRET_TOKEN)) {
+    return 'WEBHOOK_SECRET_TOKEN must be 1-256 characters of A-Z, a-z, 0-9, _ and -';
+  }
+
+  return null;
+}
+
+/**
+ * Compare the secret token header in constant time
+ * @param {string|undefined} header - Header value from the request
+ * @returns {boolean} True if the header matches WEBHOOK_SECRET_TOKEN
+ */
+function isValidSecret(header) {
+  if (typeof header !== 'string') return false;
+
+  const expected = Buffer.from(WEBHOOK_SECRET_TOKEN);
+  const received = Buffer.from(header);
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Send a JSON response
+ * @param {ServerResponse} res - HTTP response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read a request body, rejecting bodies over MAX_BODY_BYTES
+ * @param {IncomingMessage} req - HTTP request
+ * @returns {Promise<string>} Request body
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Create the request handler for Telegram updates and health checks
+ * @param {TelegramBot} bot - Bot that processes the updates
+ * @returns {Function} HTTP request handler
+ */
+function createRequestHandler(bot) {
+  const startedAt = Date.now();
+
+  return async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === HEALTH_PATH && req.method === 'GET') {
+      sendJson(res, 200, { status: 'ok', uptimeSeconds: Math.floor((Date.now() - startedAt) / 1000) });
+      return;
+    }
+
+    if (pathname !== WEBHOOK_PATH) {
+      sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    if (!isValidSecret(req.headers['x-telegram-bot-api-secret-token'])) {
+      logger.warn(`Rejected webhook request with a bad secret token from ${req.socket.remoteAddress}`);
+      sendJson(res, 401, { error: 'Unauthorized' });
+      return;
+    }
+
+    let update;
+    try {
+      update = JSON.parse(await readBody(req));
+    } catch (error) {
+      sendJson(res, 400, { error: 'Invalid update' });
+      return;
+    }
+
+    // Answer right away; Telegram retries updates that are not acknowledged in time
+    sendJson(res, 200, { ok: true });
+
+    try {
+      bot.processUpdate(update);
+    } catch (error) {
+      logger.error(`Failed to process update ${update.update_id}: ${error.message}`);
+    }
+  };
+}
+
+/**
+ * Start the HTTP server and register the webhook with Telegram
+ * @param {TelegramBot} bot - Bot created with polling disabled
+ * @returns {Promise<http.Server>} The listening server
+ */
+async function startWebhookServer(bot) {
+  try {
+    const configError = validateConfig();
+    if (configError) {
+      throw new Error(configError);
+    }
+
+    const server = http.createServer(createRequestHandler(bot));
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(WEBHOOK_PORT, WEBHOOK_HOST, resolve);
+    });
+
+    const webhookUrl = new URL(WEBHOOK_PATH, WEBHOOK_URL).toString();
+    await bot.setWebHook(webhookUrl, { secret_token: WEBHOOK_SECRET_TOKEN });
+
+    logger.info(`Webhook server listening on ${WEBHOOK_HOST}:${WEBHOOK_PORT}, registered ${webhookUrl}`);
+    return server;
+  } catch (error) {
+    throw new Error(`Failed to start webhook server: ${error.message}`);
+  }
+}
+
+module.exports = {
+  isWebhookMode,
+  startWebhookServer
+};